@@ -5,4 +5,35 @@ config :logger, level: :info
 
 # Application configuration
 config :exterm,
-  port: 4000
+  port: 4000,
+  # Seconds a terminal session keeps running after its browser disconnects
+  # (override with TERMINAL_GRACE_PERIOD)
+  terminal_grace_period: 300,
+  # Bytes of terminal output replayed when a browser reattaches
+  terminal_scrollback_bytes: 100_000,
+  # How AI terminal input and file writes are approved: "ask", "allowlist" or "auto"
+  # (override with EXTERM_PERMISSION_MODE)
+  permission_mode: "ask",
+  # In allowlist mode these commands (with any arguments) and files under these
+  # directories run without asking (override with EXTERM_ALLOWED_COMMANDS and
+  # EXTERM_ALLOWED_PATHS, comma separated)
+  permission_allowed_commands: ["ls", "pwd", "git status"],
+  permission_allowed_paths: [],
+  # Seconds an approval request waits before it is denied
+  permission_timeout: 300,
+  # Where chat conversations are saved (override with EXTERM_CONVERSATIONS_DIR)
+  conversations_dir: "~/.exterm/conversations",
+  # Provider new chats start with: "openrouter", "groq", "deepinfra", "local" or
+  # "anthropic" (override with LLM_PROVIDER)
+  llm_provider: "openrouter",
+  # Model new chats start with (override with LLM_MODEL)
+  llm_model: "minimax/minimax-m2",
+  # OpenAI-compatible server used by the "local" provider, e.g. llama.cpp, Ollama
+  # or vLLM (override with EXTERM_LOCAL_LLM_URL and EXTERM_LOCAL_LLM_MODEL)
+  local_llm_url: "http://localhost:11434/v1",
+  local_llm_model: nil,
+  # Models offered in the chat's model picker; when empty the OpenRouter model
+  # list is used (override with EXTERM_LLM_MODELS, comma separated)
+  llm_models: [],
+  # Context window, in tokens, assumed for models whose provider doesn't list one
+  context_window: 128_000
@@ -12,11 +12,53 @@ defmodule Exterm.Application do
       Exterm.TerminalHistory,
       # Start the terminal-chat bridge
       Exterm.TerminalChatBridge,
+      # Snapshots of files the AI changed, for diffs and revert
+      Exterm.FileChanges,
+      # Saved chat conversations
+      Exterm.ConversationStore,
+      # Registry and supervisor for shell sessions that outlive their websocket
+      {Registry, keys: :unique, name: Exterm.TerminalRegistry},
+      {DynamicSupervisor, strategy: :one_for_one, name: Exterm.TerminalSessionSupervisor},
       # Start the Cowboy HTTP server
-      {Plug.Cowboy, scheme: :http, plug: Exterm.Router, options: [port: 4000]}
+      {Plug.Cowboy, scheme: :http, plug: Exterm.Router, options: server_options()}
     ]
 
     opts = [strategy: :one_for_one, name: Exterm.Supervisor]
     Supervisor.start_link(children, opts)
   end
+
+  # PORT and HOST from the environment take precedence over config.exs
+  defp server_options do
+    port =
+      case Integer.parse(System.get_env("PORT") || "") do
+        {port, ""} -> port
+        _ -> Application.get_env(:exterm, :port, 4000)
+      end
+
+    case System.get_env("HOST") do
+      host when host in [nil, ""] ->
+        # Listen on all interfaces
+        [port: port]
+
+      host ->
+        case resolve_host(String.to_charlist(host)) do
+          {:ok, ip} when tuple_size(ip) == 8 ->
+            [port: port, ip: ip, net: :inet6]
+
+          {:ok, ip} ->
+            [port: port, ip: ip]
+
+          {:error, reason} ->
+            raise ArgumentError, "cannot resolve HOST #{inspect(host)}: #{inspect(reason)}"
+        end
+    end
+  end
+
+  # An IPv4 address when the host has one, otherwise an IPv6 one (e.g. ::1)
+  defp resolve_host(host) do
+    case :inet.getaddr(host, :inet) do
+      {:ok, ip} -> {:ok, ip}
+      {:error, _reason} -> :inet.getaddr(host, :inet6)
+    end
+  end
 end
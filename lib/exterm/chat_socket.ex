@@ -6,8 +6,15 @@ defmodule Exterm.ChatSocket do
   """
 
   @behaviour :cowboy_websocket
-  alias Exterm.Llm.{Chat, Tools, ChatLogger}
-  alias Exterm.AppState
+  alias Exterm.Llm.{Attachments, Branches, Chat, Tools, ChatLogger, Models, Permissions, Provider}
+  alias Exterm.Llm.Tools.ChatSummary
+  alias Exterm.{AppState, ConversationStore, FileChanges, TerminalChatBridge, TerminalHistory}
+
+  # How long to collect the output of an approved command for its suggestion card
+  @command_output_timeout 10_000
+  @command_output_max_chars 4_000
+  # How long a response may stream before a watch stops waiting for it
+  @responding_timeout 120_000
 
   def init(request, _state) do
     {:cowboy_websocket, request, %{}}
@@ -138,8 +145,8 @@ defmodule Exterm.ChatSocket do
     else
       case Chat.start_link(
              system_prompt: system_prompt,
-             provider: :openrouter,
-             model: System.get_env("LLM_MODEL") || "minimax/minimax-m2",
+             provider: Provider.default(),
+             model: Models.default_model(),
              tools: Tools.get_tools(),
              chat_socket_pid: self()
            ) do
@@ -228,11 +235,13 @@ defmodule Exterm.ChatSocket do
     IO.puts("ChatSocket[#{session_id}]: Received WebSocket message: #{inspect(msg)}")
 
     case Poison.decode(msg) do
-      {:ok, %{"type" => "chat_message", "content" => content}} when is_binary(content) ->
+      {:ok, %{"type" => "chat_message", "content" => content} = data} when is_binary(content) ->
         IO.puts(
           "ChatSocket[#{session_id}]: Decoded chat_message with content: #{inspect(content)}"
         )
 
+        # Attachments become content parts of the message the model sees
+        content = Attachments.content(content, data["attachments"])
         handle_chat_message(content, state)
 
       {:ok, %{"type" => "ping"}} ->
@@ -262,6 +271,100 @@ defmodule Exterm.ChatSocket do
         IO.puts("ChatSocket: Received execute_tool request: #{tool_name}")
         handle_execute_tool(tool_name, params, state)
 
+      {:ok, %{"type" => "summarize_chat"}} ->
+        IO.puts("ChatSocket[#{session_id}]: Summarizing chat on request")
+        handle_summarize_chat(state)
+
+      {:ok, %{"type" => "list_tools"}} ->
+        {:reply, {:text, Poison.encode!(tool_list())}, state}
+
+      {:ok, %{"type" => "set_system_prompt", "prompt" => prompt}} when is_binary(prompt) ->
+        handle_set_system_prompt(prompt, state)
+
+      {:ok, %{"type" => "link_terminal", "session_id" => terminal_session_id}}
+      when is_binary(terminal_session_id) ->
+        IO.puts("ChatSocket[#{session_id}]: Linked to terminal session #{terminal_session_id}")
+        TerminalChatBridge.register_chat_session(self(), terminal_session_id)
+        {:ok, state}
+
+      {:ok, %{"type" => "list_models"} = data} ->
+        handle_list_models(data["provider"], state)
+
+      {:ok, %{"type" => "get_llm_config"}} ->
+        {:reply, {:text, Poison.encode!(llm_config(state))}, state}
+
+      {:ok, %{"type" => "update_llm_config", "config" => config}} when is_map(config) ->
+        handle_update_llm_config(config, state)
+
+      {:ok, %{"type" => "list_conversations"} = data} ->
+        {:reply, {:text, Poison.encode!(conversation_list(data["query"], state))}, state}
+
+      {:ok, %{"type" => "open_conversation", "id" => id}} when is_binary(id) ->
+        IO.puts("ChatSocket[#{session_id}]: Opening conversation #{id}")
+        handle_open_conversation(id, state)
+
+      {:ok, %{"type" => "new_conversation"}} ->
+        handle_new_conversation(state)
+
+      {:ok, %{"type" => "edit_message", "id" => id, "content" => content}}
+      when is_binary(id) and is_binary(content) ->
+        handle_history_change({:edit, id, content}, state)
+
+      {:ok, %{"type" => "regenerate"} = data} ->
+        handle_history_change({:regenerate, data["model"]}, state)
+
+      {:ok, %{"type" => "switch_branch", "id" => id, "index" => index}}
+      when is_binary(id) and is_integer(index) ->
+        handle_history_change({:switch_branch, id, index}, state)
+
+      {:ok, %{"type" => "delete_message", "id" => id}} when is_binary(id) ->
+        handle_history_change({:delete, id}, state)
+
+      {:ok, %{"type" => "rename_conversation", "id" => id, "title" => title}}
+      when is_binary(id) and is_binary(title) ->
+        handle_rename_conversation(id, title, state)
+
+      {:ok, %{"type" => "delete_conversation", "id" => id}} when is_binary(id) ->
+        IO.puts("ChatSocket[#{session_id}]: Deleting conversation #{id}")
+        handle_delete_conversation(id, state)
+
+      {:ok, %{"type" => "revert_file_change", "change_id" => change_id} = data}
+      when is_binary(change_id) ->
+        IO.puts("ChatSocket[#{session_id}]: Reverting file change #{change_id}")
+        handle_revert_file_change(change_id, data["force"] == true, state)
+
+      {:ok, %{"type" => "permission_decision", "id" => id, "decision" => decision} = data}
+      when is_binary(id) ->
+        IO.puts("ChatSocket[#{session_id}]: Permission #{id}: #{inspect(decision)}")
+        handle_permission_decision(id, decision, data["reason"], state)
+
+      {:ok,
+       %{"type" => "run_command", "suggestion_id" => suggestion_id, "command" => command} = data}
+      when is_binary(command) ->
+        IO.puts("ChatSocket[#{session_id}]: Running approved command: #{inspect(command)}")
+        handle_run_command(suggestion_id, command, data["session_id"], state)
+
+      {:ok,
+       %{"type" => "run_code_block", "block_id" => block_id, "command" => command} = data}
+      when is_binary(command) ->
+        IO.puts("ChatSocket[#{session_id}]: Asking to run code block #{block_id}")
+        handle_run_code_block(block_id, command, data["session_id"], state)
+
+      {:ok,
+       %{
+         "type" => "save_code_block",
+         "block_id" => block_id,
+         "path" => path,
+         "content" => content
+       } = data}
+      when is_binary(path) and is_binary(content) ->
+        IO.puts("ChatSocket[#{session_id}]: Saving code block #{block_id} to #{path}")
+        handle_save_code_block(block_id, path, content, data["overwrite"] == true, state)
+
+      {:ok, %{"type" => "set_watch"} = data} ->
+        IO.puts("ChatSocket[#{session_id}]: Setting terminal watch: #{inspect(data["mode"])}")
+        handle_set_watch(data, state)
+
       {:error, reason} ->
         IO.puts(
           "ChatSocket: JSON decode error: #{inspect(reason)}, treating as plain text: #{inspect(msg)}"
@@ -356,7 +459,22 @@ defmodule Exterm.ChatSocket do
       "ChatSocket[#{DateTime.utc_now() |> DateTime.to_iso8601()}]: Message encoded and sent in #{encode_time}ms"
     )
 
-    {:reply, {:text, Poison.encode!(message)}, state}
+    {:reply, {:text, Poison.encode!(message)}, track_permission(state, message)}
+  end
+
+  # A tool call, or a code block run, waits for the user in Exterm.Llm.Permissions
+  def websocket_info({:permission_request, waiting_pid, %{id: id} = message}, state) do
+    pending = state |> Map.get(:pending_permissions, %{}) |> Map.put(id, waiting_pid)
+    # Only the AI's own requests keep the AI status busy
+    source = if waiting_pid == state.chat_pid, do: "ai", else: "user"
+    message = Map.put(message, :source, source)
+
+    {:reply, {:text, Poison.encode!(message)}, Map.put(state, :pending_permissions, pending)}
+  end
+
+  # A code block's run was approved (or needed no approval)
+  def websocket_info({:run_code_block, block_id, command, terminal_session_id}, state) do
+    handle_run_command(block_id, command, terminal_session_id, state)
   end
 
   def websocket_info({:send_ai_status, status}, state) do
@@ -395,6 +513,7 @@ defmodule Exterm.ChatSocket do
       timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
     }
 
+    state = Map.put(state, :responding_since, System.monotonic_time(:millisecond))
     {:reply, {:text, Poison.encode!(msg)}, state}
   end
 
@@ -454,6 +573,10 @@ defmodule Exterm.ChatSocket do
       timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
     }
 
+    # After tool calls the response continues in another stream
+    state =
+      if data.reason == "tool_calls", do: state, else: Map.put(state, :responding_since, nil)
+
     {:reply, {:text, Poison.encode!(msg)}, state}
   end
 
@@ -467,7 +590,7 @@ defmodule Exterm.ChatSocket do
       timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
     }
 
-    {:reply, {:text, Poison.encode!(msg)}, state}
+    {:reply, {:text, Poison.encode!(msg)}, Map.put(state, :responding_since, nil)}
   end
 
   def websocket_info({:start_continuation_stream, continuation_prompt}, state) do
@@ -493,7 +616,7 @@ defmodule Exterm.ChatSocket do
         # Get the chat history and config from the Chat GenServer
         # This is necessary because the stream must be created in the same process that consumes it
         history = Chat.get_history(chat_pid)
-        config_data = Chat.get_config(chat_pid)
+        config_data = Chat.get_request_config(chat_pid)
 
         IO.puts(
           "ChatSocket: Got history length: #{length(history)}, provider: #{config_data.provider}"
@@ -504,7 +627,8 @@ defmodule Exterm.ChatSocket do
           previous_messages: history,
           model: config_data.model,
           temperature: config_data.temperature,
-          max_tokens: config_data.max_tokens
+          max_tokens: config_data.max_tokens,
+          reasoning_effort: config_data.reasoning_effort
         ]
 
         # Create the stream directly in this Task process
@@ -534,6 +658,8 @@ defmodule Exterm.ChatSocket do
                   content_acc_length: String.length(content_acc)
                 })
 
+                record_usage(chat_pid, chunk)
+
                 case chunk do
                   # Handle reasoning field (for models like Qwen3-VL-Thinking, DeepSeek-R1, OpenAI o1)
                   # Check reasoning first, regardless of content field
@@ -740,6 +866,46 @@ defmodule Exterm.ChatSocket do
     {:ok, state}
   end
 
+  # The linked terminal's output settled and matched the watch (see TerminalChatBridge)
+  def websocket_info({:watch_triggered, event}, state) do
+    cond do
+      state.chat_pid == nil ->
+        {:reply, {:text, Poison.encode!(watch_event(event, "skipped", "chat not available"))},
+         state}
+
+      responding?(state) ->
+        {:reply,
+         {:text, Poison.encode!(watch_event(event, "skipped", "the AI is busy responding"))},
+         state}
+
+      true ->
+        IO.puts("ChatSocket[#{state.session_id}]: Watch triggered: #{event.reason}")
+
+        output = clean_command_output(event.output)
+        fence = Attachments.fence_for(output)
+
+        prompt = """
+        Watch mode: output in the terminal triggered an analysis (#{event.reason}):
+        #{fence}
+        #{output}
+        #{fence}
+        Look at it and help if something needs attention: explain errors and suggest a fix. \
+        If nothing needs attention, answer in one short sentence.
+        """
+
+        frame = {:text, Poison.encode!(watch_event(event, "analyzing", nil))}
+
+        case handle_chat_message(prompt, state) do
+          {:reply, frames, state} -> {:reply, [frame | List.wrap(frames)], state}
+          {:ok, state} -> {:reply, frame, state}
+        end
+    end
+  end
+
+  def websocket_info({:watch_skipped, event}, state) do
+    {:reply, {:text, Poison.encode!(watch_event(event, "skipped", event.why))}, state}
+  end
+
   def websocket_info(info, state) do
     IO.puts("ChatSocket: CATCH-ALL websocket_info called with: #{inspect(info)}")
 
@@ -758,6 +924,8 @@ defmodule Exterm.ChatSocket do
     # Clean up: stop the chat GenServer and remove session from AppState
     session_id = Map.get(state, :session_id)
 
+    TerminalChatBridge.unregister_chat_session(self())
+
     if session_id do
       IO.puts("ChatSocket[#{session_id}]: Terminating and cleaning up session")
 
@@ -767,6 +935,9 @@ defmodule Exterm.ChatSocket do
 
     case state do
       %{chat_pid: pid} when is_pid(pid) ->
+        # The chat can't stop while it waits in a permission request
+        cancel_pending_permission(state)
+
         try do
           GenServer.stop(pid)
         catch
@@ -808,7 +979,9 @@ defmodule Exterm.ChatSocket do
     {:reply, {:text, Poison.encode!(error_msg)}, state}
   end
 
-  defp handle_chat_message(content, state) do
+  # request is the user's message, or :reply for a new response to the history
+  # as it stands (after an edit or a regenerate)
+  defp handle_chat_message(request, state) do
     session_id = state.session_id
 
     # Check if AI is globally stopped or this session is stopped
@@ -840,21 +1013,21 @@ defmodule Exterm.ChatSocket do
         {:reply, {:text, Poison.encode!(error_msg)}, state}
 
       true ->
-        handle_active_chat_message(content, state)
+        handle_active_chat_message(request, state)
     end
   end
 
-  defp handle_active_chat_message(content, %{chat_pid: chat_pid, session_id: session_id} = state) do
+  defp handle_active_chat_message(
+         request,
+         %{chat_pid: chat_pid, session_id: session_id} = state
+       ) do
     IO.puts(
-      "ChatSocket[#{session_id}]: handle_active_chat_message called with content: #{inspect(content)} and chat_pid: #{inspect(chat_pid)}"
+      "ChatSocket[#{session_id}]: handle_active_chat_message called with: #{inspect(request)} and chat_pid: #{inspect(chat_pid)}"
     )
 
     # Update session activity
     AppState.update_session_activity(:ai, session_id)
 
-    # Check if we need to auto-summarize before processing the new message (length-based only)
-    _websocket_pid = self()
-
     # Send typing indicator
     typing_msg = %{
       type: "typing",
@@ -872,10 +1045,25 @@ defmodule Exterm.ChatSocket do
       current_time = DateTime.utc_now() |> DateTime.to_iso8601()
 
       IO.puts(
-        "ChatSocket[#{current_time}]: Task started, calling Chat.stream_chat with: #{inspect(content)}"
+        "ChatSocket[#{current_time}]: Task started, streaming a response to: #{inspect(request)}"
       )
 
-      case Chat.stream_chat(chat_pid, content) do
+      # A conversation that nearly fills the model's context window is condensed first
+      case ChatSummary.auto_summarize_if_needed(chat_pid) do
+        {:summarized, _result} ->
+          notice = %{
+            type: "system",
+            content: "Older messages were summarized to fit the model's context window.",
+            timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+          }
+
+          send(websocket_pid, {:send_message, notice})
+
+        _ ->
+          :ok
+      end
+
+      case start_stream(chat_pid, request) do
         {:ok, stream} ->
           stream_setup_time = System.monotonic_time(:millisecond) - task_start_time
           current_time = DateTime.utc_now() |> DateTime.to_iso8601()
@@ -893,6 +1081,8 @@ defmodule Exterm.ChatSocket do
               {accumulated_content, tool_calls} =
                 stream
                 |> Enum.reduce({"", []}, fn chunk, {content_acc, tool_acc} ->
+                  record_usage(chat_pid, chunk)
+
                   case chunk do
                     # Handle tool calls FIRST - before content/reasoning
                     %{"choices" => [%{"delta" => %{"tool_calls" => delta_tool_calls}} | _]}
@@ -1138,6 +1328,14 @@ defmodule Exterm.ChatSocket do
 
     Chat.clear_history(chat_pid)
 
+    # Clearing starts a new conversation, so the browser gets its id
+    opened = %{
+      type: "conversation_opened",
+      id: current_conversation_id(state),
+      title: nil,
+      messages: []
+    }
+
     success_msg = %{
       type: "system",
       content: "Chat history cleared",
@@ -1145,7 +1343,85 @@ defmodule Exterm.ChatSocket do
     }
 
     IO.puts("ChatSocket: Sending clear history success message: #{inspect(success_msg)}")
-    {:reply, {:text, Poison.encode!(success_msg)}, state}
+    {:reply, Enum.map([opened, success_msg], &{:text, Poison.encode!(&1)}), state}
+  end
+
+  defp handle_summarize_chat(%{chat_pid: nil} = state) do
+    {:reply, {:text, Poison.encode!(conversation_error("Chat system not available"))}, state}
+  end
+
+  # Summarizing asks the model, so it runs in a task; the chat is redrawn from
+  # the condensed history when it is done
+  defp handle_summarize_chat(%{chat_pid: chat_pid} = state) do
+    websocket_pid = self()
+    id = current_conversation_id(state)
+
+    Task.start(fn ->
+      messages =
+        case ChatSummary.summarize_chat_with_pid(chat_pid, "user_request") do
+          %{"success" => true, "action" => "none", "message" => message} ->
+            [%{type: "chat_summarized", status: "unchanged", content: message}]
+
+          %{"success" => true} = result ->
+            content =
+              "Summarized #{result["original_message_count"]} messages into " <>
+                "#{result["condensed_message_count"]}."
+
+            [
+              conversation_view(chat_pid, id),
+              llm_config(%{chat_pid: chat_pid}),
+              %{type: "chat_summarized", status: "summarized", content: content}
+            ]
+
+          %{"error" => error} ->
+            [%{type: "chat_summarized", status: "failed", content: error}]
+        end
+
+      Enum.each(messages, &send(websocket_pid, {:send_message, &1}))
+    end)
+
+    {:ok, state}
+  end
+
+  defp handle_set_system_prompt(_prompt, %{chat_pid: nil} = state) do
+    {:reply, {:text, Poison.encode!(conversation_error("Chat system not available"))}, state}
+  end
+
+  defp handle_set_system_prompt(prompt, %{chat_pid: chat_pid} = state) do
+    case String.trim(prompt) do
+      "" ->
+        {:reply, {:text, Poison.encode!(conversation_error("The system prompt is empty"))},
+         state}
+
+      prompt ->
+        Chat.set_system_prompt(chat_pid, prompt)
+
+        message = %{
+          type: "system",
+          content: "System prompt updated for this session",
+          timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+        }
+
+        {:reply, {:text, Poison.encode!(message)}, state}
+    end
+  catch
+    :exit, _ ->
+      message = "Wait for the AI to finish before changing the system prompt"
+      {:reply, {:text, Poison.encode!(conversation_error(message))}, state}
+  end
+
+  # The tools the model can call, and whether they wait for the user's approval
+  defp tool_list do
+    tools =
+      Enum.map(Tools.get_tools(), fn %{"function" => function} ->
+        %{
+          name: function["name"],
+          description: function["description"],
+          needs_approval: Permissions.gated?(function["name"])
+        }
+      end)
+
+    %{type: "tools", tools: tools, permission_mode: Permissions.mode()}
   end
 
   defp handle_stop_ai(state) do
@@ -1155,6 +1431,9 @@ defmodule Exterm.ChatSocket do
     # Update the session status in AppState instead of local state
     AppState.update_ai_session_status(session_id, :stopped)
 
+    # A tool call waiting for approval is denied rather than left hanging
+    state = cancel_pending_permission(state)
+
     # Send stop confirmation to frontend
     stop_msg = %{
       type: "ai_status",
@@ -1253,19 +1532,559 @@ defmodule Exterm.ChatSocket do
     {:ok, state}
   end
 
+  defp handle_revert_file_change(change_id, force, state) do
+    reply =
+      case FileChanges.revert(change_id, force: force) do
+        {:ok, change} ->
+          # Let the AI know, so it doesn't assume its edit is still there. The chat
+          # may be busy with a tool call, so don't block the socket on it.
+          if is_pid(state.chat_pid) do
+            chat_pid = state.chat_pid
+
+            Task.start(fn ->
+              Chat.add_system_message(
+                chat_pid,
+                "The user reverted your #{change.tool_name} change to #{change.path}; the file is back to its previous content."
+              )
+            end)
+          end
+
+          %{type: "file_change_reverted", change_id: change_id, status: "reverted"}
+
+        {:error, :conflict} ->
+          %{
+            type: "file_change_reverted",
+            change_id: change_id,
+            status: "conflict",
+            error: "The file was modified after this change"
+          }
+
+        {:error, reason} ->
+          %{
+            type: "file_change_reverted",
+            change_id: change_id,
+            status: "failed",
+            error: revert_error(reason)
+          }
+      end
+
+    {:reply, {:text, Poison.encode!(reply)}, state}
+  end
+
+  defp conversation_list(query, state) do
+    %{
+      type: "conversations",
+      conversations: ConversationStore.list(query),
+      query: query,
+      current_id: current_conversation_id(state)
+    }
+  end
+
+  defp current_conversation_id(%{chat_pid: nil}), do: nil
+
+  defp current_conversation_id(%{chat_pid: chat_pid}) do
+    Chat.conversation_id(chat_pid)
+  catch
+    :exit, _ -> nil
+  end
+
+  defp conversation_error(message) do
+    %{type: "error", content: message, timestamp: DateTime.utc_now() |> DateTime.to_iso8601()}
+  end
+
+  defp handle_open_conversation(_id, %{chat_pid: nil} = state) do
+    {:reply, {:text, Poison.encode!(conversation_error("Chat system not available"))}, state}
+  end
+
+  defp handle_open_conversation(id, %{chat_pid: chat_pid} = state) do
+    reply =
+      with {:ok, conversation} <- ConversationStore.get(id),
+           {:ok, _count} <-
+             Chat.import_conversation(chat_pid, conversation["messages"] || [],
+               conversation_id: id,
+               usage: conversation["usage"]
+             ) do
+        # Each conversation continues with the settings it was saved with
+        case llm_settings(conversation["config"] || %{}) do
+          {:ok, settings} -> Chat.update_config(chat_pid, settings)
+          {:error, _message} -> :ok
+        end
+
+        opened = %{
+          type: "conversation_opened",
+          id: id,
+          title: conversation["title"],
+          messages: Branches.view(Chat.get_history(chat_pid))
+        }
+
+        [{:text, Poison.encode!(opened)}, {:text, Poison.encode!(llm_config(state))}]
+      else
+        {:error, :not_found} ->
+          {:text, Poison.encode!(conversation_error("That conversation no longer exists"))}
+      end
+
+    {:reply, reply, state}
+  catch
+    # The chat is in the middle of a response (e.g. waiting for an approval)
+    :exit, _ ->
+      {:reply,
+       {:text, Poison.encode!(conversation_error("Stop the AI before switching conversations"))},
+       state}
+  end
+
+  defp start_stream(chat_pid, :reply), do: Chat.stream_reply(chat_pid)
+  defp start_stream(chat_pid, content), do: Chat.stream_chat(chat_pid, content)
+
+  defp handle_history_change(_change, %{chat_pid: nil} = state) do
+    {:reply, {:text, Poison.encode!(conversation_error("Chat system not available"))}, state}
+  end
+
+  # The chat is redrawn from the changed history; edits and regenerations then
+  # get a new response
+  defp handle_history_change(change, %{chat_pid: chat_pid} = state) do
+    result =
+      case change do
+        {:edit, id, content} ->
+          Chat.edit_message(chat_pid, id, content)
+
+        {:regenerate, model} ->
+          # Another model is used for this response only, not the rest of the chat
+          opts = if is_binary(model) and model != "", do: [model: model], else: []
+          Chat.regenerate(chat_pid, opts)
+
+        {:switch_branch, id, index} ->
+          Chat.switch_branch(chat_pid, id, index)
+
+        {:delete, id} ->
+          Chat.delete_message(chat_pid, id)
+      end
+
+    case result do
+      :ok ->
+        id = current_conversation_id(state)
+
+        frames =
+          Enum.map(
+            [conversation_view(chat_pid, id), llm_config(state)],
+            &{:text, Poison.encode!(&1)}
+          )
+
+        if elem(change, 0) in [:edit, :regenerate] do
+          {:reply, reply, state} = handle_chat_message(:reply, state)
+          {:reply, frames ++ [reply], state}
+        else
+          {:reply, frames, state}
+        end
+
+      {:error, :branched} ->
+        message = "Switch to another branch or delete the messages after this one first"
+        {:reply, {:text, Poison.encode!(conversation_error(message))}, state}
+
+      {:error, _reason} ->
+        message = "That message is no longer in the conversation"
+        {:reply, {:text, Poison.encode!(conversation_error(message))}, state}
+    end
+  catch
+    # The chat is in the middle of a response (e.g. waiting for an approval)
+    :exit, _ ->
+      message = "Wait for the AI to finish before changing the conversation"
+      {:reply, {:text, Poison.encode!(conversation_error(message))}, state}
+  end
+
+  # The chat as the browser draws it: the active branch of the history
+  defp conversation_view(chat_pid, id) do
+    title =
+      case ConversationStore.get(id) do
+        {:ok, conversation} -> conversation["title"]
+        {:error, _reason} -> nil
+      end
+
+    %{
+      type: "conversation_opened",
+      id: id,
+      title: title,
+      messages: Branches.view(Chat.get_history(chat_pid))
+    }
+  end
+
+  defp handle_new_conversation(%{chat_pid: nil} = state) do
+    {:reply, {:text, Poison.encode!(conversation_error("Chat system not available"))}, state}
+  end
+
+  defp handle_new_conversation(%{chat_pid: chat_pid} = state) do
+    Chat.clear_history(chat_pid)
+
+    opened = %{
+      type: "conversation_opened",
+      id: current_conversation_id(state),
+      title: nil,
+      messages: []
+    }
+
+    {:reply, {:text, Poison.encode!(opened)}, state}
+  end
+
+  defp handle_rename_conversation(id, title, state) do
+    case String.trim(title) do
+      "" -> :ok
+      title -> ConversationStore.rename(id, String.slice(title, 0, 200))
+    end
+
+    {:reply, {:text, Poison.encode!(conversation_list(nil, state))}, state}
+  end
+
+  defp handle_delete_conversation(id, state) do
+    ConversationStore.delete(id)
+
+    # Deleting the open conversation leaves an empty new one behind
+    if id == current_conversation_id(state) do
+      {:reply, {:text, opened}, state} = handle_new_conversation(state)
+      list = Poison.encode!(conversation_list(nil, state))
+      {:reply, [{:text, opened}, {:text, list}], state}
+    else
+      {:reply, {:text, Poison.encode!(conversation_list(nil, state))}, state}
+    end
+  end
+
+  # The model list can take a while to fetch, so it is sent when it arrives
+  defp handle_list_models(name, state) do
+    websocket_pid = self()
+
+    provider =
+      case Provider.parse_name(name) do
+        {:ok, provider} -> provider
+        :error -> Provider.default()
+      end
+
+    Task.start(fn ->
+      message =
+        case Models.list(provider) do
+          {:ok, models} -> %{type: "models", provider: provider, models: models}
+          {:error, reason} -> %{type: "models", provider: provider, models: [], error: reason}
+        end
+
+      send(websocket_pid, {:send_message, message})
+    end)
+
+    {:ok, state}
+  end
+
+  defp handle_update_llm_config(_config, %{chat_pid: nil} = state) do
+    {:reply, {:text, Poison.encode!(conversation_error("Chat system not available"))}, state}
+  end
+
+  defp handle_update_llm_config(config, %{chat_pid: chat_pid} = state) do
+    case llm_settings(config) do
+      {:ok, settings} ->
+        # Model names differ between providers, so a new provider starts on its default
+        settings =
+          case Keyword.fetch(settings, :provider) do
+            {:ok, provider} ->
+              Keyword.put_new(settings, :model, Provider.settings(provider).default_model)
+
+            :error ->
+              settings
+          end
+
+        Chat.update_config(chat_pid, settings)
+        {:reply, {:text, Poison.encode!(llm_config(state))}, state}
+
+      {:error, message} ->
+        frames = [conversation_error(message), llm_config(state)]
+        {:reply, Enum.map(frames, &{:text, Poison.encode!(&1)}), state}
+    end
+  catch
+    # The chat is busy running tools (e.g. waiting for an approval)
+    :exit, _ ->
+      frames = [conversation_error("Wait for the AI to finish before changing settings")]
+      {:reply, Enum.map(frames, &{:text, Poison.encode!(&1)}), state}
+  end
+
+  defp llm_config(%{chat_pid: nil}),
+    do: %{type: "llm_config", config: nil, providers: Provider.list(), usage: nil}
+
+  # The conversation's token usage comes along, so opening a chat shows its totals
+  defp llm_config(%{chat_pid: chat_pid}) do
+    config = Chat.get_config(chat_pid)
+
+    %{
+      type: "llm_config",
+      config: Map.take(config, [:provider, :model, :temperature, :max_tokens, :reasoning_effort]),
+      providers: Provider.list(),
+      usage: Chat.get_usage(chat_pid)
+    }
+  catch
+    :exit, _ -> %{type: "llm_config", config: nil, providers: Provider.list(), usage: nil}
+  end
+
+  # Validate settings sent by the browser (or saved with a conversation) into
+  # options for Chat.update_config/2; missing keys are left as they are
+  defp llm_settings(config) do
+    Enum.reduce_while(config, {:ok, []}, fn {key, value}, {:ok, settings} ->
+      case llm_setting(key, value) do
+        {:ok, nil} -> {:cont, {:ok, settings}}
+        {:ok, setting} -> {:cont, {:ok, [setting | settings]}}
+        {:error, message} -> {:halt, {:error, message}}
+      end
+    end)
+  end
+
+  defp llm_setting("provider", name) do
+    case Provider.parse_name(name) do
+      {:ok, provider} -> {:ok, {:provider, provider}}
+      :error -> {:error, "Unknown provider #{inspect(name)}"}
+    end
+  end
+
+  defp llm_setting("model", model) when is_binary(model) and model != "",
+    do: {:ok, {:model, model}}
+
+  defp llm_setting("temperature", temperature)
+       when is_number(temperature) and temperature >= 0 and temperature <= 2,
+       do: {:ok, {:temperature, temperature}}
+
+  defp llm_setting("max_tokens", max_tokens) when is_integer(max_tokens) and max_tokens > 0,
+    do: {:ok, {:max_tokens, max_tokens}}
+
+  defp llm_setting("reasoning_effort", effort) when effort in [nil, "low", "medium", "high"],
+    do: {:ok, {:reasoning_effort, effort}}
+
+  defp llm_setting(key, _value) when key in ["model", "temperature", "max_tokens"],
+    do: {:error, "Invalid #{String.replace(key, "_", " ")}"}
+
+  defp llm_setting("reasoning_effort", _value), do: {:error, "Invalid reasoning effort"}
+
+  # Other keys, e.g. the metadata saved with a conversation, are not settings
+  defp llm_setting(_key, _value), do: {:ok, nil}
+
+  defp revert_error(:not_found), do: "This change is too old to revert"
+  defp revert_error(:already_reverted), do: "This change was already reverted"
+  defp revert_error(reason) when is_atom(reason), do: :file.format_error(reason) |> to_string()
+  defp revert_error(reason), do: inspect(reason)
+
+  # The process that asked waits for the decision in Exterm.Llm.Permissions.
+  # Unknown ids, e.g. for a request that expired, are dropped.
+  defp handle_permission_decision(id, decision, reason, state) do
+    {waiting_pid, pending} = state |> Map.get(:pending_permissions, %{}) |> Map.pop(id)
+
+    if waiting_pid && Permissions.valid_decision?(decision) do
+      send(waiting_pid, {:permission_decision, id, decision, reason})
+      {:ok, Map.put(state, :pending_permissions, pending)}
+    else
+      {:ok, state}
+    end
+  end
+
+  defp track_permission(state, %{type: "permission_expired", id: id}) do
+    Map.update(state, :pending_permissions, %{}, &Map.delete(&1, id))
+  end
+
+  defp track_permission(state, _message), do: state
+
+  # Each waiting request is denied with its own id, so a stop can't deny a
+  # later, unrelated one
+  defp cancel_pending_permission(state) do
+    state
+    |> Map.get(:pending_permissions, %{})
+    |> Enum.each(fn {id, waiting_pid} -> send(waiting_pid, {:permissions_cancelled, id}) end)
+
+    Map.put(state, :pending_permissions, %{})
+  end
+
+  # Run a code block from an AI answer. It is terminal input like the AI's own,
+  # so it needs the same approval: the permission dialog unless the mode or the
+  # allow-list lets it through.
+  defp handle_run_code_block(block_id, command, terminal_session_id, state) do
+    websocket_pid = self()
+
+    Task.start(fn ->
+      arguments = %{"command" => command}
+
+      case Permissions.authorize("send_to_terminal", arguments, MapSet.new(), websocket_pid) do
+        {:allow, _grants} ->
+          send(websocket_pid, {:run_code_block, block_id, command, terminal_session_id})
+
+        {:deny, reason, _grants} ->
+          result = command_result(block_id, command, "failed", reason)
+          send(websocket_pid, {:send_message, result})
+      end
+    end)
+
+    {:ok, state}
+  end
+
+  # Run a command suggestion the user approved in the linked terminal. The card
+  # is told right away whether the command was sent, then gets its output.
+  defp handle_run_command(suggestion_id, command, terminal_session_id, state) do
+    terminal_session_id =
+      terminal_session_id || TerminalChatBridge.get_terminal_session_id(self())
+
+    started_at = DateTime.utc_now()
+
+    case TerminalChatBridge.execute_approved_command(terminal_session_id, command) do
+      {:ok, message} ->
+        websocket_pid = self()
+
+        Task.start(fn ->
+          output = await_command_output(terminal_session_id, started_at)
+
+          send(
+            websocket_pid,
+            {:send_message, command_result(suggestion_id, command, "completed", output)}
+          )
+        end)
+
+        {:reply, {:text, Poison.encode!(command_result(suggestion_id, command, "sent", message))},
+         state}
+
+      {:error, reason} ->
+        {:reply,
+         {:text, Poison.encode!(command_result(suggestion_id, command, "failed", reason))},
+         state}
+    end
+  end
+
+  # Write a code block from an AI answer to a file. It goes through the
+  # create_file tool like the AI's own writes, so the chat gets a diff card
+  # that can revert it. An existing file is only replaced once the user agrees.
+  defp handle_save_code_block(block_id, path, content, overwrite, state) do
+    path = String.trim(path)
+    full_path = resolve_save_path(path)
+
+    reply =
+      cond do
+        path == "" ->
+          code_block_saved(block_id, path, "failed", "No path given")
+
+        File.dir?(full_path) ->
+          code_block_saved(block_id, path, "failed", "#{path} is a directory")
+
+        File.exists?(full_path) and not overwrite ->
+          code_block_saved(block_id, path, "exists", "#{path} already exists")
+
+        true ->
+          arguments = %{"path" => full_path, "content" => content}
+
+          result =
+            FileChanges.track(block_id, "create_file", arguments, self(), fn ->
+              Tools.execute_tool("create_file", arguments, self())
+            end)
+
+          case result do
+            %{"success" => true} -> code_block_saved(block_id, path, "saved", full_path)
+            %{"error" => error} -> code_block_saved(block_id, path, "failed", error)
+          end
+      end
+
+    {:reply, {:text, Poison.encode!(reply)}, state}
+  end
+
+  # Relative paths are in the linked terminal's directory, like the file API's
+  defp resolve_save_path("~" <> _ = path), do: Path.expand(path)
+  defp resolve_save_path("/" <> _ = path), do: Path.expand(path)
+
+  defp resolve_save_path(path) do
+    cwd =
+      with terminal_session_id when is_binary(terminal_session_id) <-
+             TerminalChatBridge.get_terminal_session_id(self()),
+           {:ok, cwd} <- TerminalChatBridge.terminal_cwd(terminal_session_id) do
+        cwd
+      else
+        _ -> File.cwd!()
+      end
+
+    Path.expand(path, cwd)
+  end
+
+  defp code_block_saved(block_id, path, status, content) do
+    %{type: "code_block_saved", block_id: block_id, path: path, status: status, content: content}
+  end
+
+  defp handle_set_watch(data, state) do
+    config = %{"mode" => data["mode"], "triggers" => data["triggers"]}
+
+    msg =
+      case TerminalChatBridge.set_watch(self(), config) do
+        {:ok, watch} -> Map.merge(%{type: "watch_status", status: "ok"}, watch)
+        {:error, message} -> %{type: "watch_status", status: "error", content: message}
+      end
+
+    {:reply, {:text, Poison.encode!(msg)}, state}
+  end
+
+  defp watch_event(event, status, why) do
+    %{
+      type: "watch_event",
+      status: status,
+      reason: event.reason,
+      why: why,
+      terminal_session_id: event.terminal_session_id,
+      timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+    }
+  end
+
+  # Whether a response is streaming. A stream that never ended, e.g. after a
+  # crash, stops counting once a chat call would have timed out.
+  defp responding?(state) do
+    case Map.get(state, :responding_since) do
+      nil -> false
+      since -> System.monotonic_time(:millisecond) - since < @responding_timeout
+    end
+  end
+
+  defp command_result(suggestion_id, command, status, content) do
+    %{
+      type: "command_result",
+      suggestion_id: suggestion_id,
+      command: command,
+      status: status,
+      content: content,
+      timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+    }
+  end
+
+  # Collect output until the terminal has been quiet for a moment or the timeout passes
+  defp await_command_output(terminal_session_id, started_at, waited \\ 0, previous \\ nil) do
+    :timer.sleep(250)
+    output = TerminalHistory.get_output_since(terminal_session_id, started_at)
+
+    if (output != "" and output == previous) or waited >= @command_output_timeout do
+      clean_command_output(output)
+    else
+      await_command_output(terminal_session_id, started_at, waited + 250, output)
+    end
+  end
+
+  # Plain text for display: no escape sequences, no invalid UTF-8, only the tail of long output
+  defp clean_command_output(output) do
+    text = output |> TerminalHistory.plain_text() |> String.trim()
+
+    if String.length(text) > @command_output_max_chars do
+      "…" <> String.slice(text, -@command_output_max_chars..-1)
+    else
+      text
+    end
+  end
+
   # Helper function to check API key configuration
   defp check_api_keys do
     groq_key = System.get_env("GROQ_API_KEY")
     deepinfra_key = System.get_env("DEEPINFRA_API_KEY")
     openrouter_key = System.get_env("OPENROUTER_API_KEY")
+    anthropic_key = System.get_env("ANTHROPIC_API_KEY")
 
     cond do
-      is_nil(groq_key) and is_nil(deepinfra_key) and is_nil(openrouter_key) ->
+      # A local server needs no key
+      Provider.default() == :local ->
+        :ok
+
+      is_nil(groq_key) and is_nil(deepinfra_key) and is_nil(openrouter_key) and
+          is_nil(anthropic_key) ->
         {:warning,
          "No API keys found. Please set API keys in start.sh and restart the application."}
 
       String.length(groq_key || "") < 10 and String.length(deepinfra_key || "") < 10 and
-          String.length(openrouter_key || "") < 10 ->
+          String.length(openrouter_key || "") < 10 and String.length(anthropic_key || "") < 10 ->
         {:warning, "API keys appear to be invalid. Please check your keys in start.sh."}
 
       true ->
@@ -1273,6 +2092,13 @@ defmodule Exterm.ChatSocket do
     end
   end
 
+  # The last chunk of a stream carries the response's token usage, sometimes
+  # alongside a delta, so it is looked for in every chunk
+  defp record_usage(chat_pid, %{"usage" => usage}) when is_map(usage),
+    do: Chat.record_usage(chat_pid, usage)
+
+  defp record_usage(_chat_pid, _chunk), do: :ok
+
   # Helper function to merge streaming tool calls
   defp merge_tool_calls(existing_calls, new_delta_calls) do
     # In streaming, tool calls come as deltas that need to be merged
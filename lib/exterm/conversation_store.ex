@@ -0,0 +1,239 @@
+defmodule Exterm.ConversationStore do
+  @moduledoc """
+  Saves chat conversations to disk so they survive page reloads and restarts.
+
+  Every conversation is one JSON file in the conversations directory, holding
+  what `Exterm.Llm.Chat.export_conversation/1` returns plus an id, a title and
+  timestamps. The directory comes from `EXTERM_CONVERSATIONS_DIR` or the
+  `:conversations_dir` config.
+  """
+
+  use GenServer
+
+  alias Exterm.Llm.Attachments
+
+  @default_dir "~/.exterm/conversations"
+  @title_length 60
+
+  def start_link(_) do
+    GenServer.start_link(__MODULE__, %{}, name: __MODULE__)
+  end
+
+  def init(_) do
+    dir = conversations_dir()
+
+    case File.mkdir_p(dir) do
+      :ok -> :ok
+      {:error, reason} -> IO.puts("ConversationStore: Cannot create #{dir}: #{reason}")
+    end
+
+    {:ok, %{dir: dir, conversations: load_all(dir)}}
+  end
+
+  @doc """
+  Summaries of the saved conversations, most recently updated first. With a
+  query, only conversations whose title or messages contain it are listed.
+  """
+  def list(query \\ nil) do
+    GenServer.call(__MODULE__, {:list, query})
+  end
+
+  @doc """
+  A saved conversation with its messages, or `{:error, :not_found}`.
+  """
+  def get(id) do
+    GenServer.call(__MODULE__, {:get, id})
+  end
+
+  @doc """
+  Save an exported conversation. The title is taken from the first user
+  message unless the conversation was renamed.
+  """
+  def save(id, conversation) do
+    GenServer.cast(__MODULE__, {:save, id, conversation})
+  end
+
+  @doc """
+  Give a conversation a new title.
+  """
+  def rename(id, title) do
+    GenServer.call(__MODULE__, {:rename, id, title})
+  end
+
+  @doc """
+  Remove a conversation and its file.
+  """
+  def delete(id) do
+    GenServer.call(__MODULE__, {:delete, id})
+  end
+
+  # GenServer callbacks
+
+  def handle_call({:list, query}, _from, state) do
+    summaries =
+      state.conversations
+      |> Map.values()
+      |> Enum.filter(&matches?(&1, query))
+      |> Enum.sort_by(& &1["updated_at"], :desc)
+      |> Enum.map(&summary/1)
+
+    {:reply, summaries, state}
+  end
+
+  def handle_call({:get, id}, _from, state) do
+    case Map.fetch(state.conversations, id) do
+      {:ok, conversation} -> {:reply, {:ok, conversation}, state}
+      :error -> {:reply, {:error, :not_found}, state}
+    end
+  end
+
+  def handle_call({:rename, id, title}, _from, state) do
+    case Map.fetch(state.conversations, id) do
+      {:ok, conversation} ->
+        conversation = Map.merge(conversation, %{"title" => title, "renamed" => true})
+        write_reply(state, conversation)
+
+      :error ->
+        {:reply, {:error, :not_found}, state}
+    end
+  end
+
+  def handle_call({:delete, id}, _from, state) do
+    case Map.pop(state.conversations, id) do
+      {nil, _conversations} ->
+        {:reply, {:error, :not_found}, state}
+
+      {_conversation, conversations} ->
+        case File.rm(path_for(state.dir, id)) do
+          result when result in [:ok, {:error, :enoent}] ->
+            {:reply, :ok, %{state | conversations: conversations}}
+
+          {:error, reason} ->
+            {:reply, {:error, reason}, state}
+        end
+    end
+  end
+
+  def handle_cast({:save, id, exported}, state) do
+    now = DateTime.utc_now() |> DateTime.to_iso8601()
+    # Round-trip through JSON so the cache looks like what is read back from disk
+    exported = exported |> Jason.encode!() |> Jason.decode!()
+    existing = Map.get(state.conversations, id, %{"created_at" => now})
+
+    conversation =
+      existing
+      |> Map.merge(%{
+        "id" => id,
+        "messages" => exported["messages"],
+        "config" => exported["config"],
+        # Token and cost totals, restored when the conversation is reopened
+        "usage" => exported["usage"],
+        "updated_at" => now
+      })
+      |> then(fn conversation ->
+        if conversation["renamed"],
+          do: conversation,
+          else: Map.put(conversation, "title", derive_title(exported["messages"]))
+      end)
+
+    case write(state.dir, conversation) do
+      :ok ->
+        {:noreply, %{state | conversations: Map.put(state.conversations, id, conversation)}}
+
+      {:error, reason} ->
+        IO.puts("ConversationStore: Failed to save #{id}: #{inspect(reason)}")
+        {:noreply, state}
+    end
+  end
+
+  # Private helper functions
+
+  defp conversations_dir do
+    (System.get_env("EXTERM_CONVERSATIONS_DIR") ||
+       Application.get_env(:exterm, :conversations_dir, @default_dir))
+    |> Path.expand()
+  end
+
+  defp path_for(dir, id), do: Path.join(dir, "#{id}.json")
+
+  defp load_all(dir) do
+    dir
+    |> Path.join("*.json")
+    |> Path.wildcard()
+    |> Enum.reduce(%{}, fn path, acc ->
+      with {:ok, json} <- File.read(path),
+           {:ok, %{"id" => id} = conversation} <- Jason.decode(json) do
+        Map.put(acc, id, conversation)
+      else
+        _ ->
+          IO.puts("ConversationStore: Skipping unreadable conversation #{path}")
+          acc
+      end
+    end)
+  end
+
+  defp write(dir, conversation) do
+    # Write to a temporary file first so a crash can't leave half a conversation
+    path = path_for(dir, conversation["id"])
+    tmp_path = path <> ".tmp"
+
+    with {:ok, json} <- Jason.encode(conversation, pretty: true),
+         :ok <- File.write(tmp_path, json) do
+      File.rename(tmp_path, path)
+    end
+  end
+
+  defp write_reply(state, conversation) do
+    case write(state.dir, conversation) do
+      :ok ->
+        conversations = Map.put(state.conversations, conversation["id"], conversation)
+        {:reply, :ok, %{state | conversations: conversations}}
+
+      {:error, reason} ->
+        {:reply, {:error, reason}, state}
+    end
+  end
+
+  defp summary(conversation) do
+    %{
+      id: conversation["id"],
+      title: conversation["title"],
+      created_at: conversation["created_at"],
+      updated_at: conversation["updated_at"],
+      message_count:
+        Enum.count(conversation["messages"] || [], fn message ->
+          message["role"] in ["user", "assistant"] and text?(message)
+        end)
+    }
+  end
+
+  defp matches?(_conversation, query) when query in [nil, ""], do: true
+
+  defp matches?(conversation, query) do
+    query = String.downcase(query)
+
+    String.contains?(String.downcase(conversation["title"] || ""), query) or
+      Enum.any?(conversation["messages"] || [], fn message ->
+        message["role"] in ["user", "assistant"] and
+          String.contains?(String.downcase(Attachments.text(message["content"])), query)
+      end)
+  end
+
+  defp text?(%{"content" => content}), do: String.trim(Attachments.text(content)) != ""
+  defp text?(_message), do: false
+
+  defp derive_title(messages) do
+    case Enum.find(messages || [], &(&1["role"] == "user" and text?(&1))) do
+      nil ->
+        "New chat"
+
+      %{"content" => content} ->
+        content
+        |> Attachments.text()
+        |> String.trim()
+        |> String.split("\n", parts: 2)
+        |> hd()
+        |> String.slice(0, @title_length)
+    end
+  end
+end
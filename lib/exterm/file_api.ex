@@ -0,0 +1,190 @@
+defmodule Exterm.FileApi do
+  @moduledoc """
+  HTTP endpoints the browser uses to browse, open and save files, e.g. in the
+  explorer or when a path printed in the terminal is clicked. They go through
+  the same `list_files`, `read_file` and `update_file` tools the AI uses, so
+  both see files the same way.
+
+  Full reads return a `version` (a hash of the content). Saving sends it back,
+  and the write is refused with 409 when the file changed on disk since.
+
+  Relative paths are resolved against the working directory of the terminal
+  session given by the `session` token, falling back to the server's cwd.
+  """
+
+  use Plug.Router
+
+  alias Exterm.Llm.Tools.File, as: FileTools
+  alias Exterm.TerminalSession
+
+  # Larger files are not useful to show in the browser viewer
+  @max_read_bytes 5_000_000
+
+  plug(:match)
+  plug(Plug.Parsers, parsers: [:urlencoded, :json], json_decoder: Poison)
+  plug(:dispatch)
+
+  # GET /api/files/read?path=lib/app.ex&session=<token>[&start_line=1&end_line=20]
+  get "/read" do
+    case conn.query_params["path"] do
+      path when path in [nil, ""] ->
+        send_json(conn, 400, %{"success" => false, "error" => "Missing path parameter"})
+
+      path ->
+        resolved = resolve_path(path, conn.query_params["session"])
+
+        case File.stat(resolved) do
+          {:ok, %File.Stat{type: :regular, size: size}} when size > @max_read_bytes ->
+            send_json(conn, 413, %{
+              "success" => false,
+              "path" => resolved,
+              "error" => "File is too large to display (#{size} bytes)"
+            })
+
+          {:ok, %File.Stat{type: :regular}} ->
+            params =
+              %{"path" => resolved}
+              |> put_line_param(conn.query_params, "start_line")
+              |> put_line_param(conn.query_params, "end_line")
+
+            case FileTools.read_file(params, nil) do
+              %{"success" => true, "content" => content} = result ->
+                if String.valid?(content) do
+                  result =
+                    if Map.has_key?(result, "lines_shown"),
+                      do: result,
+                      else: Map.put(result, "version", version(content))
+
+                  send_json(conn, 200, Map.put(result, "requested_path", path))
+                else
+                  send_json(conn, 415, %{
+                    "success" => false,
+                    "path" => resolved,
+                    "error" => "Binary files can't be displayed"
+                  })
+                end
+
+              result ->
+                send_json(conn, 422, Map.put(result, "requested_path", path))
+            end
+
+          {:ok, %File.Stat{type: type}} ->
+            send_json(conn, 422, %{
+              "success" => false,
+              "path" => resolved,
+              "error" => "Not a regular file (#{type})"
+            })
+
+          {:error, reason} ->
+            send_json(conn, 404, %{
+              "success" => false,
+              "path" => resolved,
+              "error" => "Failed to open file: #{reason}"
+            })
+        end
+    end
+  end
+
+  # GET /api/files/list?path=lib&session=<token>[&show_hidden=true]
+  # Without a path, lists the working directory of the session
+  get "/list" do
+    path =
+      case conn.query_params["path"] do
+        path when path in [nil, ""] -> "."
+        path -> path
+      end
+
+    resolved = resolve_path(path, conn.query_params["session"])
+    params = %{"path" => resolved, "show_hidden" => conn.query_params["show_hidden"] == "true"}
+
+    case FileTools.list_files(params, nil) do
+      %{"success" => true, "files" => files} = result ->
+        files = Enum.map(files, &Map.put(&1, "path", Path.join(resolved, &1["name"])))
+        send_json(conn, 200, %{result | "files" => files})
+
+      result ->
+        send_json(conn, 404, Map.put(result, "path", resolved))
+    end
+  end
+
+  # PUT /api/files/write with a JSON body:
+  # {"path": ..., "content": ..., "session": ..., "version": ..., "force": false}
+  put "/write" do
+    case conn.body_params do
+      %{"path" => path, "content" => content} = params
+      when is_binary(path) and path != "" and is_binary(content) ->
+        resolved = resolve_path(path, params["session"])
+        current = current_version(resolved)
+
+        if params["force"] != true and current != params["version"] do
+          send_json(conn, 409, %{
+            "success" => false,
+            "conflict" => true,
+            "path" => resolved,
+            "version" => current,
+            "error" => "The file changed on disk since it was opened"
+          })
+        else
+          case FileTools.update_file(%{"path" => resolved, "content" => content}, nil) do
+            %{"success" => true} = result ->
+              send_json(conn, 200, Map.merge(result, %{"path" => resolved, "version" => version(content)}))
+
+            result ->
+              send_json(conn, 422, Map.put(result, "path", resolved))
+          end
+        end
+
+      _ ->
+        send_json(conn, 400, %{"success" => false, "error" => "Missing path or content"})
+    end
+  end
+
+  match _ do
+    send_json(conn, 404, %{"success" => false, "error" => "Not Found"})
+  end
+
+  # Private helper functions
+
+  defp resolve_path(path, session_token) do
+    case path do
+      "~" <> _ -> Path.expand(path)
+      "/" <> _ -> Path.expand(path)
+      _ -> Path.expand(path, session_cwd(session_token))
+    end
+  end
+
+  defp session_cwd(token) do
+    with true <- TerminalSession.valid_token?(token),
+         pid when is_pid(pid) <- TerminalSession.lookup(token),
+         {:ok, cwd} <- TerminalSession.cwd(pid) do
+      cwd
+    else
+      _ -> File.cwd!()
+    end
+  end
+
+  defp version(content) do
+    :crypto.hash(:sha256, content) |> Base.encode16(case: :lower)
+  end
+
+  # nil when the file doesn't exist (or can't be read)
+  defp current_version(path) do
+    case File.read(path) do
+      {:ok, content} -> version(content)
+      {:error, _reason} -> nil
+    end
+  end
+
+  defp put_line_param(params, query_params, key) do
+    case Integer.parse(query_params[key] || "") do
+      {line, ""} when line > 0 -> Map.put(params, key, line)
+      _ -> params
+    end
+  end
+
+  defp send_json(conn, status, body) do
+    conn
+    |> put_resp_content_type("application/json")
+    |> send_resp(status, Poison.encode!(body))
+  end
+end
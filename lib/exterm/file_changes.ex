@@ -0,0 +1,177 @@
+defmodule Exterm.FileChanges do
+  @moduledoc """
+  Remembers the content of files before and after the AI changed them, so the
+  chat can show a diff of every edit and revert it.
+  """
+
+  use GenServer
+
+  alias Exterm.Llm.Diff
+
+  # Tools whose effect on a file is recorded
+  @tracked_tools [
+    "create_file",
+    "update_file",
+    "append_to_file",
+    "delete_file",
+    "edit_lines",
+    "find_and_replace_in_file"
+  ]
+
+  # Keep the most recent changes only
+  @max_changes 100
+  # Files bigger than this (or not UTF-8 text) are changed without a snapshot
+  @max_snapshot_bytes 1_000_000
+
+  defstruct changes: %{}, order: []
+
+  def start_link(_) do
+    GenServer.start_link(__MODULE__, %{}, name: __MODULE__)
+  end
+
+  def init(_) do
+    {:ok, %__MODULE__{}}
+  end
+
+  @doc """
+  Run a tool call through `fun` and record what it did to its file. When the
+  file changed, a `file_change` message with the diff is sent to the chat socket.
+  Returns the tool result unchanged.
+  """
+  def track(tool_call_id, tool_name, %{"path" => path}, chat_socket_pid, fun)
+      when tool_name in @tracked_tools and is_binary(path) do
+    full_path = Path.expand(path)
+
+    case snapshot(full_path) do
+      {:ok, before} ->
+        result = fun.()
+
+        with %{"success" => true} <- result,
+             {:ok, after_content} when after_content != before <- snapshot(full_path) do
+          change = %{
+            id: "change_#{:erlang.unique_integer([:positive])}",
+            tool_call_id: tool_call_id,
+            tool_name: tool_name,
+            path: path,
+            full_path: full_path,
+            before: before,
+            after: after_content,
+            reverted: false
+          }
+
+          GenServer.cast(__MODULE__, {:record, change})
+          notify(chat_socket_pid, change)
+        end
+
+        result
+
+      :skip ->
+        fun.()
+    end
+  end
+
+  def track(_tool_call_id, _tool_name, _arguments, _chat_socket_pid, fun), do: fun.()
+
+  @doc """
+  Put a file back the way it was before a recorded change. Unless `force: true`
+  is given, this refuses with `{:error, :conflict}` when the file was modified
+  again after the change.
+  """
+  def revert(change_id, opts \\ []) do
+    GenServer.call(__MODULE__, {:revert, change_id, Keyword.get(opts, :force, false)})
+  end
+
+  # GenServer callbacks
+
+  def handle_cast({:record, change}, state) do
+    {kept, dropped} = Enum.split([change.id | state.order], @max_changes)
+    changes = state.changes |> Map.drop(dropped) |> Map.put(change.id, change)
+
+    {:noreply, %{state | changes: changes, order: kept}}
+  end
+
+  def handle_call({:revert, change_id, force}, _from, state) do
+    case Map.get(state.changes, change_id) do
+      nil ->
+        {:reply, {:error, :not_found}, state}
+
+      %{reverted: true} ->
+        {:reply, {:error, :already_reverted}, state}
+
+      change ->
+        current = snapshot(change.full_path)
+
+        if current != {:ok, change.after} and not force do
+          {:reply, {:error, :conflict}, state}
+        else
+          case restore(change.full_path, change.before) do
+            :ok ->
+              change = %{change | reverted: true}
+              {:reply, {:ok, change}, %{state | changes: Map.put(state.changes, change_id, change)}}
+
+            {:error, reason} ->
+              {:reply, {:error, reason}, state}
+          end
+        end
+    end
+  end
+
+  # Private helper functions
+
+  # File content, nil for a missing file, or :skip when it can't be kept
+  defp snapshot(path) do
+    case File.read(path) do
+      {:ok, content} ->
+        if byte_size(content) <= @max_snapshot_bytes and String.valid?(content) do
+          {:ok, content}
+        else
+          :skip
+        end
+
+      {:error, :enoent} ->
+        {:ok, nil}
+
+      {:error, _reason} ->
+        :skip
+    end
+  end
+
+  defp restore(path, nil) do
+    case File.rm(path) do
+      :ok -> :ok
+      {:error, :enoent} -> :ok
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp restore(path, content) do
+    with :ok <- path |> Path.dirname() |> File.mkdir_p() do
+      File.write(path, content)
+    end
+  end
+
+  defp notify(nil, _change), do: :ok
+
+  defp notify(chat_socket_pid, change) do
+    diff = Diff.unified(change.before, change.after, change.path)
+    %{added: added, removed: removed} = Diff.stats(diff)
+
+    send(
+      chat_socket_pid,
+      {:send_message,
+       %{
+         type: "file_change",
+         change_id: change.id,
+         tool_call_id: change.tool_call_id,
+         tool_name: change.tool_name,
+         path: change.path,
+         created: is_nil(change.before),
+         deleted: is_nil(change.after),
+         diff: diff,
+         added: added,
+         removed: removed,
+         timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+       }}
+    )
+  end
+end
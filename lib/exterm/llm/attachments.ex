@@ -0,0 +1,180 @@
+defmodule Exterm.Llm.Attachments do
+  @moduledoc """
+  Context the user attached to a chat message: files from the explorer, files
+  dropped or pasted into the chat input, images and terminal snapshots.
+
+  An attachment becomes a content part of the message, in OpenAI's format:
+  `%{"type" => "text", "text" => ...}` or
+  `%{"type" => "image_url", "image_url" => %{"url" => "data:..."}}`. Messages
+  with only text parts are joined into one string, which every model takes;
+  an image keeps the parts as a list, which providers forward to vision
+  models (see `Exterm.Llm.Providers.Anthropic` for its own format).
+  """
+
+  alias Exterm.Llm.Tools.File, as: FileTools
+
+  # Larger files are cut off so one attachment can't fill the context window
+  @max_file_bytes 100_000
+  # Files bigger than this aren't read at all
+  @max_read_bytes 5_000_000
+  # The most any provider takes for one image
+  @max_image_bytes 5_000_000
+  @image_types ["image/png", "image/jpeg", "image/gif", "image/webp"]
+
+  @doc """
+  The content of a message with the attachments: the text as it is when there
+  are none. Attachments that can't be included are mentioned with the reason
+  instead of silently dropped.
+  """
+  def content(text, attachments) when is_list(attachments) and attachments != [] do
+    parts = [text_part(text) | Enum.map(attachments, &render/1)]
+
+    if Enum.all?(parts, &(&1["type"] == "text")) do
+      parts |> Enum.map(& &1["text"]) |> Enum.join("\n\n")
+    else
+      parts
+    end
+  end
+
+  def content(text, _attachments), do: text
+
+  @doc """
+  The text of a message's content, with images as `[image]`. For searching,
+  titles and summaries, which only deal in text.
+  """
+  def text(content) when is_list(content) do
+    content
+    |> Enum.map(fn
+      %{"type" => "text", "text" => text} -> text
+      %{"type" => "image_url"} -> "[image]"
+      _part -> ""
+    end)
+    |> Enum.reject(&(&1 == ""))
+    |> Enum.join("\n\n")
+  end
+
+  def text(content) when is_binary(content), do: content
+  def text(_content), do: ""
+
+  @doc """
+  Replace the text the user wrote in a message's content, keeping its
+  attachments. Used when a message is edited.
+  """
+  def replace_text([%{"type" => "text"} | attachments], text) do
+    [text_part(text) | attachments]
+  end
+
+  def replace_text(_content, text), do: text
+
+  @doc """
+  A code fence for `text`: longer than any backtick run in it, so the text
+  can't close the fence.
+  """
+  def fence_for(text) do
+    longest =
+      ~r/`+/
+      |> Regex.scan(text)
+      |> Enum.map(fn [run] -> String.length(run) end)
+      |> Enum.max(fn -> 0 end)
+
+    String.duplicate("`", max(3, longest + 1))
+  end
+
+  # Private helper functions
+
+  defp text_part(text), do: %{"type" => "text", "text" => text}
+
+  defp render(%{"type" => "file", "path" => path}) when is_binary(path) do
+    case File.stat(path) do
+      {:ok, %File.Stat{size: size}} when size > @max_read_bytes ->
+        text_part(
+          "Attached file `#{path}` could not be included: it is too large (#{size} bytes)"
+        )
+
+      _ ->
+        text_part(render_file(path))
+    end
+  end
+
+  # A file the browser read, e.g. one dropped on the chat input
+  defp render(%{"type" => "text", "name" => name, "content" => content})
+       when is_binary(name) and is_binary(content) do
+    if String.valid?(content) do
+      text_part(render_text("Attached file `#{name}`", content, language(name)))
+    else
+      text_part("Attached file `#{name}` could not be included: it is not a text file")
+    end
+  end
+
+  defp render(%{"type" => "terminal", "content" => content} = attachment)
+       when is_binary(content) do
+    name = attachment["name"] || "the terminal"
+    text_part(render_text("Snapshot of #{name} (what is on screen)", content, "console"))
+  end
+
+  defp render(%{"type" => "image", "media_type" => media_type, "data" => data} = attachment)
+       when is_binary(media_type) and is_binary(data) do
+    name = attachment["name"] || "image"
+
+    cond do
+      media_type not in @image_types ->
+        text_part(
+          "Attached image `#{name}` could not be included: #{media_type} is not supported"
+        )
+
+      byte_size(data) > div(@max_image_bytes * 4, 3) + 4 ->
+        text_part("Attached image `#{name}` could not be included: it is larger than 5 MB")
+
+      Base.decode64(data) == :error ->
+        text_part("Attached image `#{name}` could not be included: it is not valid base64")
+
+      true ->
+        %{"type" => "image_url", "image_url" => %{"url" => "data:#{media_type};base64,#{data}"}}
+    end
+  end
+
+  defp render(attachment) do
+    text_part("Attachment could not be included: unsupported attachment #{inspect(attachment)}")
+  end
+
+  defp render_file(path) do
+    case FileTools.read_file(%{"path" => path}, nil) do
+      %{"success" => true, "content" => file_content} ->
+        if String.valid?(file_content) do
+          render_text("Attached file `#{path}`", file_content, language(path))
+        else
+          "Attached file `#{path}` could not be included: it is not a text file"
+        end
+
+      %{"error" => error} ->
+        "Attached file `#{path}` could not be included: #{error}"
+    end
+  end
+
+  defp render_text(title, text, language) do
+    {text, note} = truncate(text)
+    fence = fence_for(text)
+
+    "#{title}#{note}:\n#{fence}#{language}\n#{text}\n#{fence}"
+  end
+
+  defp truncate(text) when byte_size(text) <= @max_file_bytes, do: {text, ""}
+
+  defp truncate(text) do
+    cut = text |> binary_part(0, @max_file_bytes) |> valid_prefix()
+    {cut, " (first #{byte_size(cut)} of #{byte_size(text)} bytes)"}
+  end
+
+  # Drop a multi-byte character the cut went through
+  defp valid_prefix(binary) do
+    if String.valid?(binary) do
+      binary
+    else
+      valid_prefix(binary_part(binary, 0, byte_size(binary) - 1))
+    end
+  end
+
+  defp language(path) do
+    path |> Path.extname() |> String.trim_leading(".")
+  end
+end
@@ -0,0 +1,126 @@
+defmodule Exterm.Llm.Branches do
+  @moduledoc """
+  Alternative versions of a conversation. Editing a user message or
+  regenerating a response forks the history at a user message: the old
+  version of that message, with everything after it, is kept as an
+  alternative so the chat can switch back to it.
+
+  The message at a fork carries the fork:
+    - `:alternatives` - the inactive versions, each a list of messages
+      starting with another version of this message (and possibly holding
+      forks of its own)
+    - `:branch` - the position of the active version among all versions
+
+  Only the active versions are in the history, so the model never sees the
+  others. These functions work on the history's list of messages.
+  """
+
+  @fork_keys [:alternatives, :branch]
+
+  @doc """
+  Replace the message with the given id, and everything after it, with
+  `message`. The old versions stay as alternatives and the new one becomes
+  the last branch.
+
+  Returns `{:ok, messages}` or `{:error, :not_found}`.
+  """
+  def fork(messages, id, message) do
+    with {:ok, before, tail} <- split_at(messages, id) do
+      versions = versions(tail)
+
+      message =
+        message
+        |> Map.drop(@fork_keys)
+        |> Map.merge(%{alternatives: versions, branch: length(versions)})
+
+      {:ok, before ++ [message]}
+    end
+  end
+
+  @doc """
+  Make the version at `index` of the fork at the message with the given id
+  the active one.
+
+  Returns `{:ok, messages}` or `{:error, :not_found}` when there is no such
+  message or version.
+  """
+  def switch(messages, id, index) when is_integer(index) and index >= 0 do
+    with {:ok, before, tail} <- split_at(messages, id),
+         versions = versions(tail),
+         [head | rest] <- Enum.at(versions, index, :not_found) do
+      head = Map.merge(head, %{alternatives: List.delete_at(versions, index), branch: index})
+      {:ok, before ++ [head | rest]}
+    else
+      _ -> {:error, :not_found}
+    end
+  end
+
+  # Enum.at/3 counts negative indexes from the end
+  def switch(_messages, _id, _index), do: {:error, :not_found}
+
+  @doc """
+  Remove the message with the given id. An assistant message takes the
+  results of its tool calls with it, since a result without its call is
+  rejected by the APIs. A fork moves to the message that takes the removed
+  one's place.
+
+  Returns `{:ok, messages}`, `{:error, :not_found}`, or `{:error, :branched}`
+  when the fork has nowhere to go.
+  """
+  def delete(messages, id) do
+    with {:ok, before, [message | rest]} <- split_at(messages, id) do
+      call_ids = Enum.map(message[:tool_calls] || [], & &1["id"])
+      rest = Enum.reject(rest, &(&1.role == "tool" and &1[:tool_call_id] in call_ids))
+
+      case {Map.take(message, @fork_keys), rest} do
+        {fork, _rest} when fork == %{} ->
+          {:ok, before ++ rest}
+
+        {fork, [next | rest]} ->
+          if Map.has_key?(next, :alternatives),
+            do: {:error, :branched},
+            else: {:ok, before ++ [Map.merge(next, fork) | rest]}
+
+        {_fork, []} ->
+          {:error, :branched}
+      end
+    end
+  end
+
+  @doc """
+  The messages as the chat shows them: forks are reduced to the active
+  version's position, `%{index: ..., count: ...}`, under `:branches`.
+  """
+  def view(messages) do
+    Enum.map(messages, fn
+      %{alternatives: alternatives} = message ->
+        message
+        |> Map.drop(@fork_keys)
+        |> Map.put(:branches, %{
+          index: Map.get(message, :branch, 0),
+          count: length(alternatives) + 1
+        })
+
+      message ->
+        message
+    end)
+  end
+
+  # Private helper functions
+
+  defp split_at(messages, id) do
+    case Enum.find_index(messages, &(&1[:id] == id)) do
+      nil -> {:error, :not_found}
+      index -> {:ok, Enum.take(messages, index), Enum.drop(messages, index)}
+    end
+  end
+
+  # Every version of the fork at the head of tail, the active one included
+  defp versions([head | rest]) do
+    active = [Map.drop(head, @fork_keys) | rest]
+    alternatives = Map.get(head, :alternatives, [])
+    branch = min(Map.get(head, :branch, 0), length(alternatives))
+
+    List.insert_at(alternatives, branch, active)
+  end
+end
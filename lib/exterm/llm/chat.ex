@@ -8,8 +8,33 @@ defmodule Exterm.Llm.Chat do
   alias Exterm.Llm.ReqClient, as: LLMClient
   alias Exterm.Llm.Tools
   alias Exterm.Llm.ChatLogger
+  alias Exterm.Llm.{Attachments, Branches, Models, Permissions, Provider}
+  alias Exterm.{ConversationStore, FileChanges}
 
   @default_provider :openrouter
+  # Request settings kept in state.config, see update_config/2
+  @config_keys [:model, :temperature, :max_tokens, :reasoning_effort]
+
+  # Token totals of a conversation. context_tokens is the size of the last
+  # request plus its response, i.e. how full the model's context window is.
+  @empty_usage %{prompt_tokens: 0, completion_tokens: 0, cost: nil, context_tokens: nil}
+  # Share of the context window at which the chat warns that it is nearly full
+  # and Exterm.Llm.Tools.ChatSummary condenses it before the next message
+  @context_warning_ratio 0.8
+
+  # What a history message can hold: the API fields, then our own (its id, the
+  # model that wrote it, its token usage and a fork, see Exterm.Llm.Branches)
+  @message_keys [
+    :role,
+    :content,
+    :tool_calls,
+    :tool_call_id,
+    :id,
+    :model,
+    :usage,
+    :alternatives,
+    :branch
+  ]
 
   # Client API
 
@@ -17,10 +42,11 @@ defmodule Exterm.Llm.Chat do
   Starts a new chat server with optional configuration.
 
   ## Options
-    - `:provider` - LLM provider (:groq, :deepinfra, :openrouter)
+    - `:provider` - LLM provider, see `Exterm.Llm.Provider` (:openrouter, :groq, :deepinfra, :local, :anthropic)
     - `:model` - Model to use, defaults to provider's default
     - `:temperature` - Sampling temperature, default: 0.7
     - `:max_tokens` - Max tokens in response, default: 2048
+    - `:reasoning_effort` - "low", "medium" or "high" for models that reason, default: the model's own
     - `:system_prompt` - Initial system message
     - `:tools` - List of available tools for function calling
     - `:chat_socket_pid` - PID of the chat socket for tool context
@@ -41,12 +67,21 @@ defmodule Exterm.Llm.Chat do
 
   @doc """
   Streams a chat response, returning a stream of chunks while maintaining conversation history.
+  The message is a string or a list of content parts, see `Exterm.Llm.Attachments`.
   """
-  def stream_chat(server, message) when is_binary(message) do
+  def stream_chat(server, message) when is_binary(message) or is_list(message) do
     # Increased to 2 minutes
     GenServer.call(server, {:stream_chat, message}, 120_000)
   end
 
+  @doc """
+  Streams a new response to the history as it stands, which ends with a user
+  message, e.g. after `edit_message/3` or `regenerate/1`.
+  """
+  def stream_reply(server) do
+    GenServer.call(server, :stream_reply, 120_000)
+  end
+
   @doc """
   Streams a continuation response using existing conversation context without adding to history.
   """
@@ -75,6 +110,14 @@ defmodule Exterm.Llm.Chat do
     GenServer.call(server, {:add_system_message, content})
   end
 
+  @doc """
+  Replaces the system prompt for the rest of the session. Saved conversations
+  don't keep it: opening one brings back the prompt of the chat it opens in.
+  """
+  def set_system_prompt(server, content) when is_binary(content) do
+    GenServer.call(server, {:set_system_prompt, content})
+  end
+
   @doc """
   Adds a message with specified role to the conversation.
   """
@@ -88,11 +131,60 @@ defmodule Exterm.Llm.Chat do
   needs to be processed after streaming is complete.
   """
   def handle_assistant_with_tools(pid, assistant_message, opts \\ []) do
-    GenServer.call(pid, {:handle_assistant_with_tools, assistant_message, opts}, 60_000)
+    # Tool calls may wait for the user to approve them, see Exterm.Llm.Permissions
+    timeout = 60_000 + Application.get_env(:exterm, :permission_timeout, 300) * 1000
+    GenServer.call(pid, {:handle_assistant_with_tools, assistant_message, opts}, timeout)
   end
 
   @doc """
-  Updates the chat configuration.
+  Replaces a user message with new content and drops everything after it,
+  ready for `stream_reply/1`. The old version stays as a branch, see
+  `Exterm.Llm.Branches`.
+
+  Returns `:ok`, or `{:error, :not_found}` when the history has no user
+  message with that id.
+  """
+  def edit_message(server, id, content) when is_binary(id) and is_binary(content) do
+    GenServer.call(server, {:edit_message, id, content})
+  end
+
+  @doc """
+  Forks the history at the last user message so its response can be
+  generated again with `stream_reply/1`. The old response stays as a branch.
+
+  ## Options
+    - `:model` - Generate the new response with this model. The chat's own
+      model setting is unchanged; the override ends with the next message.
+
+  Returns `:ok` or `{:error, :not_found}` when there is no user message.
+  """
+  def regenerate(server, opts \\ []) do
+    GenServer.call(server, {:regenerate, opts})
+  end
+
+  @doc """
+  Switches the fork at a message to the version at `index` (counting from 0).
+
+  Returns `:ok` or `{:error, :not_found}`.
+  """
+  def switch_branch(server, id, index) when is_binary(id) and is_integer(index) do
+    GenServer.call(server, {:switch_branch, id, index})
+  end
+
+  @doc """
+  Removes a message from the history, so the model no longer sees it.
+
+  Returns `:ok`, `{:error, :not_found}` or `{:error, :branched}` when the
+  message holds a fork that has nowhere to go.
+  """
+  def delete_message(server, id) when is_binary(id) do
+    GenServer.call(server, {:delete_message, id})
+  end
+
+  @doc """
+  Updates the chat configuration. Takes the same `:provider`, `:model`,
+  `:temperature`, `:max_tokens` and `:reasoning_effort` options as
+  `start_link/1`; they apply from the next request on.
   """
   def update_config(server, opts) when is_list(opts) do
     GenServer.call(server, {:update_config, opts})
@@ -105,6 +197,33 @@ defmodule Exterm.Llm.Chat do
     GenServer.call(server, :get_config)
   end
 
+  @doc """
+  Gets the configuration the current response is generated with: the chat
+  configuration with the model a regenerate was asked to use, if any. Requests
+  that continue the response (tool call continuations) are built from this.
+  """
+  def get_request_config(server) do
+    GenServer.call(server, :get_request_config)
+  end
+
+  @doc """
+  Records the token usage of a response, as the provider reported it in its
+  last stream chunk. It is added to the conversation's totals and to the next
+  assistant message, and sent to the chat socket.
+  """
+  def record_usage(server, usage) when is_map(usage) do
+    GenServer.cast(server, {:record_usage, usage})
+  end
+
+  @doc """
+  Gets the conversation's token totals and estimated cost (nil when the
+  provider reports no cost and the model's prices are unknown), with how much
+  of the model's context window the last response used.
+  """
+  def get_usage(server) do
+    GenServer.call(server, :get_usage)
+  end
+
   @doc """
   Exports the conversation history as a list of messages.
   """
@@ -113,10 +232,23 @@ defmodule Exterm.Llm.Chat do
   end
 
   @doc """
-  Imports a conversation history from a list of messages.
+  Imports a conversation history from a list of messages, e.g. one saved by
+  `Exterm.ConversationStore`. The current system prompt is kept.
+
+  ## Options
+    - `:conversation_id` - Continue saving under this id instead of the current one
+    - `:usage` - Token totals saved with the conversation. Without it the totals
+      are kept, as when a summary replaces the history.
   """
-  def import_conversation(server, messages) when is_list(messages) do
-    GenServer.call(server, {:import_conversation, messages})
+  def import_conversation(server, messages, opts \\ []) when is_list(messages) do
+    GenServer.call(server, {:import_conversation, messages, opts})
+  end
+
+  @doc """
+  Gets the id the conversation is saved under.
+  """
+  def conversation_id(server) do
+    GenServer.call(server, :conversation_id)
   end
 
   # Server Implementation
@@ -142,7 +274,18 @@ defmodule Exterm.Llm.Chat do
       chat_socket_pid: chat_socket_pid,
       last_activity: DateTime.utc_now(),
       config: opts |> Keyword.drop([:provider, :system_prompt, :tools, :chat_socket_pid]),
-      session_id: generate_session_id()
+      session_id: generate_session_id(),
+      # Id the conversation is saved under, see Exterm.ConversationStore
+      conversation_id: generate_conversation_id(),
+      created_at: DateTime.utc_now(),
+      # Tools the user allowed for the rest of this session
+      permission_grants: MapSet.new(),
+      usage: @empty_usage,
+      # Usage of the response whose assistant message hasn't been added yet
+      pending_usage: nil,
+      # Settings for the response being generated only, e.g. the model of a
+      # regenerate; see request_config/1
+      response_config: []
     }
 
     # Log session start
@@ -160,6 +303,14 @@ defmodule Exterm.Llm.Chat do
     :crypto.strong_rand_bytes(8) |> Base.encode16(case: :lower)
   end
 
+  defp generate_conversation_id do
+    "conv_" <> (:crypto.strong_rand_bytes(8) |> Base.encode16(case: :lower))
+  end
+
+  defp generate_message_id do
+    "msg_" <> (:crypto.strong_rand_bytes(8) |> Base.encode16(case: :lower))
+  end
+
   # Helper to convert config keyword list to a JSON-safe map
   defp config_to_map(config) do
     config
@@ -176,10 +327,10 @@ defmodule Exterm.Llm.Chat do
     # Send thinking status when starting to process user message
     GenServer.cast(state.chat_socket_pid, {:send_ai_status, "thinking"})
 
-    state = add_message(state, "user", message)
+    state = add_message(%{state | response_config: []}, "user", message)
 
     # Add tools to the request if available
-    opts = [previous_messages: state.messages] ++ state.config
+    opts = [previous_messages: state.messages] ++ request_config(state)
 
     opts =
       if is_list(state.tools) and length(state.tools) > 0 do
@@ -189,7 +340,9 @@ defmodule Exterm.Llm.Chat do
       end
 
     case LLMClient.chat(state.provider, message, opts) do
-      %{"choices" => [%{"message" => assistant_message} | _]} = _response ->
+      %{"choices" => [%{"message" => assistant_message} | _]} = response ->
+        state = track_usage(state, response["usage"])
+
         case handle_assistant_message(assistant_message, state) do
           {:ok, final_content, new_state} ->
             {:reply, {:ok, final_content}, new_state}
@@ -205,10 +358,10 @@ defmodule Exterm.Llm.Chat do
 
   @impl true
   def handle_call({:stream_chat, message}, _from, state) do
-    state = add_message(state, "user", message)
+    state = add_message(%{state | response_config: []}, "user", message)
 
     # Add tools to the request if available (same as regular chat)
-    opts = [previous_messages: state.messages] ++ state.config
+    opts = [previous_messages: state.messages] ++ request_config(state)
 
     opts =
       if is_list(state.tools) and length(state.tools) > 0 do
@@ -226,6 +379,66 @@ defmodule Exterm.Llm.Chat do
     end
   end
 
+  @impl true
+  def handle_call(:stream_reply, _from, state) do
+    case Enum.split(state.messages, -1) do
+      {previous, [%{role: "user", content: content}]} ->
+        opts = [previous_messages: previous] ++ request_config(state)
+
+        opts =
+          if is_list(state.tools) and length(state.tools) > 0 do
+            Keyword.put(opts, :functions, state.tools)
+          else
+            opts
+          end
+
+        try do
+          stream = LLMClient.stream_chat(state.provider, content, opts)
+          {:reply, {:ok, stream}, state}
+        rescue
+          error ->
+            {:reply, {:error, error}, state}
+        end
+
+      _ ->
+        {:reply, {:error, :no_user_message}, state}
+    end
+  end
+
+  @impl true
+  def handle_call({:edit_message, id, content}, _from, state) do
+    case Enum.find(state.messages, &(&1[:id] == id)) do
+      # The edited text replaces what the user wrote; attachments stay
+      %{role: "user"} = message ->
+        state = %{state | response_config: []}
+        fork_history(state, id, Attachments.replace_text(message.content, content))
+
+      _ -> {:reply, {:error, :not_found}, state}
+    end
+  end
+
+  @impl true
+  def handle_call({:regenerate, opts}, _from, state) do
+    case state.messages |> Enum.reverse() |> Enum.find(&(&1.role == "user")) do
+      %{id: id, content: content} ->
+        state = %{state | response_config: Keyword.take(opts, [:model])}
+        fork_history(state, id, content)
+
+      _ ->
+        {:reply, {:error, :not_found}, state}
+    end
+  end
+
+  @impl true
+  def handle_call({:switch_branch, id, index}, _from, state) do
+    change_history(state, Branches.switch(state.messages, id, index))
+  end
+
+  @impl true
+  def handle_call({:delete_message, id}, _from, state) do
+    change_history(state, Branches.delete(state.messages, id))
+  end
+
   @impl true
   def handle_call({:stream_continuation, prompt}, _from, state) do
     # Stream continuation by sending the continuation prompt directly
@@ -241,7 +454,7 @@ defmodule Exterm.Llm.Chat do
     last_messages = Enum.take(state.messages, -3)
     IO.puts("Chat: Last messages: #{inspect(last_messages, limit: :infinity)}")
 
-    opts = [previous_messages: state.messages] ++ state.config
+    opts = [previous_messages: state.messages] ++ request_config(state)
 
     # Don't include tools for continuation since we're just analyzing previous results
     try do
@@ -278,6 +491,19 @@ defmodule Exterm.Llm.Chat do
     {:reply, :ok, state}
   end
 
+  @impl true
+  def handle_call({:set_system_prompt, content}, _from, state) do
+    prompt = %{role: "system", content: content}
+
+    messages =
+      case state.messages do
+        [%{role: "system"} | rest] -> [prompt | rest]
+        messages -> [prompt | messages]
+      end
+
+    {:reply, :ok, update_activity(%{state | messages: messages})}
+  end
+
   @impl true
   def handle_call({:add_role_message, role, content}, _from, state) do
     state = add_message(state, role, content)
@@ -303,34 +529,32 @@ defmodule Exterm.Llm.Chat do
     state =
       Enum.reduce(opts, state, fn
         {:provider, provider}, acc -> %{acc | provider: provider}
-        {:model, model}, acc -> %{acc | model: model}
-        {:temperature, temp}, acc -> %{acc | temperature: temp}
-        {:max_tokens, tokens}, acc -> %{acc | max_tokens: tokens}
+
+        {key, value}, acc when key in @config_keys ->
+          %{acc | config: Keyword.put(acc.config, key, value)}
+
         _, acc -> acc
       end)
 
-    state = update_activity(state)
+    # A model picked for a regenerate doesn't outlive a settings change
+    state = update_activity(%{state | response_config: []})
+    save_conversation(state)
     {:reply, :ok, state}
   end
 
   @impl true
   def handle_call(:get_config, _from, state) do
-    config = %{
-      provider: state.provider,
-      model: Keyword.get(state.config, :model),
-      temperature: Keyword.get(state.config, :temperature, 0.7),
-      max_tokens: Keyword.get(state.config, :max_tokens, 2048),
-      created_at: Map.get(state, :created_at),
-      last_activity: state.last_activity,
-      message_count: length(state.messages)
-    }
+    {:reply, config_summary(state, state.config), state}
+  end
 
-    {:reply, config, state}
+  @impl true
+  def handle_call(:get_request_config, _from, state) do
+    {:reply, config_summary(state, request_config(state)), state}
   end
 
   @impl true
   def handle_call(:get_model, _from, state) do
-    model = Keyword.get(state.config, :model, "#{state.provider} default")
+    model = Keyword.get(request_config(state), :model, "#{state.provider} default")
 
     IO.puts(
       "ChatSocket: get_model returning: #{inspect(model)} from config: #{inspect(state.config)}"
@@ -339,46 +563,71 @@ defmodule Exterm.Llm.Chat do
     {:reply, {:ok, model}, state}
   end
 
+  @impl true
+  def handle_call(:get_usage, _from, state) do
+    {:reply, usage_summary(state), state}
+  end
+
   @impl true
   def handle_call(:export_conversation, _from, state) do
-    conversation = %{
-      messages: state.messages,
-      config: %{
-        provider: state.provider,
-        model: state.model,
-        temperature: state.temperature,
-        max_tokens: state.max_tokens
-      },
-      metadata: %{
-        created_at: state.created_at,
-        last_activity: state.last_activity,
-        message_count: length(state.messages)
-      }
+    {:reply, export(state), state}
+  end
+
+  @impl true
+  def handle_call({:import_conversation, messages, opts}, _from, state) do
+    imported =
+      messages
+      |> normalize_messages()
+      # The saved system prompt is out of date (it carries the date and session)
+      |> case do
+        [%{role: "system"} | rest] -> rest
+        messages -> messages
+      end
+      # Conversations saved before messages had ids get them now
+      |> Enum.map(&Map.put_new_lazy(&1, :id, fn -> generate_message_id() end))
+
+    usage =
+      case Keyword.fetch(opts, :usage) do
+        {:ok, saved} -> saved_usage(saved)
+        # The new history's size is unknown until the next response
+        :error -> %{state.usage | context_tokens: nil}
+      end
+
+    state = %{
+      state
+      | messages: system_prompt(state) ++ imported,
+        conversation_id: Keyword.get(opts, :conversation_id, state.conversation_id),
+        last_activity: DateTime.utc_now(),
+        usage: usage,
+        pending_usage: nil,
+        response_config: []
     }
 
-    {:reply, conversation, state}
+    {:reply, {:ok, length(imported)}, state}
   end
 
   @impl true
-  def handle_call({:import_conversation, messages}, _from, state) do
-    # Validate messages format
-    valid_messages =
-      Enum.filter(messages, fn
-        %{role: role, content: content}
-        when role in ["system", "user", "assistant"] and is_binary(content) ->
-          true
-
-        _ ->
-          false
-      end)
-
-    state = %{state | messages: valid_messages, last_activity: DateTime.utc_now()}
-    {:reply, {:ok, length(valid_messages)}, state}
+  def handle_call(:conversation_id, _from, state) do
+    {:reply, state.conversation_id, state}
   end
 
+  # Clearing starts a new conversation; the old one stays saved
   @impl true
   def handle_cast(:clear_history, state) do
-    {:noreply, %{state | messages: []}}
+    {:noreply,
+     %{
+       state
+       | messages: system_prompt(state),
+         conversation_id: generate_conversation_id(),
+         usage: @empty_usage,
+         pending_usage: nil,
+         response_config: []
+     }}
+  end
+
+  @impl true
+  def handle_cast({:record_usage, usage}, state) do
+    {:noreply, track_usage(state, usage)}
   end
 
   # Helper functions
@@ -415,7 +664,7 @@ defmodule Exterm.Llm.Chat do
       tool_calls: tool_calls
     }
 
-    state = %{state | messages: state.messages ++ [assistant_msg]}
+    state = append_messages(state, [assistant_msg])
 
     # Send tool usage notification to chat
     tool_names =
@@ -441,9 +690,9 @@ defmodule Exterm.Llm.Chat do
 
     # Don't send a thinking message - let the AI respond directly with results
 
-    # Execute each tool call
-    tool_results =
-      Enum.map(tool_calls, fn tool_call ->
+    # Execute each tool call, keeping any permissions granted along the way
+    {tool_results, state} =
+      Enum.map_reduce(tool_calls, state, fn tool_call, state ->
         tool_name = get_in(tool_call, ["function", "name"])
 
         IO.puts(
@@ -451,7 +700,7 @@ defmodule Exterm.Llm.Chat do
         )
 
         start_time = System.monotonic_time(:millisecond)
-        result = execute_tool_call(tool_call, state)
+        {result, state} = execute_tool_call(tool_call, state)
         execution_time = System.monotonic_time(:millisecond) - start_time
 
         IO.puts("Chat: Tool #{tool_name} execution completed in #{execution_time}ms")
@@ -463,15 +712,11 @@ defmodule Exterm.Llm.Chat do
 
         IO.puts("Chat: Tool result sent in #{send_time}ms")
 
-        result
+        {result, state}
       end)
 
-    # Add tool results to messages
-    state =
-      Enum.reduce(tool_results, state, fn result, acc_state ->
-        # Use the result directly - it's already in the correct format
-        %{acc_state | messages: acc_state.messages ++ [result]}
-      end)
+    # Add tool results to messages (they are already in the correct format)
+    state = append_messages(state, tool_results)
 
     # Process tool results and potentially continue with more autonomous actions
     GenServer.cast(state.chat_socket_pid, {:send_ai_status, "thinking"})
@@ -524,7 +769,7 @@ defmodule Exterm.Llm.Chat do
       Original user request: #{get_last_user_message(state)}
       """
 
-      opts = [previous_messages: state.messages] ++ state.config
+      opts = [previous_messages: state.messages] ++ request_config(state)
 
       # Re-enable tools for autonomous continuation
       opts =
@@ -535,7 +780,9 @@ defmodule Exterm.Llm.Chat do
         end
 
       case LLMClient.chat(state.provider, continuation_prompt, opts) do
-        %{"choices" => [%{"message" => continuation_message} | _]} ->
+        %{"choices" => [%{"message" => continuation_message} | _]} = response ->
+          state = track_usage(state, response["usage"])
+
           # Handle the continuation response (might include more tool calls)
           case handle_assistant_message(continuation_message, state) do
             {:ok, final_content, new_state} ->
@@ -551,7 +798,7 @@ defmodule Exterm.Llm.Chat do
 
           if state.chat_socket_pid and response_content != "" do
             # Get model name for display
-            model_name = Keyword.get(state.config, :model, "#{state.provider} default")
+            model_name = Keyword.get(request_config(state), :model, "#{state.provider} default")
 
             ai_message = %{
               type: "ai_message",
@@ -584,6 +831,7 @@ defmodule Exterm.Llm.Chat do
 
   defp format_model_name(_), do: "AI"
 
+  # Returns the tool message and the state, which may carry new permission grants
   defp execute_tool_call(tool_call, state) do
     function = get_in(tool_call, ["function"])
     function_name = get_in(function, ["name"])
@@ -593,18 +841,43 @@ defmodule Exterm.Llm.Chat do
 
     case Jason.decode(arguments_json || "{}") do
       {:ok, arguments} ->
+        # Terminal input and file writes may need the user's approval first
+        {permission, grants} =
+          case Permissions.authorize(
+                 function_name,
+                 arguments,
+                 state.permission_grants,
+                 state.chat_socket_pid
+               ) do
+            {:allow, grants} -> {:allow, grants}
+            {:deny, reason, grants} -> {{:deny, reason}, grants}
+          end
+
+        state = %{state | permission_grants: grants}
+
         IO.puts("Chat: JSON decode successful, calling Tools.execute_tool")
         tool_start = System.monotonic_time(:millisecond)
 
         # Execute the tool with the chat socket PID for context
         # For summarize_chat, pass the conversation state directly to avoid deadlock
         result =
-          case function_name do
-            "summarize_chat" ->
+          case {permission, function_name} do
+            {{:deny, reason}, _} ->
+              IO.puts("Chat: #{function_name} denied: #{reason}")
+              Permissions.denied_result(reason)
+
+            {:allow, "summarize_chat"} ->
               Tools.execute_tool(function_name, arguments, state.chat_socket_pid, state.messages)
 
-            _ ->
-              Tools.execute_tool(function_name, arguments, state.chat_socket_pid)
+            {:allow, _} ->
+              # File edits are snapshotted so the chat can show a diff and revert them
+              FileChanges.track(
+                Map.get(tool_call, "id"),
+                function_name,
+                arguments,
+                state.chat_socket_pid,
+                fn -> Tools.execute_tool(function_name, arguments, state.chat_socket_pid) end
+              )
           end
 
         tool_time = System.monotonic_time(:millisecond) - tool_start
@@ -618,20 +891,20 @@ defmodule Exterm.Llm.Chat do
           "Chat: JSON encoding completed in #{json_time}ms, result size: #{String.length(json_result)} chars"
         )
 
-        %{
-          role: "tool",
-          tool_call_id: Map.get(tool_call, "id"),
-          content: json_result
-        }
+        {%{
+           role: "tool",
+           tool_call_id: Map.get(tool_call, "id"),
+           content: json_result
+         }, state}
 
       {:error, _} ->
         IO.puts("Chat: JSON decode failed for arguments")
 
-        %{
-          role: "tool",
-          tool_call_id: Map.get(tool_call, "id"),
-          content: Jason.encode!(%{"error" => "Invalid function arguments"})
-        }
+        {%{
+           role: "tool",
+           tool_call_id: Map.get(tool_call, "id"),
+           content: Jason.encode!(%{"error" => "Invalid function arguments"})
+         }, state}
     end
   end
 
@@ -743,16 +1016,240 @@ defmodule Exterm.Llm.Chat do
     |> Enum.reverse()
     |> Enum.find(fn msg -> msg.role == "user" end)
     |> case do
-      %{content: content} -> content
+      %{content: content} -> Attachments.text(content)
       _ -> "the previous request"
     end
   end
 
   defp add_message(state, role, content) do
-    message = %{role: role, content: content}
-    %{state | messages: state.messages ++ [message]}
+    append_messages(state, [%{role: role, content: content}])
+  end
+
+  # Edits and regenerations fork at a user message, see Exterm.Llm.Branches
+  defp fork_history(state, id, content) do
+    message = %{id: generate_message_id(), role: "user", content: content}
+    change_history(state, Branches.fork(state.messages, id, message))
+  end
+
+  defp change_history(state, {:ok, messages}) do
+    state = %{
+      state
+      | messages: messages,
+        # The new history's size is unknown until the next response
+        usage: %{state.usage | context_tokens: nil},
+        pending_usage: nil
+    }
+
+    state = update_activity(state)
+    save_conversation(state)
+    {:reply, :ok, state}
+  end
+
+  defp change_history(state, {:error, reason}), do: {:reply, {:error, reason}, state}
+
+  # Every change to the history is saved. Messages get an id the chat can edit
+  # or delete them by. Assistant messages remember the model that wrote them so
+  # the chat can show it after a reload, and the first one after a response
+  # takes that response's token usage.
+  defp append_messages(state, messages) do
+    model = Keyword.get(request_config(state), :model)
+
+    {messages, pending_usage} =
+      Enum.map_reduce(messages, state.pending_usage, fn
+        %{role: "assistant"} = message, usage ->
+          message = if is_binary(model), do: Map.put_new(message, :model, model), else: message
+          message = if usage, do: Map.put(message, :usage, usage), else: message
+          {message, nil}
+
+        message, usage ->
+          {message, usage}
+      end)
+
+    messages = Enum.map(messages, &Map.put_new_lazy(&1, :id, fn -> generate_message_id() end))
+    Enum.each(messages, &send_message_saved(state.chat_socket_pid, &1))
+
+    state = %{state | messages: state.messages ++ messages, pending_usage: pending_usage}
+    save_conversation(state)
+    state
+  end
+
+  # The browser draws messages before they are saved; this gives the ones it
+  # shows as chat bubbles their id
+  defp send_message_saved(chat_socket_pid, %{role: role, content: content} = message)
+       when role in ["user", "assistant"] and
+              ((is_binary(content) and content != "") or is_list(content)) do
+    if chat_socket_pid do
+      send(chat_socket_pid, {:send_message, %{type: "message_saved", id: message.id, role: role}})
+    end
+  end
+
+  defp send_message_saved(_chat_socket_pid, _message), do: :ok
+
+  # Usage maps have string keys from the APIs and atom keys from ReqLLM
+  defp track_usage(state, reported) when is_map(reported) do
+    prompt_tokens = usage_field(reported, [:prompt_tokens, :input_tokens])
+    completion_tokens = usage_field(reported, [:completion_tokens, :output_tokens])
+
+    if is_integer(prompt_tokens) or is_integer(completion_tokens) do
+      usage = %{prompt_tokens: prompt_tokens || 0, completion_tokens: completion_tokens || 0}
+      cost = usage_field(reported, [:cost, :total_cost]) || estimate_cost(state, usage)
+      usage = Map.put(usage, :cost, cost)
+      totals = state.usage
+
+      state = %{
+        state
+        | usage: %{
+            prompt_tokens: totals.prompt_tokens + usage.prompt_tokens,
+            completion_tokens: totals.completion_tokens + usage.completion_tokens,
+            cost: add_cost(totals.cost, usage.cost),
+            context_tokens: usage.prompt_tokens + usage.completion_tokens
+          },
+          pending_usage: usage
+      }
+
+      if state.chat_socket_pid do
+        message = %{type: "usage", usage: usage, conversation: usage_summary(state)}
+        send(state.chat_socket_pid, {:send_message, message})
+      end
+
+      state
+    else
+      state
+    end
+  end
+
+  defp track_usage(state, _usage), do: state
+
+  defp usage_field(usage, keys) do
+    Enum.find_value(keys, fn key -> Map.get(usage, key, Map.get(usage, Atom.to_string(key))) end)
   end
 
+  # Providers other than OpenRouter don't report a cost, so it is worked out
+  # from the model list's prices when it has them
+  defp estimate_cost(state, usage) do
+    case Models.info(state.provider, current_model(state)) do
+      %{pricing: %{prompt: prompt, completion: completion}} ->
+        usage.prompt_tokens * prompt + usage.completion_tokens * completion
+
+      _info ->
+        nil
+    end
+  end
+
+  defp add_cost(nil, cost), do: cost
+  defp add_cost(total, nil), do: total
+  defp add_cost(total, cost), do: total + cost
+
+  defp usage_summary(state) do
+    context_window = context_window(state)
+    context_tokens = state.usage.context_tokens
+
+    Map.merge(state.usage, %{
+      context_window: context_window,
+      near_context_limit:
+        is_integer(context_tokens) and context_tokens >= context_window * @context_warning_ratio
+    })
+  end
+
+  defp context_window(state) do
+    case Models.info(state.provider, current_model(state)) do
+      %{context_length: length} when is_integer(length) and length > 0 -> length
+      _info -> Application.get_env(:exterm, :context_window, 128_000)
+    end
+  end
+
+  defp current_model(state) do
+    Keyword.get(request_config(state), :model) || Provider.settings(state.provider).default_model
+  end
+
+  # The settings a request uses: the chat's, with the current response's overrides
+  defp request_config(state), do: Keyword.merge(state.config, state.response_config)
+
+  defp config_summary(state, config) do
+    %{
+      provider: state.provider,
+      model: Keyword.get(config, :model),
+      temperature: Keyword.get(config, :temperature, 0.7),
+      max_tokens: Keyword.get(config, :max_tokens, 2048),
+      reasoning_effort: Keyword.get(config, :reasoning_effort),
+      created_at: Map.get(state, :created_at),
+      last_activity: state.last_activity,
+      message_count: length(state.messages)
+    }
+  end
+
+  # Totals read back from JSON have string keys
+  defp saved_usage(saved) when is_map(saved) do
+    Map.new(@empty_usage, fn {key, default} ->
+      case usage_field(saved, [key]) do
+        value when is_number(value) -> {key, value}
+        _value -> {key, default}
+      end
+    end)
+  end
+
+  defp saved_usage(_saved), do: @empty_usage
+
+  # Nothing is saved until the user has said something
+  defp save_conversation(state) do
+    if Enum.any?(state.messages, &(&1.role == "user")) do
+      ConversationStore.save(state.conversation_id, export(state))
+    end
+  end
+
+  defp export(state) do
+    %{
+      messages: state.messages,
+      config: %{
+        provider: state.provider,
+        model: Keyword.get(state.config, :model),
+        temperature: Keyword.get(state.config, :temperature, 0.7),
+        max_tokens: Keyword.get(state.config, :max_tokens, 2048),
+        reasoning_effort: Keyword.get(state.config, :reasoning_effort)
+      },
+      usage: state.usage,
+      metadata: %{
+        created_at: state.created_at,
+        last_activity: state.last_activity,
+        message_count: length(state.messages)
+      }
+    }
+  end
+
+  # The system prompt the chat was started with
+  defp system_prompt(%{messages: [%{role: "system"} = prompt | _]}), do: [prompt]
+  defp system_prompt(_state), do: []
+
+  defp normalize_messages(messages) do
+    messages
+    |> Enum.map(&normalize_message/1)
+    |> Enum.reject(&is_nil/1)
+  end
+
+  # Messages read back from JSON have string keys
+  defp normalize_message(%{"role" => _} = message) do
+    message
+    |> Map.take(Enum.map(@message_keys, &Atom.to_string/1))
+    |> Map.new(fn {key, value} -> {String.to_existing_atom(key), value} end)
+    |> normalize_message()
+  end
+
+  defp normalize_message(%{role: role, content: content} = message)
+       when role in ["system", "user", "assistant", "tool"] and
+              (is_binary(content) or is_list(content) or is_nil(content)) do
+    case Map.take(message, @message_keys) do
+      # Inactive branches hold messages of their own
+      %{alternatives: alternatives, branch: branch} = message
+      when is_list(alternatives) and is_integer(branch) ->
+        %{message | alternatives: Enum.map(alternatives, &normalize_messages/1)}
+
+      message ->
+        Map.drop(message, [:alternatives, :branch])
+    end
+  end
+
+  defp normalize_message(_message), do: nil
+
   defp update_activity(state) do
     Map.put(state, :last_activity, DateTime.utc_now())
   end
@@ -824,10 +1321,10 @@ defmodule Exterm.Llm.Chat do
 
   # Handle metadata task messages from ReqLLM.StreamResponse
   @impl true
-  def handle_info({_ref, %{status: _status, usage: _usage, headers: _headers}}, state) do
-    # This is the metadata result from ReqLLM's async metadata_task
-    # We can safely ignore it or log it if needed
-    {:noreply, state}
+  def handle_info({_ref, %{status: _status, usage: usage, headers: _headers}}, state) do
+    # This is the metadata result from ReqLLM's async metadata_task, the only
+    # place a ReqLLM stream reports its token usage
+    {:noreply, track_usage(state, usage)}
   end
 
   # Handle DOWN message when metadata task completes
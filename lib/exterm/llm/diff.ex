@@ -0,0 +1,143 @@
+defmodule Exterm.Llm.Diff do
+  @moduledoc """
+  Line based unified diffs, used to show the user what a file change does.
+  """
+
+  # Lines of unchanged context around each change
+  @context 3
+  # Bigger files are summarized instead of diffed
+  @max_lines 5_000
+
+  @doc """
+  Unified diff between two versions of a file. `nil` stands for a file that
+  does not exist (before a create or after a delete). Returns "" when
+  nothing changes.
+
+  ## Options
+    - `:context` - Lines of context around changes, default: 3
+  """
+  def unified(old, new, path, opts \\ []) do
+    context = Keyword.get(opts, :context, @context)
+    old_lines = split_lines(old)
+    new_lines = split_lines(new)
+
+    cond do
+      old == new ->
+        ""
+
+      length(old_lines) > @max_lines or length(new_lines) > @max_lines ->
+        header(old, new, path) <>
+          "@@ File too large to diff: #{length(old_lines)} -> #{length(new_lines)} lines @@\n"
+
+      true ->
+        hunks =
+          old_lines
+          |> List.myers_difference(new_lines)
+          |> number_lines()
+          |> hunks(context)
+
+        header(old, new, path) <> Enum.map_join(hunks, &format_hunk/1)
+    end
+  end
+
+  @doc """
+  Count of added and removed lines in a unified diff.
+  """
+  def stats(diff) do
+    {stats, _in_hunks} =
+      diff
+      |> String.split("\n")
+      |> Enum.reduce({%{added: 0, removed: 0}, false}, fn
+        "@@" <> _, {acc, _in_hunks} -> {acc, true}
+        # File headers come before the first hunk; inside one, "---" is a removed "--"
+        _line, {acc, false} -> {acc, false}
+        "+" <> _, {acc, true} -> {%{acc | added: acc.added + 1}, true}
+        "-" <> _, {acc, true} -> {%{acc | removed: acc.removed + 1}, true}
+        _line, {acc, true} -> {acc, true}
+      end)
+
+    stats
+  end
+
+  # Private helper functions
+
+  defp header(old, new, path) do
+    "--- #{if old, do: path, else: "/dev/null"}\n+++ #{if new, do: path, else: "/dev/null"}\n"
+  end
+
+  defp split_lines(nil), do: []
+  defp split_lines(""), do: []
+
+  defp split_lines(text) do
+    lines = String.split(text, "\n")
+
+    # A trailing newline ends the last line rather than starting a new one
+    if String.ends_with?(text, "\n"), do: Enum.drop(lines, -1), else: lines
+  end
+
+  # Flatten the edit script into {op, line, old_line_no, new_line_no}
+  defp number_lines(edits) do
+    {lines, _old_no, _new_no} =
+      Enum.reduce(edits, {[], 1, 1}, fn {op, chunk}, acc ->
+        Enum.reduce(chunk, acc, fn line, {lines, old_no, new_no} ->
+          case op do
+            :eq -> {[{:eq, line, old_no, new_no} | lines], old_no + 1, new_no + 1}
+            :del -> {[{:del, line, old_no, new_no} | lines], old_no + 1, new_no}
+            :ins -> {[{:ins, line, old_no, new_no} | lines], old_no, new_no + 1}
+          end
+        end)
+      end)
+
+    Enum.reverse(lines)
+  end
+
+  # Keep changed lines plus their context, split into runs of consecutive lines
+  defp hunks(lines, context) do
+    indexed = Enum.with_index(lines)
+
+    keep =
+      indexed
+      |> Enum.filter(fn {{op, _, _, _}, _i} -> op != :eq end)
+      |> Enum.flat_map(fn {_line, i} -> Enum.to_list((i - context)..(i + context)) end)
+      |> MapSet.new()
+
+    indexed
+    |> Enum.filter(fn {_line, i} -> MapSet.member?(keep, i) end)
+    |> Enum.chunk_while(
+      [],
+      fn
+        {line, i}, [{_, previous} | _] = acc when previous != i - 1 ->
+          {:cont, unindex(acc), [{line, i}]}
+
+        {line, i}, acc ->
+          {:cont, [{line, i} | acc]}
+      end,
+      fn
+        [] -> {:cont, []}
+        acc -> {:cont, unindex(acc), []}
+      end
+    )
+  end
+
+  defp unindex(reversed_lines) do
+    reversed_lines
+    |> Enum.reverse()
+    |> Enum.map(fn {line, _i} -> line end)
+  end
+
+  defp format_hunk([{_op, _line, old_start, new_start} | _] = lines) do
+    old_count = Enum.count(lines, fn {op, _, _, _} -> op != :ins end)
+    new_count = Enum.count(lines, fn {op, _, _, _} -> op != :del end)
+
+    "@@ -#{range(old_start, old_count)} +#{range(new_start, new_count)} @@\n" <>
+      Enum.map_join(lines, fn {op, line, _, _} -> prefix(op) <> line <> "\n" end)
+  end
+
+  # An empty side is given as the line before it, like diff -u does
+  defp range(start, 0), do: "#{start - 1},0"
+  defp range(start, count), do: "#{start},#{count}"
+
+  defp prefix(:eq), do: " "
+  defp prefix(:del), do: "-"
+  defp prefix(:ins), do: "+"
+end
@@ -0,0 +1,139 @@
+defmodule Exterm.Llm.Models do
+  @moduledoc """
+  Models the chat can switch between. For OpenRouter the list comes from the
+  `:llm_models` config (override with `EXTERM_LLM_MODELS`, comma separated)
+  or, when that is empty, from OpenRouter's public model list. Other
+  providers are asked for the models they serve.
+  """
+
+  alias Exterm.Llm.Provider
+
+  @default_model "minimax/minimax-m2"
+  # Hosted model lists change rarely, so they are fetched at most once an hour
+  @cache_seconds 3600
+
+  @doc """
+  The model new chats start with, from `LLM_MODEL` or the `:llm_model` config.
+  """
+  def default_model do
+    case System.get_env("LLM_MODEL") do
+      model when model in [nil, ""] -> Application.get_env(:exterm, :llm_model, @default_model)
+      model -> model
+    end
+  end
+
+  @doc """
+  The models a provider offers, as maps with an id, a display name, and the
+  context length and per-token prices when known. Returns `{:error, reason}`
+  when the provider can't be reached.
+  """
+  def list(provider \\ :openrouter) do
+    case {provider, configured_models()} do
+      {:openrouter, [_ | _] = models} ->
+        {:ok, Enum.map(models, &%{id: &1, name: &1, context_length: nil, pricing: nil})}
+
+      # A local server's models change whenever one is pulled, so it is always asked
+      {:local, _} ->
+        with {:ok, models} <- fetch_models(Provider.settings(provider)) do
+          :persistent_term.put({__MODULE__, provider}, {System.system_time(:second), models})
+          {:ok, models}
+        end
+
+      _ ->
+        cached_models(provider)
+    end
+  end
+
+  @doc """
+  What the last fetched model list says about a model, or nil when it hasn't
+  been fetched. Never asks the provider, so it is cheap enough to call while
+  a response streams.
+  """
+  def info(provider, model) do
+    case :persistent_term.get({__MODULE__, provider}, nil) do
+      {_fetched_at, models} -> Enum.find(models, &(&1.id == model))
+      nil -> nil
+    end
+  end
+
+  # Private helper functions
+
+  defp configured_models do
+    case System.get_env("EXTERM_LLM_MODELS") do
+      value when value in [nil, ""] -> Application.get_env(:exterm, :llm_models, [])
+      value -> value |> String.split(",", trim: true) |> Enum.map(&String.trim/1)
+    end
+  end
+
+  defp cached_models(provider) do
+    now = System.system_time(:second)
+    cache_key = {__MODULE__, provider}
+
+    case :persistent_term.get(cache_key, nil) do
+      {fetched_at, models} when now - fetched_at < @cache_seconds ->
+        {:ok, models}
+
+      _ ->
+        with {:ok, models} <- fetch_models(Provider.settings(provider)) do
+          :persistent_term.put(cache_key, {now, models})
+          {:ok, models}
+        end
+    end
+  end
+
+  # OpenAI-compatible servers and Anthropic both answer GET /models with a
+  # "data" list; only the name field differs
+  defp fetch_models(settings) do
+    url =
+      case settings.name do
+        :anthropic -> settings.base_url <> "/models?limit=1000"
+        _ -> settings.base_url <> "/models"
+      end
+
+    headers = settings.module.headers(settings)
+    headers = List.keystore(headers, "Accept", 0, {"Accept", "application/json"})
+
+    case HTTPoison.get(url, headers, recv_timeout: 15_000) do
+      {:ok, %HTTPoison.Response{status_code: 200, body: body}} ->
+        case Jason.decode(body) do
+          {:ok, %{"data" => data}} when is_list(data) ->
+            models =
+              data
+              |> Enum.filter(&is_binary(&1["id"]))
+              |> Enum.map(fn model ->
+                %{
+                  id: model["id"],
+                  name: model["name"] || model["display_name"] || model["id"],
+                  context_length: model["context_length"],
+                  pricing: pricing(model["pricing"])
+                }
+              end)
+              |> Enum.sort_by(&String.downcase(&1.name))
+
+            {:ok, models}
+
+          _ ->
+            {:error, "Unexpected model list from #{settings.label}"}
+        end
+
+      {:ok, %HTTPoison.Response{status_code: status}} ->
+        {:error, "#{settings.label} returned HTTP #{status}"}
+
+      {:error, %HTTPoison.Error{reason: reason}} ->
+        {:error, "Cannot reach #{settings.label}: #{inspect(reason)}"}
+    end
+  end
+
+  # OpenRouter gives prices in dollars per token, as strings; routers whose
+  # price depends on the model they pick say -1
+  defp pricing(%{"prompt" => prompt, "completion" => completion}) do
+    with {prompt, _} when prompt >= 0 <- Float.parse(to_string(prompt)),
+         {completion, _} when completion >= 0 <- Float.parse(to_string(completion)) do
+      %{prompt: prompt, completion: completion}
+    else
+      _ -> nil
+    end
+  end
+
+  defp pricing(_pricing), do: nil
+end
@@ -0,0 +1,199 @@
+defmodule Exterm.Llm.Permissions do
+  @moduledoc """
+  Policy for tool calls that act on the user's machine: terminal input and
+  file writes. Read-only tools are never gated.
+
+  ## Modes
+    - `:ask` - Every gated call waits for the user to approve it in the chat (default)
+    - `:allowlist` - Commands and paths on the allow-list run, anything else asks
+    - `:auto` - Everything runs without asking
+
+  Set the mode with `EXTERM_PERMISSION_MODE` or the `:permission_mode` config.
+
+  Approval happens inside the process that runs the tool, the chat or the task
+  running a code block: it sends a `permission_request` to the chat socket and
+  blocks in a selective receive until the socket forwards
+  `{:permission_decision, id, decision, reason}`, or `{:permissions_cancelled, id}`
+  when the user stops the AI.
+  """
+
+  alias Exterm.Llm.Diff
+  alias Exterm.Llm.Tools.File, as: FileTools
+
+  @terminal_tools ["send_to_terminal"]
+  @file_tools [
+    "create_file",
+    "update_file",
+    "append_to_file",
+    "delete_file",
+    "edit_lines",
+    "find_and_replace_in_file"
+  ]
+
+  @decisions ["allow_once", "allow_session", "deny"]
+
+  # Shell syntax that could chain another command after an allowed one, and
+  # control characters: the tty turns a \r into Enter, which runs what follows
+  @shell_operators ~r/[;&|`$<>()\x00-\x1f\x7f]/
+
+  @doc """
+  Decide whether a tool call may run. `grants` holds the tool names the user
+  allowed for the rest of the chat session; the updated set is returned.
+
+  Returns `{:allow, grants}` or `{:deny, reason, grants}`.
+  """
+  def authorize(tool_name, arguments, grants, chat_socket_pid) do
+    cond do
+      not gated?(tool_name) -> {:allow, grants}
+      mode() == :auto -> {:allow, grants}
+      MapSet.member?(grants, tool_name) -> {:allow, grants}
+      mode() == :allowlist and allowlisted?(tool_name, arguments) -> {:allow, grants}
+      true -> ask(tool_name, arguments, grants, chat_socket_pid)
+    end
+  end
+
+  @doc """
+  Whether a tool needs permission to run.
+  """
+  def gated?(tool_name), do: tool_name in @terminal_tools or tool_name in @file_tools
+
+  @doc """
+  Whether a decision sent by the client is one we understand.
+  """
+  def valid_decision?(decision), do: decision in @decisions
+
+  @doc """
+  The configured mode: `:ask`, `:allowlist` or `:auto`.
+  """
+  def mode do
+    case System.get_env("EXTERM_PERMISSION_MODE") ||
+           Application.get_env(:exterm, :permission_mode, "ask") do
+      mode when mode in ["auto", :auto] -> :auto
+      mode when mode in ["allowlist", :allowlist] -> :allowlist
+      _ -> :ask
+    end
+  end
+
+  @doc """
+  The tool result the model gets when a call is denied.
+  """
+  def denied_result(reason) do
+    %{
+      "success" => false,
+      "denied" => true,
+      "error" => reason,
+      "note" => "The user did not allow this action. Do not retry it unchanged; adjust your approach or ask the user."
+    }
+  end
+
+  # Private helper functions
+
+  defp ask(_tool_name, _arguments, grants, nil) do
+    {:deny, "No chat is connected to approve this action", grants}
+  end
+
+  defp ask(tool_name, arguments, grants, chat_socket_pid) do
+    id = "perm_#{:erlang.unique_integer([:positive])}"
+    send(chat_socket_pid, {:permission_request, self(), request(id, tool_name, arguments)})
+
+    timeout = Application.get_env(:exterm, :permission_timeout, 300) * 1000
+
+    receive do
+      {:permission_decision, ^id, "allow_once", _reason} ->
+        {:allow, grants}
+
+      {:permission_decision, ^id, "allow_session", _reason} ->
+        {:allow, MapSet.put(grants, tool_name)}
+
+      {:permission_decision, ^id, "deny", reason} ->
+        {:deny, denial_reason(reason), grants}
+
+      {:permissions_cancelled, ^id} ->
+        {:deny, "The user stopped the AI before approving this action", grants}
+    after
+      timeout ->
+        send(chat_socket_pid, {:send_message, %{type: "permission_expired", id: id}})
+        {:deny, "The user did not answer the approval request in time", grants}
+    end
+  end
+
+  defp denial_reason(reason) when is_binary(reason) do
+    case String.trim(reason) do
+      "" -> "The user denied this action"
+      reason -> "The user denied this action: #{reason}"
+    end
+  end
+
+  defp denial_reason(_reason), do: "The user denied this action"
+
+  defp request(id, tool_name, arguments) when tool_name in @terminal_tools do
+    %{
+      type: "permission_request",
+      id: id,
+      kind: "terminal",
+      tool_name: tool_name,
+      command: terminal_input(arguments),
+      timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+    }
+  end
+
+  defp request(id, tool_name, arguments) do
+    {path, diff} =
+      case FileTools.preview_change(tool_name, arguments) do
+        {:ok, path, old_content, new_content} ->
+          {path, Diff.unified(old_content, new_content, path)}
+
+        :error ->
+          {Map.get(arguments, "path"), ""}
+      end
+
+    %{
+      type: "permission_request",
+      id: id,
+      kind: "file",
+      tool_name: tool_name,
+      path: path,
+      diff: diff,
+      timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+    }
+  end
+
+  defp terminal_input(arguments) do
+    Map.get(arguments, "input") || Map.get(arguments, "command") || ""
+  end
+
+  defp allowlisted?(tool_name, arguments) when tool_name in @terminal_tools do
+    command = terminal_input(arguments) |> String.trim()
+
+    # A chained command could hide anything behind an allowed prefix
+    not Regex.match?(@shell_operators, command) and
+      Enum.any?(allowed("EXTERM_ALLOWED_COMMANDS", :permission_allowed_commands), fn allowed ->
+        command == allowed or String.starts_with?(command, allowed <> " ")
+      end)
+  end
+
+  defp allowlisted?(_tool_name, %{"path" => path}) when is_binary(path) do
+    expanded = Path.expand(path)
+
+    Enum.any?(allowed("EXTERM_ALLOWED_PATHS", :permission_allowed_paths), fn allowed ->
+      directory = Path.expand(allowed)
+      expanded == directory or String.starts_with?(expanded, directory <> "/")
+    end)
+  end
+
+  defp allowlisted?(_tool_name, _arguments), do: false
+
+  # A comma separated env var overrides the config list
+  defp allowed(env_var, config_key) do
+    case System.get_env(env_var) do
+      nil ->
+        Application.get_env(:exterm, config_key, [])
+
+      value ->
+        value
+        |> String.split(",")
+        |> Enum.map(&String.trim/1)
+        |> Enum.reject(&(&1 == ""))
+    end
+  end
+end
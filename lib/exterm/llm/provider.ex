@@ -0,0 +1,167 @@
+defmodule Exterm.Llm.Provider do
+  @moduledoc """
+  LLM providers the chat can talk to, and the behaviour their request
+  builders and stream parsers implement.
+
+  Every provider module turns our OpenAI-style messages and tools into its own
+  request, and turns its server-sent events back into OpenAI-style stream
+  chunks (`%{"choices" => [%{"delta" => ...}]}`), which is what
+  `Exterm.Llm.ReqClient` callers consume. Token counts arrive as a chunk of
+  their own, `%{"usage" => %{"prompt_tokens" => ..., "completion_tokens" => ...}}`.
+
+  Providers:
+    - `:openrouter`, `:groq`, `:deepinfra` - hosted OpenAI-compatible APIs
+    - `:local` - any OpenAI-compatible server (llama.cpp, Ollama, vLLM) at
+      `EXTERM_LOCAL_LLM_URL` or the `:local_llm_url` config
+    - `:anthropic` - Anthropic's native Messages API
+  """
+
+  alias Exterm.Llm.Providers.{Anthropic, OpenAICompatible}
+
+  @doc """
+  Headers for a request, including authentication.
+  """
+  @callback headers(settings :: map()) :: [{String.t(), String.t()}]
+
+  @doc """
+  URL and JSON body of a streaming chat request. `opts` carries `:model`,
+  `:temperature`, `:max_tokens`, `:reasoning_effort` and `:functions`.
+  """
+  @callback chat_request(settings :: map(), messages :: [map()], opts :: keyword()) ::
+              {String.t(), map()}
+
+  @doc """
+  Parser state for a new stream.
+  """
+  @callback init_stream() :: term()
+
+  @doc """
+  Turn one decoded `data:` event into OpenAI-style chunks.
+  """
+  @callback parse_event(event :: map(), state :: term()) :: {[map()], term()}
+
+  @providers %{
+    openrouter: %{
+      module: OpenAICompatible,
+      label: "OpenRouter",
+      base_url: "https://openrouter.ai/api/v1",
+      api_key_env: "OPENROUTER_API_KEY",
+      default_model: "qwen/qwen3-235b-a22b:free",
+      reqllm: true
+    },
+    groq: %{
+      module: OpenAICompatible,
+      label: "Groq",
+      base_url: "https://api.groq.com/openai/v1",
+      api_key_env: "GROQ_API_KEY",
+      default_model: "gemma2-9b-it",
+      reqllm: true
+    },
+    deepinfra: %{
+      module: OpenAICompatible,
+      label: "DeepInfra",
+      base_url: "https://api.deepinfra.com/v1/openai",
+      api_key_env: "DEEPINFRA_API_KEY",
+      default_model: "google/gemma-3-4b-it",
+      reqllm: true
+    },
+    local: %{
+      module: OpenAICompatible,
+      label: "Local server",
+      base_url: "http://localhost:11434/v1",
+      api_key_env: "EXTERM_LOCAL_LLM_API_KEY",
+      default_model: nil,
+      reqllm: false
+    },
+    anthropic: %{
+      module: Anthropic,
+      label: "Anthropic",
+      base_url: "https://api.anthropic.com/v1",
+      api_key_env: "ANTHROPIC_API_KEY",
+      default_model: "claude-sonnet-4-5",
+      reqllm: false
+    }
+  }
+
+  @doc """
+  All provider names.
+  """
+  def names, do: Map.keys(@providers) |> Enum.sort()
+
+  @doc """
+  The provider new chats start with, from `LLM_PROVIDER` or the `:llm_provider` config.
+  """
+  def default do
+    name = System.get_env("LLM_PROVIDER") || Application.get_env(:exterm, :llm_provider)
+
+    case parse_name(name) do
+      {:ok, provider} -> provider
+      :error -> :openrouter
+    end
+  end
+
+  @doc """
+  Look up a provider by the name the browser or a saved conversation uses.
+  """
+  def parse_name(name) when is_atom(name) and is_map_key(@providers, name), do: {:ok, name}
+
+  def parse_name(name) when is_binary(name) do
+    Enum.find_value(names(), :error, fn provider ->
+      if Atom.to_string(provider) == name, do: {:ok, provider}
+    end)
+  end
+
+  def parse_name(_name), do: :error
+
+  @doc """
+  Settings of a provider with its API key and the configured local server
+  filled in. Raises `ArgumentError` for unknown providers.
+  """
+  def settings(provider) do
+    case Map.fetch(@providers, provider) do
+      {:ok, settings} ->
+        settings
+        |> Map.put(:name, provider)
+        |> Map.put(:api_key, System.get_env(settings.api_key_env))
+        |> configure(provider)
+
+      :error ->
+        raise ArgumentError,
+              "Unknown provider: #{inspect(provider)}. Available providers: #{Enum.join(names(), ", ")}"
+    end
+  end
+
+  @doc """
+  Providers for the chat's provider picker. A provider is available when its
+  API key is set; the local server doesn't need one.
+  """
+  def list do
+    Enum.map(names(), fn provider ->
+      settings = settings(provider)
+
+      %{
+        id: provider,
+        name: settings.label,
+        available: provider == :local or settings.api_key not in [nil, ""]
+      }
+    end)
+  end
+
+  # Private helper functions
+
+  defp configure(settings, :local) do
+    base_url =
+      System.get_env("EXTERM_LOCAL_LLM_URL") ||
+        Application.get_env(:exterm, :local_llm_url) || settings.base_url
+
+    %{
+      settings
+      | base_url: String.trim_trailing(base_url, "/"),
+        default_model:
+          System.get_env("EXTERM_LOCAL_LLM_MODEL") ||
+            Application.get_env(:exterm, :local_llm_model)
+    }
+  end
+
+  defp configure(settings, _provider), do: settings
+end
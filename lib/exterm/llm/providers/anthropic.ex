@@ -0,0 +1,250 @@
+defmodule Exterm.Llm.Providers.Anthropic do
+  @moduledoc """
+  Anthropic's native Messages API. Requests are translated from our
+  OpenAI-style history (system prompt, tool calls, tool results and image
+  attachments) and the streamed content blocks are translated back into
+  OpenAI-style chunks.
+  """
+
+  @behaviour Exterm.Llm.Provider
+
+  @api_version "2023-06-01"
+
+  @stop_reasons %{
+    "end_turn" => "stop",
+    "stop_sequence" => "stop",
+    "max_tokens" => "length",
+    "tool_use" => "tool_calls"
+  }
+
+  @impl true
+  def headers(settings) do
+    [
+      {"Content-Type", "application/json"},
+      {"Accept", "text/event-stream"},
+      {"x-api-key", settings.api_key || ""},
+      {"anthropic-version", @api_version}
+    ]
+  end
+
+  # Reasoning effort is not sent: extended thinking needs the signed thinking
+  # blocks echoed back with every tool result, and the history doesn't keep them
+  @impl true
+  def chat_request(settings, messages, opts) do
+    {system, messages} = split_system(messages)
+    functions = Keyword.get(opts, :functions) || []
+
+    body =
+      %{
+        model: Keyword.get(opts, :model),
+        messages: Enum.flat_map(messages, &to_anthropic/1),
+        temperature: min(Keyword.get(opts, :temperature, 0.7), 1.0),
+        max_tokens: Keyword.get(opts, :max_tokens, 2048),
+        stream: true
+      }
+      |> then(fn body -> if system == "", do: body, else: Map.put(body, :system, system) end)
+
+    body =
+      if functions == [] do
+        body
+      else
+        body
+        |> Map.put(:tools, Enum.map(functions, &to_anthropic_tool/1))
+        |> Map.put(:tool_choice, %{type: "auto"})
+      end
+
+    {settings.base_url <> "/messages", body}
+  end
+
+  # Content block index => index of the tool call it streams, if it is one,
+  # and the input tokens counted when the message started
+  @impl true
+  def init_stream, do: %{tool_blocks: %{}, input_tokens: 0}
+
+  # Cached prompt tokens are counted apart from the rest of the input
+  @impl true
+  def parse_event(%{"type" => "message_start", "message" => message}, state) do
+    usage = message["usage"] || %{}
+
+    input_tokens =
+      ["input_tokens", "cache_creation_input_tokens", "cache_read_input_tokens"]
+      |> Enum.map(&(usage[&1] || 0))
+      |> Enum.sum()
+
+    {[], %{state | input_tokens: input_tokens}}
+  end
+
+  def parse_event(%{"type" => "content_block_start", "index" => index} = event, state) do
+    case event["content_block"] do
+      %{"type" => "tool_use", "id" => id, "name" => name} ->
+        tool_index = map_size(state.tool_blocks)
+
+        chunk =
+          tool_call_chunk(%{
+            "index" => tool_index,
+            "id" => id,
+            "type" => "function",
+            "function" => %{"name" => name, "arguments" => ""}
+          })
+
+        {[chunk], %{state | tool_blocks: Map.put(state.tool_blocks, index, tool_index)}}
+
+      _block ->
+        {[], state}
+    end
+  end
+
+  def parse_event(
+        %{"type" => "content_block_delta", "index" => index, "delta" => delta},
+        state
+      ) do
+    case delta do
+      %{"type" => "text_delta", "text" => text} ->
+        {[delta_chunk(%{"content" => text})], state}
+
+      %{"type" => "input_json_delta", "partial_json" => json} ->
+        case Map.fetch(state.tool_blocks, index) do
+          {:ok, tool_index} ->
+            {[tool_call_chunk(%{"index" => tool_index, "function" => %{"arguments" => json}})],
+             state}
+
+          :error ->
+            {[], state}
+        end
+
+      _delta ->
+        {[], state}
+    end
+  end
+
+  # The final output token count comes with the stop reason
+  def parse_event(%{"type" => "message_delta"} = event, state) do
+    usage =
+      case event["usage"] do
+        %{"output_tokens" => output_tokens} ->
+          [
+            %{
+              "usage" => %{
+                "prompt_tokens" => state.input_tokens,
+                "completion_tokens" => output_tokens
+              }
+            }
+          ]
+
+        _usage ->
+          []
+      end
+
+    finish =
+      case get_in(event, ["delta", "stop_reason"]) do
+        reason when is_binary(reason) ->
+          [%{"choices" => [%{"finish_reason" => Map.get(@stop_reasons, reason, reason)}]}]
+
+        _reason ->
+          []
+      end
+
+    {usage ++ finish, state}
+  end
+
+  def parse_event(%{"type" => "error", "error" => error}, state) do
+    IO.puts("Anthropic: Error in stream: #{inspect(error)}")
+    {[], state}
+  end
+
+  def parse_event(_event, state), do: {[], state}
+
+  # Private helper functions
+
+  # Anthropic takes the system prompt separately. Later system messages (e.g.
+  # terminal context) become user messages, the only other place they fit.
+  defp split_system([message | rest] = messages) do
+    if field(message, :role) == "system",
+      do: {field(message, :content) || "", rest},
+      else: {"", messages}
+  end
+
+  defp split_system([]), do: {"", []}
+
+  defp to_anthropic(message) do
+    content = field(message, :content) || ""
+
+    case {field(message, :role), field(message, :tool_calls)} do
+      {"system", _} ->
+        [%{role: "user", content: "[System] " <> content}]
+
+      {"assistant", tool_calls} when is_list(tool_calls) and tool_calls != [] ->
+        text = if String.trim(content) == "", do: [], else: [%{type: "text", text: content}]
+        [%{role: "assistant", content: text ++ Enum.map(tool_calls, &to_tool_use/1)}]
+
+      # Anthropic rejects empty turns, e.g. the placeholder left after tool calls
+      {"assistant", _} ->
+        if String.trim(content) == "", do: [], else: [%{role: "assistant", content: content}]
+
+      {"tool", _} ->
+        [
+          %{
+            role: "user",
+            content: [
+              %{
+                type: "tool_result",
+                tool_use_id: field(message, :tool_call_id),
+                content: content
+              }
+            ]
+          }
+        ]
+
+      {_user, _} when is_list(content) ->
+        [%{role: "user", content: Enum.flat_map(content, &to_anthropic_part/1)}]
+
+      {_user, _} ->
+        [%{role: "user", content: content}]
+    end
+  end
+
+  # Content parts from Exterm.Llm.Attachments. Images come as data URLs.
+  defp to_anthropic_part(%{"type" => "text", "text" => text}), do: [%{type: "text", text: text}]
+
+  defp to_anthropic_part(%{"type" => "image_url", "image_url" => %{"url" => url}}) do
+    case Regex.run(~r/^data:([^;,]+);base64,(.*)$/s, url) do
+      [_, media_type, data] ->
+        [%{type: "image", source: %{type: "base64", media_type: media_type, data: data}}]
+
+      nil ->
+        [%{type: "image", source: %{type: "url", url: url}}]
+    end
+  end
+
+  defp to_anthropic_part(_part), do: []
+
+  defp to_tool_use(tool_call) do
+    input =
+      case Jason.decode(get_in(tool_call, ["function", "arguments"]) || "{}") do
+        {:ok, input} when is_map(input) -> input
+        _ -> %{}
+      end
+
+    %{
+      type: "tool_use",
+      id: tool_call["id"],
+      name: get_in(tool_call, ["function", "name"]),
+      input: input
+    }
+  end
+
+  defp to_anthropic_tool(%{"function" => function}) do
+    %{
+      name: function["name"],
+      description: function["description"],
+      input_schema: function["parameters"] || %{"type" => "object", "properties" => %{}}
+    }
+  end
+
+  defp delta_chunk(delta), do: %{"choices" => [%{"delta" => delta}]}
+
+  defp tool_call_chunk(tool_call), do: delta_chunk(%{"tool_calls" => [tool_call]})
+
+  # History messages have atom keys, messages read back from JSON string keys
+  defp field(message, key), do: Map.get(message, key, Map.get(message, Atom.to_string(key)))
+end
@@ -0,0 +1,84 @@
+defmodule Exterm.Llm.Providers.OpenAICompatible do
+  @moduledoc """
+  Chat completions for APIs that follow OpenAI's format: OpenRouter, Groq,
+  DeepInfra and local servers such as llama.cpp, Ollama and vLLM. Their
+  stream chunks already have the shape we use, so parsing passes them through.
+  """
+
+  @behaviour Exterm.Llm.Provider
+
+  @impl true
+  def headers(settings) do
+    auth =
+      case settings.api_key do
+        # Local servers usually run without a key
+        key when key in [nil, ""] -> []
+        key -> [{"Authorization", "Bearer #{key}"}]
+      end
+
+    [{"Content-Type", "application/json"}, {"Accept", "text/event-stream"} | auth]
+  end
+
+  @impl true
+  def chat_request(settings, messages, opts) do
+    functions = Keyword.get(opts, :functions, [])
+
+    base_body = %{
+      model: Keyword.get(opts, :model),
+      messages: messages,
+      temperature: Keyword.get(opts, :temperature, 0.7),
+      max_tokens: Keyword.get(opts, :max_tokens, 2048),
+      stream: true
+    }
+
+    effort = Keyword.get(opts, :reasoning_effort)
+
+    base_body =
+      base_body
+      |> put_reasoning_effort(settings.name, effort)
+      |> put_usage_request(settings.name)
+
+    body =
+      if functions && length(functions) > 0 do
+        base_body
+        |> Map.put(:tools, functions)
+        # CRITICAL: For Claude via OpenRouter, tool_choice is REQUIRED
+        # Without this, Claude treats tools as documentation only and won't actually call them
+        |> Map.put(:tool_choice, "auto")
+      else
+        base_body
+      end
+
+    {settings.base_url <> "/chat/completions", body}
+  end
+
+  @impl true
+  def init_stream, do: nil
+
+  # The last chunk carries a "usage" map, which passes through with the rest
+  @impl true
+  def parse_event(%{"error" => error}, state) do
+    IO.puts("OpenAICompatible: Error in stream: #{inspect(error)}")
+    {[], state}
+  end
+
+  def parse_event(event, state), do: {[event], state}
+
+  # Private helper functions
+
+  defp put_reasoning_effort(body, provider, effort) do
+    cond do
+      effort not in ["low", "medium", "high"] -> body
+      # OpenRouter normalizes reasoning settings across providers
+      provider == :openrouter -> Map.put(body, :reasoning, %{effort: effort})
+      true -> Map.put(body, :reasoning_effort, effort)
+    end
+  end
+
+  # Token counts only come at the end of a stream when asked for; OpenRouter's
+  # own option adds the cost
+  defp put_usage_request(body, :openrouter), do: Map.put(body, :usage, %{include: true})
+
+  defp put_usage_request(body, _provider),
+    do: Map.put(body, :stream_options, %{include_usage: true})
+end
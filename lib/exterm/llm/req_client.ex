@@ -2,19 +2,19 @@ defmodule Exterm.Llm.ReqClient do
   @moduledoc """
   ReqLLM-based client that provides the same API as our old Client module.
   Wraps ReqLLM library to maintain backward compatibility with existing code.
+
+  Providers ReqLLM doesn't cover (local servers, Anthropic) are always called
+  over HTTP, with requests and stream parsing from their `Exterm.Llm.Provider`
+  module.
   """
 
-  @providers %{
-    groq: %{
-      default_model: "gemma2-9b-it"
-    },
-    deepinfra: %{
-      default_model: "google/gemma-3-4b-it"
-    },
-    openrouter: %{
-      default_model: "qwen/qwen3-235b-a22b:free"
-    }
-  }
+  alias Exterm.Llm.Provider
+
+  @reasoning_efforts %{"low" => :low, "medium" => :medium, "high" => :high}
+  # History messages carry keys of our own (ids, models, usage, branches);
+  # only these API fields are sent, with atom or string keys
+  @request_keys ~w(role content tool_calls tool_call_id)a ++
+                  ~w(role content tool_calls tool_call_id)
 
   @doc """
   Sends a chat request (non-streaming).
@@ -23,22 +23,31 @@ defmodule Exterm.Llm.ReqClient do
     - :model - Model ID
     - :temperature - Sampling temperature
     - :max_tokens - Max tokens in response
+    - :reasoning_effort - "low", "medium" or "high" for models that reason
     - :previous_messages - List of previous messages
     - :functions - List of function/tool definitions
   """
   def chat(provider, prompt, opts \\ []) when is_atom(provider) and is_binary(prompt) do
-    # Get model from opts or use default
-    config = @providers[provider]
+    settings = Provider.settings(provider)
+    previous_messages = Keyword.get(opts, :previous_messages, [])
 
-    unless config do
-      raise ArgumentError,
-            "Unknown provider: #{provider}. Available providers: #{Map.keys(@providers) |> Enum.join(", ")}"
+    if settings.reqllm and not Enum.any?(previous_messages, &content_parts?/1) do
+      chat_with_reqllm(settings, prompt, opts)
+    else
+      # Without ReqLLM, or with attachments it doesn't take, the response is
+      # streamed and collected
+      provider
+      |> stream_chat_with_http(prompt, opts)
+      |> collect_stream()
     end
+  end
 
-    model = Keyword.get(opts, :model, config.default_model)
+  defp chat_with_reqllm(settings, prompt, opts) do
+    # Get model from opts or use default
+    model = Keyword.get(opts, :model) || settings.default_model
 
     # Build model spec for ReqLLM
-    model_spec = "#{provider}:#{model}"
+    model_spec = "#{settings.name}:#{model}"
 
     # Extract options
     temperature = Keyword.get(opts, :temperature, 0.7)
@@ -47,13 +56,15 @@ defmodule Exterm.Llm.ReqClient do
     functions = Keyword.get(opts, :functions, nil)
 
     # Build messages list (ReqLLM accepts our format!)
-    messages = previous_messages ++ [%{role: "user", content: prompt}]
+    messages = request_messages(previous_messages, prompt)
 
     # Build ReqLLM options
-    req_opts = [
-      temperature: temperature,
-      max_tokens: max_tokens
-    ]
+    req_opts =
+      [
+        temperature: temperature,
+        max_tokens: max_tokens
+      ]
+      |> put_reasoning_effort(Keyword.get(opts, :reasoning_effort))
 
     # Add tools if provided (try OpenAI format first)
     req_opts =
@@ -68,7 +79,7 @@ defmodule Exterm.Llm.ReqClient do
       end
 
     # Get API key from environment
-    api_key = get_api_key(provider)
+    api_key = settings.api_key
     req_opts = if api_key, do: Keyword.put(req_opts, :api_key, api_key), else: req_opts
 
     # Call ReqLLM
@@ -90,7 +101,8 @@ defmodule Exterm.Llm.ReqClient do
   NOTE: When tools are provided, uses direct HTTPoison streaming instead of ReqLLM
   because ReqLLM doesn't properly parse tool_call chunks from OpenRouter's SSE stream.
   """
-  def stream_chat(provider, prompt, opts \\ []) when is_atom(provider) and is_binary(prompt) do
+  def stream_chat(provider, prompt, opts \\ [])
+      when is_atom(provider) and (is_binary(prompt) or is_list(prompt)) do
     functions = Keyword.get(opts, :functions, nil)
     previous_messages = Keyword.get(opts, :previous_messages, [])
 
@@ -100,10 +112,22 @@ defmodule Exterm.Llm.ReqClient do
         Map.get(msg, :role) == "tool" || Map.get(msg, "role") == "tool"
       end)
 
+    # Images and other attachments are lists of content parts, which the
+    # providers' own requests forward as they are
+    has_content_parts = is_list(prompt) or Enum.any?(previous_messages, &content_parts?/1)
+
     # If tools are present OR history has tool messages, use direct HTTP streaming
     # ReqLLM has issues with both tool call parsing AND tool role messages
-    if (functions && length(functions) > 0) || has_tool_messages do
-      reason = if has_tool_messages, do: "tool role messages in history", else: "tools present"
+    if (functions && length(functions) > 0) || has_tool_messages || has_content_parts ||
+         not Provider.settings(provider).reqllm do
+      reason =
+        cond do
+          has_tool_messages -> "tool role messages in history"
+          functions && length(functions) > 0 -> "tools present"
+          has_content_parts -> "attachments in history"
+          true -> "#{provider} is not a ReqLLM provider"
+        end
+
       IO.puts("ReqClient: Using direct HTTP streaming (#{reason})")
 
       stream_chat_with_http(provider, prompt, opts)
@@ -114,14 +138,8 @@ defmodule Exterm.Llm.ReqClient do
 
   defp stream_chat_with_reqllm(provider, prompt, opts) do
     # Get model from opts or use default
-    config = @providers[provider]
-
-    unless config do
-      raise ArgumentError,
-            "Unknown provider: #{provider}. Available providers: #{Map.keys(@providers) |> Enum.join(", ")}"
-    end
-
-    model = Keyword.get(opts, :model, config.default_model)
+    settings = Provider.settings(provider)
+    model = Keyword.get(opts, :model) || settings.default_model
 
     # Build model spec for ReqLLM
     model_spec = "#{provider}:#{model}"
@@ -133,13 +151,15 @@ defmodule Exterm.Llm.ReqClient do
     functions = Keyword.get(opts, :functions, nil)
 
     # Build messages list
-    messages = previous_messages ++ [%{role: "user", content: prompt}]
+    messages = request_messages(previous_messages, prompt)
 
     # Build ReqLLM options
-    req_opts = [
-      temperature: temperature,
-      max_tokens: max_tokens
-    ]
+    req_opts =
+      [
+        temperature: temperature,
+        max_tokens: max_tokens
+      ]
+      |> put_reasoning_effort(Keyword.get(opts, :reasoning_effort))
 
     # Add tools if provided
     req_opts =
@@ -156,7 +176,7 @@ defmodule Exterm.Llm.ReqClient do
       end
 
     # Get API key
-    api_key = get_api_key(provider)
+    api_key = settings.api_key
     req_opts = if api_key, do: Keyword.put(req_opts, :api_key, api_key), else: req_opts
 
     # Call ReqLLM streaming
@@ -173,11 +193,19 @@ defmodule Exterm.Llm.ReqClient do
     end
   end
 
-  defp get_api_key(provider) do
-    case provider do
-      :openrouter -> System.get_env("OPENROUTER_API_KEY")
-      :groq -> System.get_env("GROQ_API_KEY")
-      :deepinfra -> System.get_env("DEEPINFRA_API_KEY")
+  defp request_messages(previous_messages, prompt) do
+    Enum.map(previous_messages, &Map.take(&1, @request_keys)) ++
+      [%{role: "user", content: prompt}]
+  end
+
+  defp content_parts?(message) do
+    is_list(Map.get(message, :content, Map.get(message, "content")))
+  end
+
+  defp put_reasoning_effort(req_opts, effort) do
+    case Map.fetch(@reasoning_efforts, effort) do
+      {:ok, effort} -> Keyword.put(req_opts, :reasoning_effort, effort)
+      :error -> req_opts
     end
   end
 
@@ -204,7 +232,8 @@ defmodule Exterm.Llm.ReqClient do
             "tool_calls" => format_tool_calls(tool_calls)
           }
         }
-      ]
+      ],
+      "usage" => response.usage
     }
   end
 
@@ -306,65 +335,32 @@ defmodule Exterm.Llm.ReqClient do
   end
 
   # Direct HTTP streaming when tools are present (ReqLLM doesn't parse tool calls properly)
+  # and for providers ReqLLM doesn't cover
   defp stream_chat_with_http(provider, prompt, opts) do
-    config = @providers[provider]
+    settings = Provider.settings(provider)
+    module = settings.module
 
-    model = Keyword.get(opts, :model, config.default_model)
-    temperature = Keyword.get(opts, :temperature, 0.7)
-    max_tokens = Keyword.get(opts, :max_tokens, 2048)
+    model = Keyword.get(opts, :model) || settings.default_model
     previous_messages = Keyword.get(opts, :previous_messages, [])
     functions = Keyword.get(opts, :functions, [])
 
-    messages = previous_messages ++ [%{role: "user", content: prompt}]
+    messages = request_messages(previous_messages, prompt)
 
-    api_key = get_api_key(provider)
-    unless api_key, do: raise(ArgumentError, "API key not found for #{provider}")
-
-    # Build OpenRouter URL
-    url =
-      case provider do
-        :openrouter -> "https://openrouter.ai/api/v1/chat/completions"
-        :groq -> "https://api.groq.com/openai/v1/chat/completions"
-        :deepinfra -> "https://api.deepinfra.com/v1/openai/chat/completions"
-      end
-
-    headers = [
-      {"Content-Type", "application/json"},
-      {"Authorization", "Bearer #{api_key}"},
-      {"Accept", "text/event-stream"}
-    ]
-
-    # Build request body - only include tools if present
-    base_body = %{
-      model: model,
-      messages: messages,
-      temperature: temperature,
-      max_tokens: max_tokens,
-      stream: true
-    }
+    # Local servers usually run without a key
+    if settings.api_key in [nil, ""] and provider != :local do
+      raise ArgumentError, "API key not found for #{provider} (set #{settings.api_key_env})"
+    end
 
-    body =
-      if functions && length(functions) > 0 do
-        base_body
-        |> Map.put(:tools, functions)
-        # CRITICAL: For Claude via OpenRouter, tool_choice is REQUIRED
-        # Without this, Claude treats tools as documentation only and won't actually call them
-        |> Map.put(:tool_choice, "auto")
-      else
-        base_body
-      end
+    {url, body} = module.chat_request(settings, messages, Keyword.put(opts, :model, model))
+    headers = module.headers(settings)
 
     # Debug: Log what we're sending
     IO.puts("\n=== ReqClient: HTTP Streaming Request ===")
+    IO.puts("Provider: #{provider} (#{url})")
     IO.puts("Model: #{model}")
     IO.puts("Tools count: #{if functions, do: length(functions), else: 0}")
     IO.puts("Has tool_choice: #{Map.has_key?(body, :tool_choice)}")
     IO.puts("Body keys: #{inspect(Map.keys(body))}")
-
-    if Map.has_key?(body, :tools) do
-      IO.puts("First tool: #{inspect(hd(body.tools)["function"]["name"])}")
-    end
-
     IO.puts("=========================================\n")
 
     body = Jason.encode!(body)
@@ -378,9 +374,10 @@ defmodule Exterm.Llm.ReqClient do
                recv_timeout: 60_000
              ) do
           {:ok, %HTTPoison.AsyncResponse{id: id}} ->
-            id
+            %{id: id, status: nil, buffer: "", parser: module.init_stream()}
 
-          {:error, _error} ->
+          {:error, error} ->
+            IO.puts("ReqClient: Request to #{url} failed: #{inspect(error)}")
             nil
         end
       end,
@@ -388,19 +385,24 @@ defmodule Exterm.Llm.ReqClient do
         nil ->
           {:halt, nil}
 
-        id ->
+        %{id: id} = stream ->
           receive do
-            %HTTPoison.AsyncStatus{id: ^id} ->
+            %HTTPoison.AsyncStatus{id: ^id, code: code} ->
               HTTPoison.stream_next(%HTTPoison.AsyncResponse{id: id})
-              {[], id}
+              {[], %{stream | status: code}}
 
             %HTTPoison.AsyncHeaders{id: ^id} ->
               HTTPoison.stream_next(%HTTPoison.AsyncResponse{id: id})
-              {[], id}
+              {[], stream}
+
+            # An error response is a JSON body, not events; it is logged at the end
+            %HTTPoison.AsyncChunk{id: ^id, chunk: chunk} when stream.status != 200 ->
+              HTTPoison.stream_next(%HTTPoison.AsyncResponse{id: id})
+              {[], %{stream | buffer: stream.buffer <> chunk}}
 
             %HTTPoison.AsyncChunk{id: ^id, chunk: chunk} ->
               HTTPoison.stream_next(%HTTPoison.AsyncResponse{id: id})
-              parsed_chunks = parse_sse_chunk(chunk)
+              {parsed_chunks, stream} = parse_sse_chunk(module, stream, chunk)
 
               # Debug: Log tool_calls in chunks
               Enum.each(parsed_chunks, fn parsed ->
@@ -409,9 +411,13 @@ defmodule Exterm.Llm.ReqClient do
                 end
               end)
 
-              {parsed_chunks, id}
+              {parsed_chunks, stream}
 
             %HTTPoison.AsyncEnd{id: ^id} ->
+              if stream.status != 200 do
+                IO.puts("ReqClient: #{provider} returned HTTP #{stream.status}: #{stream.buffer}")
+              end
+
               {:halt, nil}
 
             %HTTPoison.Error{id: ^id} ->
@@ -425,28 +431,90 @@ defmodule Exterm.Llm.ReqClient do
     )
   end
 
-  defp parse_sse_chunk(chunk) do
-    chunk
-    |> String.split("
-")
-    |> Enum.filter(&String.starts_with?(&1, "data: "))
-    |> Enum.map(fn line ->
-      data = String.replace_prefix(line, "data: ", "")
+  # Events can be split across chunks, so an incomplete last line waits in the
+  # buffer for the next chunk
+  defp parse_sse_chunk(module, stream, chunk) do
+    lines = String.split(stream.buffer <> chunk, "\n")
+    {lines, [rest]} = Enum.split(lines, -1)
+
+    {parsed, parser} =
+      lines
+      |> Enum.map(&String.trim_trailing(&1, "\r"))
+      |> Enum.filter(&String.starts_with?(&1, "data:"))
+      |> Enum.flat_map_reduce(stream.parser, fn line, parser ->
+        data = String.replace_prefix(line, "data:", "")
+
+        case String.trim(data) do
+          "[DONE]" ->
+            {[%{"choices" => [%{"finish_reason" => "stop"}]}], parser}
+
+          "" ->
+            {[], parser}
+
+          json ->
+            case Jason.decode(json) do
+              {:ok, event} -> module.parse_event(event, parser)
+              {:error, _} -> {[], parser}
+            end
+        end
+      end)
 
-      case String.trim(data) do
-        "[DONE]" ->
-          %{"choices" => [%{"finish_reason" => "stop"}]}
+    {parsed, %{stream | buffer: rest, parser: parser}}
+  end
 
-        "" ->
-          nil
+  # Fold streamed chunks into the response shape chat/3 returns
+  defp collect_stream(stream) do
+    {content, tool_calls, usage} =
+      Enum.reduce(stream, {"", %{}, nil}, fn chunk, {content, tool_calls, usage} ->
+        # The last chunk can carry a delta as well as the usage
+        usage = if is_map(chunk["usage"]), do: chunk["usage"], else: usage
+
+        case chunk do
+          %{"choices" => [%{"delta" => delta} | _]} ->
+            tool_calls =
+              Enum.reduce(delta["tool_calls"] || [], tool_calls, fn call, acc ->
+                Map.update(acc, call["index"] || 0, call, &merge_tool_call(&1, call))
+              end)
 
-        json ->
-          case Jason.decode(json) do
-            {:ok, parsed} -> parsed
-            {:error, _} -> nil
-          end
-      end
-    end)
-    |> Enum.reject(&is_nil/1)
+            {content <> (delta["content"] || ""), tool_calls, usage}
+
+          _chunk ->
+            {content, tool_calls, usage}
+        end
+      end)
+
+    tool_calls =
+      tool_calls
+      |> Enum.sort_by(fn {index, _call} -> index end)
+      |> Enum.map(fn {_index, call} -> Map.delete(call, "index") end)
+
+    %{
+      "choices" => [
+        %{
+          "message" => %{
+            "content" => content,
+            "role" => "assistant",
+            "tool_calls" => if(tool_calls == [], do: nil, else: tool_calls)
+          }
+        }
+      ],
+      "usage" => usage
+    }
+  end
+
+  # Later deltas of a tool call carry more of its arguments
+  defp merge_tool_call(call, delta) do
+    arguments =
+      (get_in(call, ["function", "arguments"]) || "") <>
+        (get_in(delta, ["function", "arguments"]) || "")
+
+    call
+    |> Map.merge(Map.drop(delta, ["function"]))
+    |> Map.put(
+      "function",
+      (call["function"] || %{})
+      |> Map.merge(delta["function"] || %{})
+      |> Map.put("arguments", arguments)
+    )
   end
 end
@@ -228,6 +228,36 @@ defmodule Exterm.Llm.Tools do
         }
       }
     },
+    %{
+      "type" => "function",
+      "function" => %{
+        "name" => "edit_lines",
+        "description" =>
+          "Replace a range of lines in a file with new content. Use read_file with line numbers first to find the range.",
+        "parameters" => %{
+          "type" => "object",
+          "properties" => %{
+            "path" => %{
+              "type" => "string",
+              "description" => "File path (relative to current directory or absolute)"
+            },
+            "start_line" => %{
+              "type" => "integer",
+              "description" => "First line to replace (1-based)"
+            },
+            "end_line" => %{
+              "type" => "integer",
+              "description" => "Last line to replace (inclusive)"
+            },
+            "new_content" => %{
+              "type" => "string",
+              "description" => "Text that replaces the lines, may span several lines"
+            }
+          },
+          "required" => ["path", "start_line", "end_line", "new_content"]
+        }
+      }
+    },
     %{
       "type" => "function",
       "function" => %{
@@ -412,6 +442,10 @@ defmodule Exterm.Llm.Tools do
     File.delete_file(params, chat_socket_pid)
   end
 
+  def execute_tool("edit_lines", params, chat_socket_pid) do
+    File.edit_lines(params, chat_socket_pid)
+  end
+
   def execute_tool("find_and_replace_in_file", params, chat_socket_pid) do
     File.find_and_replace_in_file(params, chat_socket_pid)
   end
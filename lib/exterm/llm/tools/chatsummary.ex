@@ -3,7 +3,7 @@ defmodule Exterm.Llm.Tools.ChatSummary do
   Chat history management and summarization tools.
   """
 
-  alias Exterm.Llm.Chat
+  alias Exterm.Llm.{Attachments, Chat, Provider}
   alias Exterm.Llm.ReqClient, as: LLMClient
 
   @doc """
@@ -46,7 +46,7 @@ defmodule Exterm.Llm.Tools.ChatSummary do
       ) do
     try do
       # Get current conversation history
-      current_messages = Chat.export_conversation(chat_pid)
+      current_messages = Chat.get_history(chat_pid)
 
       if length(current_messages) <= 3 do
         %{
@@ -59,7 +59,7 @@ defmodule Exterm.Llm.Tools.ChatSummary do
         summary_prompt = build_summary_prompt(current_messages, reason, summary_length)
 
         # Create a temporary summary request
-        {:ok, summary} = request_summary(chat_pid, summary_prompt)
+        {:ok, summary} = request_summary(Chat.get_config(chat_pid), summary_prompt)
 
         # Create condensed history: system message + summary + recent messages
         condensed_history =
@@ -114,21 +114,11 @@ defmodule Exterm.Llm.Tools.ChatSummary do
           "action" => "none"
         }
       else
-        # Generate summary using an external Chat GenServer to avoid deadlock
+        # Generate summary with a direct request to avoid calling the Chat GenServer
         summary_prompt = build_summary_prompt(messages, reason, summary_length)
 
-        # Start a temporary chat process for summarization
-        {:ok, temp_chat_pid} =
-          Chat.start_link(
-            provider: :openrouter,
-            system_prompt: "You are a helpful assistant that creates concise summaries."
-          )
-
-        # Get summary from temporary process
-        {:ok, summary} = request_summary(temp_chat_pid, summary_prompt)
-
-        # Stop temporary process
-        GenServer.stop(temp_chat_pid)
+        {:ok, summary} =
+          request_summary(%{provider: Provider.default(), model: nil}, summary_prompt)
 
         # Create condensed history: system message + summary + recent messages
         condensed_history = create_condensed_history(messages, summary, max_history_length)
@@ -152,14 +142,14 @@ defmodule Exterm.Llm.Tools.ChatSummary do
   end
 
   @doc """
-  Check if chat history should be summarized automatically
+  Check if chat history should be summarized automatically: when the last
+  response nearly filled the model's context window, see `Chat.get_usage/1`
   """
   def should_auto_summarize(chat_pid) when is_pid(chat_pid) do
-    current_messages = Chat.export_conversation(chat_pid)
-    message_count = length(current_messages)
-
-    # Auto-summarize if we have more than 30 messages
-    message_count > 30
+    Chat.get_usage(chat_pid).near_context_limit
+  catch
+    # The chat is busy, e.g. waiting for a tool approval
+    :exit, _ -> false
   end
 
   def should_auto_summarize(_), do: false
@@ -170,6 +160,9 @@ defmodule Exterm.Llm.Tools.ChatSummary do
   def auto_summarize_if_needed(chat_pid) when is_pid(chat_pid) do
     if should_auto_summarize(chat_pid) do
       case summarize_chat_with_pid(chat_pid, "automatic_length_limit") do
+        %{"success" => true, "action" => "none"} ->
+          {:no_action, nil}
+
         %{"success" => true} = result ->
           {:summarized, result}
 
@@ -235,7 +228,7 @@ defmodule Exterm.Llm.Tools.ChatSummary do
     conversation_messages =
       messages
       |> Enum.filter(fn msg -> msg.role != "system" end)
-      |> Enum.map(fn msg -> "#{String.upcase(msg.role)}: #{msg.content}" end)
+      |> Enum.map(fn msg -> "#{String.upcase(msg.role)}: #{Attachments.text(msg.content)}" end)
       |> Enum.join("\n\n")
 
     """
@@ -270,11 +263,11 @@ defmodule Exterm.Llm.Tools.ChatSummary do
     """
   end
 
-  defp request_summary(_chat_pid, summary_prompt) do
-    # Use a reliable model for summaries
+  # The chat's own provider and model write the summary, so a conversation with
+  # a local model never leaves the machine
+  defp request_summary(%{provider: provider, model: model}, summary_prompt) do
     summary_opts = [
-      # Use the same working model
-      model: "x-ai/grok-4-fast",
+      model: model,
       # Lower temperature for more focused summaries
       temperature: 0.3,
       # Reasonable limit for summaries
@@ -284,7 +277,7 @@ defmodule Exterm.Llm.Tools.ChatSummary do
     ]
 
     # Create a direct request to the summarization model
-    case LLMClient.chat(:openrouter, summary_prompt, summary_opts) do
+    case LLMClient.chat(provider, summary_prompt, summary_opts) do
       %{"choices" => [%{"message" => %{"content" => summary}} | _]} ->
         {:ok, summary}
 
@@ -302,7 +295,13 @@ defmodule Exterm.Llm.Tools.ChatSummary do
 
     # Get the most recent messages (excluding system messages)
     non_system_messages = Enum.filter(original_messages, fn msg -> msg.role != "system" end)
-    recent_messages = Enum.take(non_system_messages, -max_recent_count)
+
+    # Tool results can't lead: the assistant message that called the tool would
+    # be summarized away
+    recent_messages =
+      non_system_messages
+      |> Enum.take(-max_recent_count)
+      |> Enum.drop_while(fn msg -> msg.role == "tool" end)
 
     # Create summary message
     summary_message = %{role: "system", content: "Previous conversation summary: #{summary}"}
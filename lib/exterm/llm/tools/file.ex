@@ -215,42 +215,30 @@ defmodule Exterm.Llm.Tools.File do
     try do
       case File.read(path) do
         {:ok, content} ->
-          lines = String.split(content, "\n")
-          total_lines = length(lines)
-
-          if start_line < 1 || end_line < start_line || start_line > total_lines do
-            %{
-              "success" => false,
-              "error" => "Invalid line numbers. File has #{total_lines} lines. Start: #{start_line}, End: #{end_line}"
-            }
-          else
-            start_idx = start_line - 1
-            end_idx = min(end_line - 1, total_lines - 1)
-
-            new_lines = String.split(new_content, "\n")
-
-            before_lines = Enum.slice(lines, 0, start_idx)
-            after_lines = Enum.slice(lines, end_idx + 1, total_lines)
-
-            new_file_lines = before_lines ++ new_lines ++ after_lines
-            new_file_content = Enum.join(new_file_lines, "\n")
+          case replace_lines(content, start_line, end_line, new_content) do
+            {:error, message} ->
+              %{
+                "success" => false,
+                "error" => message
+              }
 
-            case File.write(path, new_file_content) do
-              :ok ->
-                %{
-                  "success" => true,
-                  "message" => "Lines #{start_line}-#{end_line} edited successfully",
-                  "path" => path,
-                  "lines_affected" => end_line - start_line + 1,
-                  "new_total_lines" => length(new_file_lines)
-                }
+            {:ok, new_file_content} ->
+              case File.write(path, new_file_content) do
+                :ok ->
+                  %{
+                    "success" => true,
+                    "message" => "Lines #{start_line}-#{end_line} edited successfully",
+                    "path" => path,
+                    "lines_affected" => end_line - start_line + 1,
+                    "new_total_lines" => length(String.split(new_file_content, "\n"))
+                  }
 
-              {:error, reason} ->
-                %{
-                  "success" => false,
-                  "error" => "Failed to write file: #{reason}"
-                }
-            end
+                {:error, reason} ->
+                  %{
+                    "success" => false,
+                    "error" => "Failed to write file: #{reason}"
+                  }
+              end
           end
 
         {:error, reason} ->
@@ -285,12 +273,8 @@ defmodule Exterm.Llm.Tools.File do
         try do
           content = File.read!(path)
           
-          {new_content, replacement_count} = if max_replacements == :all do
-            new_content = String.replace(content, search_text, replace_text, global: true)
-            {new_content, count_occurrences(content, search_text)}
-          else
-            replace_limited(content, search_text, replace_text, max_replacements, 0)
-          end
+          {new_content, replacement_count} =
+            apply_replacements(content, search_text, replace_text, max_replacements)
           
           if replacement_count > 0 do
             case File.write(path, new_content) do
@@ -325,44 +309,67 @@ defmodule Exterm.Llm.Tools.File do
   end
 
   @doc """
-  List files and directories in a specified path
+  Work out what a file-changing tool call would do, without writing anything.
+  Returns `{:ok, path, old_content, new_content}` where either content is nil
+  when the file does not exist before or after the change, or `:error` for
+  tools that don't change files.
   """
-  def list_files(params, _chat_socket_pid) do
-    path = Map.get(params, "path", ".")
+  def preview_change(tool_name, %{"path" => path, "content" => content})
+      when tool_name in ["create_file", "update_file"] do
+    {:ok, path, read_existing(path), content}
+  end
 
-    try do
-      case File.ls(path) do
-        {:ok, files} ->
-          file_info =
-            Enum.map(files, fn file ->
-              full_path = Path.join(path, file)
-              stat = File.stat!(full_path)
+  def preview_change("append_to_file", %{"path" => path, "content" => content}) do
+    old_content = read_existing(path)
+    {:ok, path, old_content, (old_content || "") <> content}
+  end
+
+  def preview_change("delete_file", %{"path" => path}) do
+    {:ok, path, read_existing(path), nil}
+  end
 
-              modified_time =
-                case stat.mtime do
-                  %DateTime{} = dt ->
-                    DateTime.to_string(dt)
+  def preview_change("edit_lines", %{"path" => path, "start_line" => start_line, "end_line" => end_line, "new_content" => new_content}) do
+    case read_existing(path) do
+      nil ->
+        {:ok, path, nil, nil}
 
-                  unix_time when is_integer(unix_time) ->
-                    DateTime.from_unix!(unix_time) |> DateTime.to_string()
+      content ->
+        case replace_lines(content, start_line, end_line, new_content) do
+          {:ok, new_file_content} -> {:ok, path, content, new_file_content}
+          {:error, _message} -> {:ok, path, content, content}
+        end
+    end
+  end
 
-                  {{year, month, day}, {hour, minute, second}} ->
-                    {:ok, dt} =
-                      DateTime.new(Date.new!(year, month, day), Time.new!(hour, minute, second))
+  def preview_change("find_and_replace_in_file", %{"path" => path, "search_text" => search_text, "replace_text" => replace_text} = params) do
+    case read_existing(path) do
+      nil ->
+        {:ok, path, nil, nil}
 
-                    DateTime.to_string(dt)
+      content ->
+        max_replacements = Map.get(params, "max_replacements", :all)
+        {new_content, _count} = apply_replacements(content, search_text, replace_text, max_replacements)
+        {:ok, path, content, new_content}
+    end
+  end
 
-                  _ ->
-                    "unknown"
-                end
+  def preview_change(_tool_name, _params), do: :error
 
-              %{
-                "name" => file,
-                "type" => if(stat.type == :directory, do: "directory", else: "file"),
-                "size" => stat.size,
-                "modified" => modified_time
-              }
-            end)
+  @doc """
+  List files and directories in a specified path. Hidden files are left out
+  unless `show_hidden` is true; directories come first.
+  """
+  def list_files(params, _chat_socket_pid) do
+    path = Map.get(params, "path", ".")
+    show_hidden = Map.get(params, "show_hidden", false) == true
+
+    try do
+      case File.ls(path) do
+        {:ok, files} ->
+          file_info =
+            files
+            |> Enum.reject(&(not show_hidden and String.starts_with?(&1, ".")))
+            |> Enum.map(&entry_info(path, &1))
             |> Enum.sort_by(fn item -> {item["type"], item["name"]} end)
 
           %{
@@ -401,6 +408,72 @@ defmodule Exterm.Llm.Tools.File do
     |> max(0)
   end
   
+  defp read_existing(path) do
+    case File.read(path) do
+      {:ok, content} -> content
+      {:error, _reason} -> nil
+    end
+  end
+
+  # A broken symlink can't be stat'ed, so fall back to the link itself
+  defp entry_info(directory, name) do
+    full_path = Path.join(directory, name)
+
+    stat =
+      case File.stat(full_path) do
+        {:ok, stat} -> stat
+        {:error, _reason} -> File.lstat!(full_path)
+      end
+
+    %{
+      "name" => name,
+      "type" => if(stat.type == :directory, do: "directory", else: "file"),
+      "size" => stat.size,
+      "modified" => format_mtime(stat.mtime)
+    }
+  end
+
+  defp format_mtime(%DateTime{} = dt), do: DateTime.to_string(dt)
+
+  defp format_mtime(unix_time) when is_integer(unix_time) do
+    DateTime.from_unix!(unix_time) |> DateTime.to_string()
+  end
+
+  defp format_mtime({{year, month, day}, {hour, minute, second}}) do
+    {:ok, dt} = DateTime.new(Date.new!(year, month, day), Time.new!(hour, minute, second))
+    DateTime.to_string(dt)
+  end
+
+  defp format_mtime(_mtime), do: "unknown"
+
+  defp replace_lines(content, start_line, end_line, new_content) do
+    lines = String.split(content, "\n")
+    total_lines = length(lines)
+
+    if start_line < 1 || end_line < start_line || start_line > total_lines do
+      {:error, "Invalid line numbers. File has #{total_lines} lines. Start: #{start_line}, End: #{end_line}"}
+    else
+      start_idx = start_line - 1
+      end_idx = min(end_line - 1, total_lines - 1)
+
+      new_lines = String.split(new_content, "\n")
+
+      before_lines = Enum.slice(lines, 0, start_idx)
+      after_lines = Enum.slice(lines, end_idx + 1, total_lines)
+
+      {:ok, Enum.join(before_lines ++ new_lines ++ after_lines, "\n")}
+    end
+  end
+
+  defp apply_replacements(content, search_text, replace_text, :all) do
+    new_content = String.replace(content, search_text, replace_text, global: true)
+    {new_content, count_occurrences(content, search_text)}
+  end
+
+  defp apply_replacements(content, search_text, replace_text, max_replacements) do
+    replace_limited(content, search_text, replace_text, max_replacements, 0)
+  end
+
   defp replace_limited(content, _search_text, _replace_text, 0, count), do: {content, count}
   defp replace_limited(content, search_text, replace_text, max_remaining, count) do
     case String.split(content, search_text, parts: 2) do
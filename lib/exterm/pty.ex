@@ -0,0 +1,136 @@
+defmodule Exterm.Pty do
+  @moduledoc """
+  Helpers for the pseudo-terminal that `script` creates around the shell.
+
+  The Erlang port talks to `script` over pipes, so window size changes never
+  reach the pty on their own. Setting the size on the pty device with `stty`
+  makes the kernel update the window size and deliver SIGWINCH to the shell's
+  foreground job, the same as a native terminal emulator resizing.
+  """
+
+  @doc """
+  Find the tty device of the shell started under the given OS process.
+  Returns `{:ok, "/dev/pts/3"}` or `{:error, reason}`.
+  """
+  def find_tty(os_pid) when is_integer(os_pid) do
+    with :ok <- ensure_executable("pgrep"),
+         :ok <- ensure_executable("ps"),
+         {:ok, children} <- child_pids(os_pid) do
+      Enum.find_value(children, {:error, :no_tty}, fn pid ->
+        case tty_of(pid) do
+          {:ok, tty} -> {:ok, tty}
+          _ -> nil
+        end
+      end)
+    end
+  end
+
+  def find_tty(_os_pid), do: {:error, :no_process}
+
+  @doc """
+  Set the window size of a tty device.
+  """
+  def resize(tty, cols, rows) when is_integer(cols) and is_integer(rows) do
+    # GNU stty takes the device with -F, BSD/macOS stty with -f
+    device_flag =
+      case :os.type() do
+        {:unix, :linux} -> "-F"
+        _ -> "-f"
+      end
+
+    with :ok <- ensure_executable("stty") do
+      args = [device_flag, tty, "cols", Integer.to_string(cols), "rows", Integer.to_string(rows)]
+
+      case System.cmd("stty", args, stderr_to_stdout: true) do
+        {_, 0} -> :ok
+        {output, _} -> {:error, String.trim(output)}
+      end
+    end
+  end
+
+  @doc """
+  Current working directory of the interactive shell started under the given
+  OS process, used to resolve relative paths printed in the terminal.
+  """
+  def cwd(os_pid) when is_integer(os_pid) do
+    with :ok <- ensure_executable("pgrep"),
+         :ok <- ensure_executable("ps"),
+         {:ok, shell_pid} <- find_shell(os_pid) do
+      process_cwd(shell_pid)
+    end
+  end
+
+  def cwd(_os_pid), do: {:error, :no_process}
+
+  # Private helper functions
+
+  # Follow the first child down from `script` and remember the deepest shell
+  # process, so a nested shell wins over the `sh -c` wrapper around bash
+  defp find_shell(os_pid, found \\ nil) do
+    case child_pids(os_pid) do
+      {:ok, [child | _]} ->
+        child_pid = String.to_integer(child)
+        found = if shell_process?(child), do: child, else: found
+        find_shell(child_pid, found)
+
+      _ ->
+        if found, do: {:ok, found}, else: {:error, :no_shell}
+    end
+  end
+
+  defp shell_process?(pid) do
+    case System.cmd("ps", ["-o", "comm=", "-p", pid], stderr_to_stdout: true) do
+      {output, 0} ->
+        output |> String.trim() |> Path.basename() |> String.match?(~r/^-?(ba|z|da|k|fi)?sh$/)
+
+      _ ->
+        false
+    end
+  end
+
+  defp process_cwd(pid) do
+    case :os.type() do
+      {:unix, :linux} ->
+        File.read_link("/proc/#{pid}/cwd")
+
+      _ ->
+        # macOS/BSD have no /proc, ask lsof for the cwd file descriptor
+        with :ok <- ensure_executable("lsof"),
+             {output, 0} <-
+               System.cmd("lsof", ["-a", "-p", pid, "-d", "cwd", "-Fn"], stderr_to_stdout: true),
+             "n" <> path <- output |> String.split("\n") |> Enum.find("", &String.starts_with?(&1, "n")) do
+          {:ok, path}
+        else
+          _ -> {:error, :unknown_cwd}
+        end
+    end
+  end
+
+  defp ensure_executable(name) do
+    if System.find_executable(name), do: :ok, else: {:error, {:missing_executable, name}}
+  end
+
+  defp child_pids(os_pid) when is_integer(os_pid), do: child_pids(Integer.to_string(os_pid))
+
+  defp child_pids(os_pid) do
+    case System.cmd("pgrep", ["-P", os_pid], stderr_to_stdout: true) do
+      {output, 0} -> {:ok, String.split(output, "\n", trim: true)}
+      _ -> {:error, :no_children}
+    end
+  end
+
+  defp tty_of(pid) do
+    case System.cmd("ps", ["-o", "tty=", "-p", pid], stderr_to_stdout: true) do
+      {output, 0} ->
+        case String.trim(output) do
+          # ps prints ? (Linux) or ?? (macOS) for processes without a terminal
+          "" -> {:error, :no_tty}
+          "?" <> _ -> {:error, :no_tty}
+          tty -> {:ok, "/dev/" <> tty}
+        end
+
+      _ ->
+        {:error, :no_tty}
+    end
+  end
+end
@@ -6,15 +6,40 @@ defmodule Exterm.Router do
   plug(:match)
   plug(:dispatch)
 
-  # Serve static files
+  # Serve the page, telling it where the websocket endpoints live
   get "/" do
-    send_file(conn, 200, "priv/static/index.html")
+    html =
+      "priv/static/index.html"
+      |> File.read!()
+      |> inject_client_config()
+
+    conn
+    |> put_resp_content_type("text/html")
+    |> send_resp(200, html)
   end
 
   # WebSocket upgrade endpoint
+  # The optional ?session=<token> parameter reattaches to a running shell
   get "/ws" do
+    conn = Plug.Conn.fetch_query_params(conn)
+
+    # Agree on the message framing; the chosen subprotocol has to be echoed back
+    {subprotocol, protocol} =
+      conn
+      |> Plug.Conn.get_req_header("sec-websocket-protocol")
+      |> Exterm.TerminalProtocol.negotiate()
+
+    conn =
+      if subprotocol do
+        Plug.Conn.put_resp_header(conn, "sec-websocket-protocol", subprotocol)
+      else
+        conn
+      end
+
+    socket_state = %{session_token: conn.query_params["session"], protocol: protocol}
+
     conn
-    |> Plug.Conn.upgrade_adapter(:websocket, {Exterm.TerminalSocket, [], %{}})
+    |> Plug.Conn.upgrade_adapter(:websocket, {Exterm.TerminalSocket, socket_state, %{}})
   end
 
   # Chat WebSocket upgrade endpoint
@@ -23,7 +48,33 @@ defmodule Exterm.Router do
     |> Plug.Conn.upgrade_adapter(:websocket, {Exterm.ChatSocket, [], %{}})
   end
 
+  # File access for the browser (viewer, explorer)
+  forward("/api/files", to: Exterm.FileApi)
+
   match _ do
     send_resp(conn, 404, "Not Found")
   end
+
+  # Environment variables that override the websocket URLs used by the browser
+  # (see priv/static/config.js). Useful behind a reverse proxy.
+  @client_config_env [
+    {"EXTERM_WS_URL", "exterm-ws-base"},
+    {"EXTERM_TERMINAL_WS_URL", "exterm-terminal-ws"},
+    {"EXTERM_CHAT_WS_URL", "exterm-chat-ws"}
+  ]
+
+  defp inject_client_config(html) do
+    meta_tags =
+      Enum.flat_map(@client_config_env, fn {env, name} ->
+        case System.get_env(env) do
+          value when value in [nil, ""] -> []
+          value -> [~s(    <meta name="#{name}" content="#{Plug.HTML.html_escape(value)}">\n)]
+        end
+      end)
+
+    case meta_tags do
+      [] -> html
+      tags -> String.replace(html, "</head>", Enum.join(tags) <> "</head>", global: false)
+    end
+  end
 end
@@ -2,18 +2,41 @@ defmodule Exterm.TerminalChatBridge do
   @moduledoc """
   Bridge module that connects terminal sessions with chat sessions.
   Manages mapping between terminal session IDs and chat sessions for AI context.
+
+  A chat can also watch its linked terminal (see `set_watch/2`): output is
+  collected until it has been quiet for a moment, then checked against the
+  watch's mode and triggers. When they match, the chat socket gets a
+  `{:watch_triggered, event}` message and asks the AI to look at the output,
+  or `{:watch_skipped, event}` when the last analysis was too recent.
   """
 
   use GenServer
 
-  defstruct [:session_mappings, :terminal_sockets]
+  alias Exterm.TerminalHistory
+
+  defstruct [:session_mappings, :terminal_sockets, :watches]
+
+  @watch_modes ["off", "on-error", "on-command-exit", "always"]
+  # Output is checked once the terminal has been quiet this long
+  @watch_settle_ms 1_500
+  # Least time between two analyses for the same chat
+  @watch_cooldown_ms 20_000
+  # Output kept per watch while it settles; the AI sees the tail
+  @watch_max_output 8_000
+  # Output that looks like something went wrong, for the "on-error" mode
+  @watch_error_pattern ~r/
+    \b(error|failed|failure|fatal|exception|panic|traceback|segmentation\sfault
+    |command\snot\sfound|no\ssuch\sfile\sor\sdirectory|permission\sdenied)\b
+  /ix
+  # A shell prompt at the end of a line: the last command has exited
+  @prompt_pattern ~r/[$#%>❯]\s*$/u
 
   def start_link(_) do
     GenServer.start_link(__MODULE__, %{}, name: __MODULE__)
   end
 
   def init(_) do
-    {:ok, %__MODULE__{session_mappings: %{}, terminal_sockets: %{}}}
+    {:ok, %__MODULE__{session_mappings: %{}, terminal_sockets: %{}, watches: %{}}}
   end
 
   @doc """
@@ -61,6 +84,16 @@ defmodule Exterm.TerminalChatBridge do
     end
   end
 
+  @doc """
+  Current working directory of a terminal session's shell, or `{:error, reason}`.
+  """
+  def terminal_cwd(session_id) do
+    case GenServer.call(__MODULE__, {:get_terminal, session_id}) do
+      nil -> {:error, :no_terminal}
+      terminal_pid -> Exterm.TerminalSession.cwd(terminal_pid)
+    end
+  end
+
   @doc """
   Get any available terminal session ID for testing.
   """
@@ -76,21 +109,37 @@ defmodule Exterm.TerminalChatBridge do
   end
 
   @doc """
-  🤖 AUTONOMOUS AI: Notify AI about new terminal output for autonomous analysis.
-  This triggers the AI to automatically analyze terminal output and take action.
+  Pass new terminal output to the chats watching that terminal.
   """
   def notify_terminal_output(terminal_session_id, output_data) do
     GenServer.cast(__MODULE__, {:notify_terminal_output, terminal_session_id, output_data})
   end
 
+  @doc """
+  Set how a chat watches its linked terminal. `config` has a `"mode"` (one of
+  "off", "on-error", "on-command-exit" or "always") and `"triggers"`, regexes
+  that start an analysis in every mode but "off".
+
+  Returns `{:ok, config}` with the config in effect, or `{:error, message}`
+  for an unknown mode or a trigger that isn't a valid regex.
+  """
+  def set_watch(chat_socket_pid, config) when is_map(config) do
+    with {:ok, watch} <- watch_config(config) do
+      GenServer.call(__MODULE__, {:set_watch, chat_socket_pid, watch})
+    end
+  end
+
   @doc """
   Execute a validated command suggestion in the terminal.
   This is called when user approves an AI command suggestion.
   """
   def execute_approved_command(terminal_session_id, command) do
-    # For now, we'll just log this - in future we could send to terminal
     IO.puts("Bridge: Executing approved command '#{command}' for session #{terminal_session_id}")
-    {:ok, "Command logged (terminal execution not yet implemented)"}
+
+    # Run it like the user typed it, submitted with Enter. Unlike send_to_terminal
+    # there is no fallback: an approved command must not run in another shell.
+    input = String.trim_trailing(command) <> "\n"
+    GenServer.call(__MODULE__, {:send_to_session, terminal_session_id, input})
   end
 
   # GenServer callbacks
@@ -112,78 +161,52 @@ defmodule Exterm.TerminalChatBridge do
 
   def handle_cast({:unregister_chat, chat_pid}, state) do
     new_mappings = Map.delete(state.session_mappings, chat_pid)
-    {:noreply, %{state | session_mappings: new_mappings}}
+
+    {watch, watches} = Map.pop(state.watches, chat_pid)
+    if watch && watch.timer, do: Process.cancel_timer(watch.timer)
+
+    {:noreply, %{state | session_mappings: new_mappings, watches: watches}}
   end
 
   def handle_cast({:notify_terminal_output, terminal_session_id, output_data}, state) do
-    # 🤖 AUTONOMOUS AI: Find all chat sessions associated with this terminal session
-    # and automatically send meaningful terminal output for AI analysis
-
-    # Only trigger AI analysis for meaningful output (not just prompts, empty lines, etc.)
-    trimmed_output = String.trim(output_data)
-
-    # Skip analysis for:
-    # - Empty output
-    # - Pure ANSI escape sequences
-    # - Just prompts (lines ending with $ or #)
-    # - Very short output (less than 5 chars)
-    should_analyze =
-      String.length(trimmed_output) > 5 and
-        not String.match?(trimmed_output, ~r/^[\s\x1b\[\d;]*[m$#]*$/u) and
-        not String.match?(trimmed_output, ~r/^.*[$#]\s*$/u) and
-        String.length(String.replace(trimmed_output, ~r/\x1b\[[0-9;]*m/u, "")) > 3
-
-    if should_analyze do
-      # Find chat sockets associated with this terminal session
-      associated_chat_pids =
-        state.session_mappings
-        |> Enum.filter(fn {_chat_pid, session_id} -> session_id == terminal_session_id end)
-        |> Enum.map(fn {chat_pid, _session_id} -> chat_pid end)
-
-      # Send autonomous analysis message to each associated chat AI
-      for chat_pid <- associated_chat_pids do
-        # Create autonomous analysis prompt
-        autonomous_message = """
-        🤖 AUTONOMOUS ANALYSIS: New terminal output detected:
-
-        ```
-        #{trimmed_output}
-        ```
-
-        Please analyze this output and take autonomous action if needed:
-        - Are there errors that need fixing?
-        - Is a task incomplete that should be continued?
-        - Should you suggest next steps?
-        - Can you help optimize the workflow?
-        - Does this indicate success/completion of a task?
-
-        Take initiative based on what you observe! If no action is needed, just say "Monitoring..." to acknowledge.
-        """
-
-        # Send the autonomous analysis request to the AI
-        try do
-          # Use spawn to avoid blocking the bridge
-          spawn(fn ->
-            # Send the autonomous message to the AI for analysis
-            case GenServer.call(chat_pid, {:chat, autonomous_message}, 10_000) do
-              {:ok, _response} ->
-                :ok
-
-              {:error, reason} ->
-                IO.puts("Bridge: Failed to send autonomous analysis to AI: #{inspect(reason)}")
-            end
-          end)
-        rescue
-          error ->
-            IO.puts("Bridge: Error sending autonomous analysis: #{inspect(error)}")
+    watches =
+      Map.new(state.watches, fn {chat_pid, watch} ->
+        if watch.mode != "off" and
+             Map.get(state.session_mappings, chat_pid) == terminal_session_id do
+          watch = restart_settle_timer(chat_pid, watch)
+          {chat_pid, %{watch | output: keep_tail(watch.output <> output_data)}}
+        else
+          {chat_pid, watch}
         end
-      end
+      end)
+
+    {:noreply, %{state | watches: watches}}
+  end
+
+  def handle_info({:watch_settled, chat_pid}, state) do
+    case Map.fetch(state.watches, chat_pid) do
+      {:ok, watch} ->
+        watch = check_watch(chat_pid, watch, Map.get(state.session_mappings, chat_pid))
+        {:noreply, %{state | watches: Map.put(state.watches, chat_pid, watch)}}
+
+      :error ->
+        {:noreply, state}
     end
+  end
+
+  def handle_call({:set_watch, chat_pid, config}, _from, state) do
+    watch =
+      state.watches
+      |> Map.get(chat_pid, %{output: "", timer: nil, ai_input: false, last_analysis: nil})
+      |> Map.merge(config)
 
-    {:noreply, state}
+    state = %{state | watches: Map.put(state.watches, chat_pid, watch)}
+    {:reply, {:ok, watch_view(watch)}, state}
   end
 
   def handle_call({:send_to_terminal, session_id, input}, _from, state) do
+    state = ignore_ai_output(state, session_id)
+
     case Map.get(state.terminal_sockets, session_id) do
       nil ->
         # Try to send to any available terminal as fallback
@@ -202,11 +225,28 @@ defmodule Exterm.TerminalChatBridge do
     end
   end
 
+  def handle_call({:send_to_session, session_id, input}, _from, state) do
+    state = ignore_ai_output(state, session_id)
+
+    case Map.get(state.terminal_sockets, session_id) do
+      nil ->
+        {:reply, {:error, "Terminal session is no longer running"}, state}
+
+      terminal_pid ->
+        send(terminal_pid, {:ai_input, input})
+        {:reply, {:ok, "Command sent to terminal"}, state}
+    end
+  end
+
   def handle_call({:get_terminal_session, chat_pid}, _from, state) do
     terminal_session_id = Map.get(state.session_mappings, chat_pid)
     {:reply, terminal_session_id, state}
   end
 
+  def handle_call({:get_terminal, session_id}, _from, state) do
+    {:reply, Map.get(state.terminal_sockets, session_id), state}
+  end
+
   def handle_call(:get_any_terminal_session, _from, state) do
     # Try to get a real terminal session, or return a default one
     case Map.keys(state.terminal_sockets) do
@@ -221,6 +261,136 @@ defmodule Exterm.TerminalChatBridge do
 
   # Private helper functions
 
+  defp watch_config(config) do
+    mode = config["mode"] || "off"
+
+    patterns =
+      config["triggers"]
+      |> List.wrap()
+      |> Enum.filter(&(is_binary(&1) and String.trim(&1) != ""))
+
+    compiled =
+      Enum.map(patterns, fn pattern ->
+        case Regex.compile(pattern, "u") do
+          {:ok, regex} ->
+            {:ok, {pattern, regex}}
+
+          {:error, {reason, at}} ->
+            {:error, "Trigger /#{pattern}/ is not a valid regex: #{reason} at #{at}"}
+        end
+      end)
+
+    cond do
+      mode not in @watch_modes ->
+        {:error, "Unknown watch mode #{inspect(mode)}"}
+
+      error = Enum.find(compiled, &match?({:error, _}, &1)) ->
+        error
+
+      true ->
+        {:ok, %{mode: mode, triggers: Enum.map(compiled, fn {:ok, trigger} -> trigger end)}}
+    end
+  end
+
+  defp watch_view(watch) do
+    %{mode: watch.mode, triggers: Enum.map(watch.triggers, fn {pattern, _regex} -> pattern end)}
+  end
+
+  # Commands the AI or an approved card runs report their output to the chat
+  # themselves, so what they print until the terminal settles isn't analyzed
+  defp ignore_ai_output(state, terminal_session_id) do
+    watches =
+      Map.new(state.watches, fn {chat_pid, watch} ->
+        if watch.mode != "off" and
+             Map.get(state.session_mappings, chat_pid) == terminal_session_id do
+          watch = restart_settle_timer(chat_pid, watch)
+          {chat_pid, %{watch | ai_input: true, output: ""}}
+        else
+          {chat_pid, watch}
+        end
+      end)
+
+    %{state | watches: watches}
+  end
+
+  defp restart_settle_timer(chat_pid, watch) do
+    if watch.timer, do: Process.cancel_timer(watch.timer)
+    %{watch | timer: Process.send_after(self(), {:watch_settled, chat_pid}, @watch_settle_ms)}
+  end
+
+  defp keep_tail(output) when byte_size(output) > @watch_max_output do
+    binary_part(output, byte_size(output) - @watch_max_output, @watch_max_output)
+  end
+
+  defp keep_tail(output), do: output
+
+  # The output has settled: decide whether it warrants an analysis
+  defp check_watch(_chat_pid, %{ai_input: true} = watch, _terminal_session_id) do
+    %{watch | output: "", timer: nil, ai_input: false}
+  end
+
+  defp check_watch(chat_pid, watch, terminal_session_id) do
+    output = TerminalHistory.plain_text(watch.output)
+    watch = %{watch | output: "", timer: nil}
+    now = System.monotonic_time(:millisecond)
+
+    case watch_reason(watch, output) do
+      nil ->
+        watch
+
+      reason ->
+        event = %{
+          terminal_session_id: terminal_session_id,
+          reason: reason,
+          output: String.trim(output)
+        }
+
+        if watch.last_analysis && now - watch.last_analysis < @watch_cooldown_ms do
+          seconds = div(@watch_cooldown_ms, 1000)
+          why = "less than #{seconds}s since the last analysis"
+          send(chat_pid, {:watch_skipped, Map.put(event, :why, why)})
+          watch
+        else
+          send(chat_pid, {:watch_triggered, event})
+          %{watch | last_analysis: now}
+        end
+    end
+  end
+
+  # Why the output should be analyzed, or nil. Triggers come first so the log
+  # names the rule the user wrote.
+  defp watch_reason(watch, output) do
+    lines = output |> String.split("\n") |> Enum.map(&String.trim_trailing/1)
+    content = Enum.reject(lines, &(String.trim(&1) == ""))
+
+    trigger =
+      Enum.find_value(watch.triggers, fn {pattern, regex} ->
+        line = Enum.find(content, &Regex.match?(regex, &1))
+        line && "matched /#{pattern}/: #{String.slice(String.trim(line), 0, 120)}"
+      end)
+
+    # Output that is just a prompt, e.g. after Enter on an empty line, is nothing new
+    only_prompt = match?([_], content) and Regex.match?(@prompt_pattern, hd(content))
+
+    cond do
+      watch.mode == "off" or content == [] or only_prompt ->
+        nil
+
+      trigger ->
+        trigger
+
+      watch.mode == "on-error" ->
+        line = Enum.find(content, &Regex.match?(@watch_error_pattern, &1))
+        line && "error output: #{String.slice(String.trim(line), 0, 120)}"
+
+      watch.mode == "on-command-exit" ->
+        if Regex.match?(@prompt_pattern, List.last(content)), do: "a command finished"
+
+      watch.mode == "always" ->
+        "new output"
+    end
+  end
+
   defp get_any_available_terminal(state) do
     case Map.values(state.terminal_sockets) do
       [] -> nil
@@ -9,6 +9,8 @@ defmodule Exterm.TerminalHistory do
 
   # Keep last 100 entries per session
   @max_history_entries 100
+  # OSC (titles, links), CSI (colors, cursor moves), charset and keypad mode sequences
+  @escape_sequences ~r/\e\][^\a\e]*(?:\a|\e\\)|\e\[[0-9;?]*[ -\/]*[@-~]|\e[()][0-9A-B]|\e[=>]/
 
   defstruct [:session_histories]
 
@@ -41,6 +43,31 @@ defmodule Exterm.TerminalHistory do
     GenServer.call(__MODULE__, {:get_history, session_id, lines})
   end
 
+  @doc """
+  Get the output a session produced at or after `since`, oldest first, as one string
+  """
+  def get_output_since(session_id, %DateTime{} = since) do
+    session_id
+    |> get_full_history()
+    |> Enum.filter(fn entry ->
+      entry.type == :output and DateTime.compare(entry.timestamp, since) != :lt
+    end)
+    |> Enum.map_join(& &1.content)
+  end
+
+  @doc """
+  Terminal output as plain text: no escape sequences, carriage returns or
+  invalid UTF-8
+  """
+  def plain_text(output) do
+    output
+    |> String.chunk(:valid)
+    |> Enum.filter(&String.valid?/1)
+    |> Enum.join()
+    |> String.replace(@escape_sequences, "")
+    |> String.replace("\r", "")
+  end
+
   @doc """
   Get all history for a session (for AI context)
   """
@@ -0,0 +1,98 @@
+defmodule Exterm.TerminalProtocol do
+  @moduledoc """
+  Framing for the terminal websocket.
+
+  Clients negotiate a version with the `Sec-WebSocket-Protocol` header. With
+  `exterm.v1` every websocket message is a JSON envelope with a `"type"`:
+
+    * client → server: `input`, `resize`, `ping`
+    * server → client: `session_info`, `output`, `exit`, `title`, `pong`
+
+  Terminal bytes travel base64 encoded in `output` frames (and optionally in
+  `input` frames with `"encoding": "base64"`), so the stream is passed through
+  untouched. Clients that don't ask for a subprotocol get the raw byte stream
+  with no control messages.
+  """
+
+  @version 1
+
+  # Subprotocols we understand, most preferred first
+  @supported %{"exterm.v1" => :v1}
+
+  @doc """
+  Pick a protocol from the `Sec-WebSocket-Protocol` request header values.
+  Returns `{subprotocol_name, :v1}` or `{nil, :raw}`.
+  """
+  def negotiate(header_values) do
+    requested =
+      header_values
+      |> Enum.flat_map(&String.split(&1, ","))
+      |> Enum.map(&String.trim/1)
+
+    case Enum.find(requested, &Map.has_key?(@supported, &1)) do
+      nil -> {nil, :raw}
+      name -> {name, Map.fetch!(@supported, name)}
+    end
+  end
+
+  @doc """
+  Decode a client websocket message into a command for the terminal socket.
+  """
+  def decode(:raw, data), do: {:input, data}
+
+  def decode(:v1, text) do
+    case Poison.decode(text) do
+      {:ok, %{"type" => "input", "data" => data, "encoding" => "base64"}} when is_binary(data) ->
+        case Base.decode64(data) do
+          {:ok, bytes} -> {:input, bytes}
+          :error -> {:error, "invalid base64 input"}
+        end
+
+      {:ok, %{"type" => "input", "data" => data}} when is_binary(data) ->
+        {:input, data}
+
+      {:ok, %{"type" => "resize", "cols" => cols, "rows" => rows}}
+      when is_integer(cols) and is_integer(rows) and cols in 1..1000 and rows in 1..1000 ->
+        {:resize, cols, rows}
+
+      {:ok, %{"type" => "ping"}} ->
+        :ping
+
+      {:ok, message} ->
+        {:error, "unknown message: #{inspect(message)}"}
+
+      {:error, _} ->
+        {:error, "malformed message"}
+    end
+  end
+
+  @doc """
+  Encode a server event as a websocket frame, or nil when the protocol
+  has no way to carry it (raw clients only receive output).
+  """
+  def encode(:raw, {:output, data}), do: {:binary, data}
+  def encode(:raw, _event), do: nil
+
+  def encode(:v1, {:output, data}) do
+    json_frame(%{type: "output", data: Base.encode64(data)})
+  end
+
+  def encode(:v1, {:session_info, info}) do
+    json_frame(%{
+      type: "session_info",
+      version: @version,
+      session_id: info.session_id,
+      token: info.token,
+      reattached: info.reattached,
+      title: info.title
+    })
+  end
+
+  def encode(:v1, {:exit, status}), do: json_frame(%{type: "exit", status: status})
+  def encode(:v1, {:title, title}), do: json_frame(%{type: "title", title: title})
+  def encode(:v1, :pong), do: json_frame(%{type: "pong"})
+
+  # Private helper functions
+
+  defp json_frame(message), do: {:text, Poison.encode!(message)}
+end
@@ -0,0 +1,428 @@
+defmodule Exterm.TerminalSession do
+  @moduledoc """
+  Owns a shell process independently of the browser connection.
+
+  Each session is registered under a token held by the client. A terminal
+  socket attaches to the session and receives its output. When the socket goes
+  away the shell keeps running for a grace period, so a reloaded page can
+  reattach with the same token and have the recent scrollback replayed, the
+  way `tmux attach` works.
+  """
+
+  use GenServer, restart: :temporary
+
+  alias Exterm.Pty
+  alias Exterm.TerminalHistory
+  alias Exterm.TerminalChatBridge
+
+  @registry Exterm.TerminalRegistry
+  @supervisor Exterm.TerminalSessionSupervisor
+
+  # Seconds a detached shell is kept alive
+  @default_grace_period 300
+  # Bytes of output kept for replay on reattach
+  @default_scrollback_bytes 100_000
+  # The shell may not be running yet when the first resize arrives
+  @resize_retry_ms 250
+  @max_resize_retries 8
+
+  # Client API
+
+  def start_link(token) do
+    GenServer.start_link(__MODULE__, token, name: via(token))
+  end
+
+  @doc """
+  Attach the calling socket to the session for `token`, starting a new shell
+  if none is running. Any socket already attached is told it was superseded.
+
+  Returns `{:ok, pid, %{session_id: id, scrollback: binary, reattached: boolean, title: title}}`.
+  """
+  def attach(token, socket_pid \\ self()) do
+    with {:ok, pid} <- start_session(token) do
+      try do
+        {:ok, info} = GenServer.call(pid, {:attach, socket_pid})
+        {:ok, pid, info}
+      catch
+        :exit, _ ->
+          # The shell exited between lookup and attach, start a fresh one
+          with {:ok, pid} <- start_session(token) do
+            {:ok, info} = GenServer.call(pid, {:attach, socket_pid})
+            {:ok, pid, info}
+          end
+      end
+    end
+  end
+
+  @doc """
+  Send input to the shell.
+  """
+  def input(pid, data) do
+    GenServer.cast(pid, {:input, data})
+  end
+
+  @doc """
+  Set the window size of the shell's pty. Full-screen programs pick it up via SIGWINCH.
+  """
+  def resize(pid, cols, rows) do
+    GenServer.cast(pid, {:resize, cols, rows})
+  end
+
+  @doc """
+  Current working directory of the shell, or `{:error, reason}` when it can't be determined.
+  """
+  def cwd(pid) do
+    GenServer.call(pid, :cwd)
+  end
+
+  @doc """
+  Terminate the shell right away instead of waiting for the grace period.
+  Used when the user closes a terminal tab.
+  """
+  def close(pid) do
+    GenServer.cast(pid, :close)
+  end
+
+  @doc """
+  Find the session registered for a token.
+  """
+  def lookup(token) do
+    case Registry.lookup(@registry, token) do
+      [{pid, _}] -> pid
+      [] -> nil
+    end
+  end
+
+  @doc """
+  Check whether a client supplied token is acceptable as a session key.
+  """
+  def valid_token?(token) when is_binary(token) do
+    String.match?(token, ~r/^[A-Za-z0-9_-]{16,128}$/)
+  end
+
+  def valid_token?(_token), do: false
+
+  # Server callbacks
+
+  @impl true
+  def init(token) do
+    # Make sure terminate/2 runs when the supervisor shuts us down
+    Process.flag(:trap_exit, true)
+
+    session_id = :crypto.strong_rand_bytes(16) |> Base.encode16()
+
+    # Spawn the shell with PTY support
+    port =
+      Port.open({:spawn, shell_command()}, [
+        :binary,
+        :exit_status,
+        :stderr_to_stdout
+      ])
+
+    # Register the session with the bridge so AI input reaches the shell even while detached
+    TerminalChatBridge.register_terminal_socket(session_id, self())
+
+    state = %{
+      token: token,
+      session_id: session_id,
+      port: port,
+      socket: nil,
+      socket_ref: nil,
+      attached_before: false,
+      scrollback: "",
+      # Last window title the shell set with an OSC 0/2 sequence
+      title: nil,
+      grace_timer: nil,
+      # Window size requested by the client and the pty device it applies to
+      size: nil,
+      tty: nil,
+      resize_retries: 0
+    }
+
+    # Nobody is attached yet, so the grace period already applies
+    {:ok, start_grace_timer(state)}
+  end
+
+  @impl true
+  def handle_call({:attach, socket_pid}, _from, state) do
+    # Only one socket at a time - the newest attach wins
+    if state.socket && state.socket != socket_pid do
+      Process.demonitor(state.socket_ref, [:flush])
+      send(state.socket, :terminal_superseded)
+    end
+
+    state = cancel_grace_timer(state)
+
+    info = %{
+      session_id: state.session_id,
+      scrollback: state.scrollback,
+      reattached: state.attached_before,
+      title: state.title
+    }
+
+    new_state = %{
+      state
+      | socket: socket_pid,
+        socket_ref: Process.monitor(socket_pid),
+        attached_before: true
+    }
+
+    {:reply, {:ok, info}, new_state}
+  end
+
+  @impl true
+  def handle_call(:cwd, _from, state) do
+    result =
+      case state.port && Port.info(state.port, :os_pid) do
+        {:os_pid, os_pid} -> Pty.cwd(os_pid)
+        _ -> {:error, :no_process}
+      end
+
+    {:reply, result, state}
+  end
+
+  @impl true
+  def handle_cast({:input, data}, state) do
+    Port.command(state.port, data)
+    {:noreply, state}
+  end
+
+  @impl true
+  def handle_cast({:resize, cols, rows}, state) do
+    {:noreply, apply_size(%{state | size: {cols, rows}, resize_retries: 0})}
+  end
+
+  @impl true
+  def handle_cast(:close, state) do
+    {:stop, :normal, state}
+  end
+
+  @impl true
+  def handle_info({port, {:data, data}}, %{port: port} = state) do
+    # Log output to terminal history
+    TerminalHistory.add_output(state.session_id, data)
+
+    # Chats watching this terminal check the output, see TerminalChatBridge.set_watch/2
+    TerminalChatBridge.notify_terminal_output(state.session_id, data)
+
+    if state.socket do
+      send(state.socket, {:terminal_output, data})
+    end
+
+    state = %{state | scrollback: append_scrollback(state.scrollback, data)}
+
+    case extract_title(data) do
+      nil ->
+        {:noreply, state}
+
+      title ->
+        if state.socket do
+          send(state.socket, {:terminal_title, title})
+        end
+
+        {:noreply, %{state | title: title}}
+    end
+  end
+
+  @impl true
+  def handle_info({port, {:exit_status, status}}, %{port: port} = state) do
+    # Shell exited, let the attached socket know and shut down
+    if state.socket do
+      send(state.socket, {:terminal_exit, status})
+    end
+
+    {:stop, :normal, %{state | port: nil}}
+  end
+
+  @impl true
+  def handle_info({:ai_input, input}, state) do
+    # Handle input from AI through the bridge
+    TerminalHistory.add_command(state.session_id, String.trim(input))
+    Port.command(state.port, input)
+    {:noreply, state}
+  end
+
+  @impl true
+  def handle_info({:DOWN, ref, :process, _pid, _reason}, %{socket_ref: ref} = state) do
+    # The browser went away - keep the shell around for a while
+    new_state = %{state | socket: nil, socket_ref: nil}
+    {:noreply, start_grace_timer(new_state)}
+  end
+
+  @impl true
+  def handle_info(:retry_resize, state) do
+    {:noreply, apply_size(state)}
+  end
+
+  @impl true
+  def handle_info(:grace_expired, state) do
+    IO.puts("TerminalSession: Grace period expired for session #{state.session_id}")
+    {:stop, :normal, state}
+  end
+
+  @impl true
+  def handle_info(_msg, state) do
+    {:noreply, state}
+  end
+
+  @impl true
+  def terminate(_reason, state) do
+    TerminalChatBridge.unregister_terminal_socket(state.session_id)
+    TerminalHistory.clear_session(state.session_id)
+
+    # Clean up: close the port if it is still open
+    if is_port(state.port) and Port.info(state.port) != nil do
+      Port.close(state.port)
+    end
+
+    :ok
+  end
+
+  # Private helper functions
+
+  defp via(token), do: {:via, Registry, {@registry, token}}
+
+  defp start_session(token) do
+    case DynamicSupervisor.start_child(@supervisor, {__MODULE__, token}) do
+      {:ok, pid} -> {:ok, pid}
+      {:error, {:already_started, pid}} -> {:ok, pid}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp start_grace_timer(state) do
+    state = cancel_grace_timer(state)
+    timer = Process.send_after(self(), :grace_expired, grace_period() * 1000)
+    %{state | grace_timer: timer}
+  end
+
+  defp cancel_grace_timer(%{grace_timer: nil} = state), do: state
+
+  defp cancel_grace_timer(state) do
+    Process.cancel_timer(state.grace_timer)
+    %{state | grace_timer: nil}
+  end
+
+  defp apply_size(%{size: nil} = state), do: state
+
+  defp apply_size(%{size: {cols, rows}} = state) do
+    case find_tty(state) do
+      {:ok, tty} ->
+        case Pty.resize(tty, cols, rows) do
+          :ok ->
+            %{state | tty: tty}
+
+          {:error, reason} ->
+            IO.puts("TerminalSession: Failed to resize #{tty}: #{inspect(reason)}")
+            %{state | tty: nil}
+        end
+
+      {:error, _reason} when state.resize_retries < @max_resize_retries ->
+        Process.send_after(self(), :retry_resize, @resize_retry_ms)
+        %{state | resize_retries: state.resize_retries + 1}
+
+      {:error, reason} ->
+        # No pty to resize (e.g. no `script` on this system)
+        IO.puts("TerminalSession: Cannot resize session #{state.session_id}: #{inspect(reason)}")
+        state
+    end
+  end
+
+  defp find_tty(%{tty: tty}) when is_binary(tty), do: {:ok, tty}
+
+  defp find_tty(%{port: port}) when is_port(port) do
+    case Port.info(port, :os_pid) do
+      {:os_pid, os_pid} -> Pty.find_tty(os_pid)
+      nil -> {:error, :no_process}
+    end
+  end
+
+  defp find_tty(_state), do: {:error, :no_process}
+
+  defp grace_period do
+    case Integer.parse(System.get_env("TERMINAL_GRACE_PERIOD") || "") do
+      {seconds, _} when seconds >= 0 ->
+        seconds
+
+      _ ->
+        Application.get_env(:exterm, :terminal_grace_period, @default_grace_period)
+    end
+  end
+
+  defp append_scrollback(scrollback, data) do
+    combined = scrollback <> data
+    limit = Application.get_env(:exterm, :terminal_scrollback_bytes, @default_scrollback_bytes)
+
+    if byte_size(combined) <= limit do
+      combined
+    else
+      trimmed = binary_part(combined, byte_size(combined) - limit, limit)
+
+      # Start the replay at a line boundary so it doesn't begin mid escape sequence
+      case :binary.match(trimmed, "\n") do
+        {pos, 1} -> binary_part(trimmed, pos + 1, byte_size(trimmed) - pos - 1)
+        :nomatch -> trimmed
+      end
+    end
+  end
+
+  # Window title escape sequences: ESC ] 0 ; title BEL (or ESC \), same for 2
+  defp extract_title(data) do
+    case Regex.scan(~r/\e\][02];([^\a\e]*)(?:\a|\e\\)/, data) do
+      [] -> nil
+      matches ->
+        title = matches |> List.last() |> List.last()
+        if String.valid?(title), do: title, else: nil
+    end
+  end
+
+  defp shell_command do
+    # Detect OS and configure shell accordingly
+    {os_family, os_name} = :os.type()
+
+    case os_family do
+      :win32 ->
+        # Windows: Use PowerShell or cmd.exe directly
+        case System.find_executable("pwsh") || System.find_executable("powershell") do
+          nil ->
+            # Fallback to cmd.exe
+            "cmd.exe"
+
+          ps_path ->
+            # Use PowerShell
+            "#{ps_path} -NoLogo -NoExit"
+        end
+
+      :unix ->
+        # Unix-like systems (Linux, macOS, BSD)
+        # Find bash path - try common locations
+        bash_path =
+          case System.find_executable("bash") do
+            # fallback to sh if bash not found
+            nil -> "/bin/sh"
+            path -> path
+          end
+
+        # Use script command to create a proper PTY session
+        # Linux: script -qefc command
+        # macOS: script -q /dev/null command
+        case System.find_executable("script") do
+          nil ->
+            # Fallback: use bash directly with some PTY-like options
+            "#{bash_path} -i"
+
+          script_path ->
+            # Detect Unix variant and use appropriate script syntax
+            case os_name do
+              :darwin ->
+                # macOS syntax: script -q /dev/null command
+                "#{script_path} -q /dev/null #{bash_path} -i"
+
+              _ ->
+                # Linux syntax: script -qefc command /dev/null
+                "#{script_path} -qefc '#{bash_path} -i' /dev/null"
+            end
+        end
+    end
+  end
+end
@@ -2,124 +2,92 @@ defmodule Exterm.TerminalSocket do
   @behaviour :cowboy_websocket
 
   alias Exterm.TerminalHistory
-  alias Exterm.TerminalChatBridge
+  alias Exterm.TerminalProtocol
+  alias Exterm.TerminalSession
+
+  # Close codes shared with terminal.js
+  # 4000: client closed the tab, end the shell now
+  # 4001: another connection attached to the same session
+  @close_tab_code 4000
+  @superseded_code 4001
 
   def init(request, _state) do
     {:cowboy_websocket, request, %{}}
   end
 
-  def websocket_init(_state) do
-    # Generate a unique session ID for this terminal session
-    session_id = :crypto.strong_rand_bytes(16) |> Base.encode16()
-
-    # Detect OS and configure shell accordingly
-    {os_family, os_name} = :os.type()
-
-    script_cmd =
-      case os_family do
-        :win32 ->
-          # Windows: Use PowerShell or cmd.exe directly
-          case System.find_executable("pwsh") || System.find_executable("powershell") do
-            nil ->
-              # Fallback to cmd.exe
-              "cmd.exe"
-
-            ps_path ->
-              # Use PowerShell
-              "#{ps_path} -NoLogo -NoExit"
-          end
-
-        :unix ->
-          # Unix-like systems (Linux, macOS, BSD)
-          # Find bash path - try common locations
-          bash_path =
-            case System.find_executable("bash") do
-              # fallback to sh if bash not found
-              nil -> "/bin/sh"
-              path -> path
-            end
-
-          # Use script command to create a proper PTY session
-          # Linux: script -qefc command
-          # macOS: script -q /dev/null command
-          case System.find_executable("script") do
-            nil ->
-              # Fallback: use bash directly with some PTY-like options
-              "#{bash_path} -i"
-
-            script_path ->
-              # Detect Unix variant and use appropriate script syntax
-              case os_name do
-                :darwin ->
-                  # macOS syntax: script -q /dev/null command
-                  "#{script_path} -q /dev/null #{bash_path} -i"
-
-                _ ->
-                  # Linux syntax: script -qefc command /dev/null
-                  "#{script_path} -qefc '#{bash_path} -i' /dev/null"
-              end
-          end
+  def websocket_init(state) do
+    # Framing negotiated by the router (:v1 JSON envelopes or :raw bytes)
+    protocol = Map.get(state, :protocol, :raw)
+
+    # Reattach to the session named by the client token, or start a new shell
+    token =
+      case Map.get(state, :session_token) do
+        token when is_binary(token) ->
+          if TerminalSession.valid_token?(token), do: token, else: generate_token()
+
+        _ ->
+          generate_token()
       end
 
-    # Spawn the shell with PTY support
-    port =
-      Port.open({:spawn, script_cmd}, [
-        :binary,
-        :exit_status,
-        :stderr_to_stdout
-      ])
+    case TerminalSession.attach(token) do
+      {:ok, session, info} ->
+        # Notice if the shell process goes away unexpectedly
+        Process.monitor(session)
 
-    # Set up a heartbeat timer to keep connection alive (every 30 seconds)
-    :timer.send_interval(30_000, self(), :heartbeat)
+        # Set up a heartbeat timer to keep connection alive (every 30 seconds)
+        :timer.send_interval(30_000, self(), :heartbeat)
 
-    # Register this terminal socket with the bridge for AI interaction
-    TerminalChatBridge.register_terminal_socket(session_id, self())
+        new_state = %{
+          session: session,
+          session_id: info.session_id,
+          token: token,
+          protocol: protocol
+        }
 
-    # Store the port and session ID in the state
-    {:ok, %{port: port, session_id: session_id}}
-  end
+        if info.reattached do
+          IO.puts("TerminalSocket: Reattached to session #{info.session_id}")
+        end
 
-  def websocket_handle({:text, msg}, state) do
-    # Debug: log control characters
-    if String.contains?(msg, <<3>>) do
-      IO.puts("Received Ctrl+C (ETX) signal")
-    end
+        # Tell the client which session it got, then replay recent output
+        # so a reattached terminal shows where it left off
+        replay = if info.scrollback != "", do: [{:output, info.scrollback}], else: []
 
-    # Convert \r to \n for proper shell handling
-    normalized_msg = String.replace(msg, "\r", "\n")
+        frames =
+          [{:session_info, Map.put(info, :token, token)} | replay]
+          |> Enum.map(&TerminalProtocol.encode(protocol, &1))
+          |> Enum.reject(&is_nil/1)
 
-    # Log command to terminal history if it's a command (ends with newline)
-    if String.ends_with?(normalized_msg, "\n") do
-      command = String.trim(normalized_msg)
+        {:reply, frames, new_state}
 
-      if command != "" do
-        TerminalHistory.add_command(state.session_id, command)
-      end
+      {:error, reason} ->
+        IO.puts("TerminalSocket: Failed to start shell: #{inspect(reason)}")
+        {:reply, {:close, 1011, "Shell not available"}, %{}}
     end
+  end
 
-    # Forward incoming WebSocket message to the shell
-    case Map.get(state, :port) do
-      nil ->
-        {:reply, {:text, "Error: Shell not available\r\n"}, state}
+  def websocket_handle({:text, msg}, state) do
+    case TerminalProtocol.decode(state.protocol, msg) do
+      {:input, data} ->
+        handle_input(data, state)
 
-      port ->
-        Port.command(port, normalized_msg)
+      {:resize, cols, rows} ->
+        TerminalSession.resize(state.session, cols, rows)
         {:ok, state}
-    end
-  end
 
-  def websocket_handle({:binary, msg}, state) do
-    # Handle binary messages the same way as text
-    case Map.get(state, :port) do
-      nil ->
-        {:reply, {:text, "Error: Shell not available\r\n"}, state}
+      :ping ->
+        reply(:pong, state)
 
-      port ->
-        Port.command(port, msg)
+      {:error, reason} ->
+        IO.puts("TerminalSocket: Ignoring client message: #{reason}")
         {:ok, state}
     end
   end
 
+  def websocket_handle({:binary, msg}, state) do
+    # Binary frames are always raw input bytes
+    handle_input(msg, state)
+  end
+
   def websocket_handle({:pong, _data}, state) do
     # Handle pong response from client (optional logging)
     {:ok, state}
@@ -129,22 +97,32 @@ defmodule Exterm.TerminalSocket do
     {:ok, state}
   end
 
-  def websocket_info({port, {:data, data}}, %{port: port} = state) do
-    # Log output to terminal history
-    TerminalHistory.add_output(state.session_id, data)
+  def websocket_info({:terminal_output, data}, state) do
+    # Forward shell output back to WebSocket client
+    reply({:output, data}, state)
+  end
+
+  def websocket_info({:terminal_title, title}, state) do
+    reply({:title, title}, state)
+  end
 
-    # 🤖 AUTONOMOUS AI: Notify AI about new terminal output for autonomous analysis
-    TerminalChatBridge.notify_terminal_output(state.session_id, data)
+  def websocket_info({:terminal_exit, status}, state) do
+    # Shell exited, report the status and close the WebSocket
+    frames =
+      [TerminalProtocol.encode(state.protocol, {:exit, status}), {:close, 1000, "Shell exited"}]
+      |> Enum.reject(&is_nil/1)
 
-    # Convert \n to \r\n for proper terminal display
-    normalized_data = String.replace(data, "\n", "\r\n")
-    # Forward shell output back to WebSocket client
-    {:reply, {:text, normalized_data}, state}
+    {:reply, frames, state}
   end
 
-  def websocket_info({port, {:exit_status, _status}}, %{port: port} = state) do
-    # Shell exited, close the WebSocket
-    {:reply, {:close, 1000, "Shell exited"}, state}
+  def websocket_info(:terminal_superseded, state) do
+    # Another browser window took over this session
+    {:reply, {:close, @superseded_code, "Session attached elsewhere"}, state}
+  end
+
+  def websocket_info({:DOWN, _ref, :process, session, _reason}, %{session: session} = state) do
+    # The session died without reporting an exit status
+    {:reply, {:close, 1011, "Shell exited"}, state}
   end
 
   def websocket_info(:heartbeat, state) do
@@ -152,39 +130,53 @@ defmodule Exterm.TerminalSocket do
     {:reply, {:ping, ""}, state}
   end
 
-  def websocket_info({:ai_input, input}, state) do
-    # Handle input from AI through the bridge
-    case Map.get(state, :port) do
-      nil ->
-        {:ok, state}
+  def websocket_info(_info, state) do
+    {:ok, state}
+  end
 
-      port ->
-        # Log the AI input as a command
-        TerminalHistory.add_command(state.session_id, String.trim(input))
+  def terminate(reason, _request, state) do
+    # Closing a tab ends the shell; any other disconnect leaves it running for the grace period
+    case {reason, state} do
+      {{:remote, @close_tab_code, _}, %{session: session}} ->
+        TerminalSession.close(session)
 
-        # Send the input to the terminal
-        Port.command(port, input)
-        {:ok, state}
+      _ ->
+        :ok
     end
-  end
 
-  def websocket_info(_info, state) do
-    {:ok, state}
+    :ok
   end
 
-  def terminate(_reason, _request, state) do
-    # Unregister from the bridge
-    if Map.has_key?(state, :session_id) do
-      TerminalChatBridge.unregister_terminal_socket(state.session_id)
-      TerminalHistory.clear_session(state.session_id)
+  # Private helper functions
+
+  defp handle_input(data, state) do
+    # Debug: log control characters
+    if String.contains?(data, <<3>>) do
+      IO.puts("Received Ctrl+C (ETX) signal")
+    end
+
+    # Log command to terminal history if it's a command (ends with Enter)
+    if String.ends_with?(data, ["\r", "\n"]) do
+      command = String.trim(data)
+
+      if command != "" do
+        TerminalHistory.add_command(state.session_id, command)
+      end
     end
 
-    # Clean up: close the port if it exists
-    case state do
-      %{port: port} when is_port(port) -> Port.close(port)
-      _ -> :ok
+    # Forward the bytes to the shell untouched
+    TerminalSession.input(state.session, data)
+    {:ok, state}
+  end
+
+  defp reply(event, state) do
+    case TerminalProtocol.encode(state.protocol, event) do
+      nil -> {:ok, state}
+      frame -> {:reply, frame, state}
     end
+  end
 
-    :ok
+  defp generate_token do
+    :crypto.strong_rand_bytes(16) |> Base.url_encode64(padding: false)
   end
 end
@@ -0,0 +1,239 @@
+// Chat Attachments - files, images and terminal snapshots sent with the next message
+//
+// Files come from the explorer (the server reads them by path), or are dropped
+// on or pasted into the chat input, or picked with the 📎 button (the browser
+// reads them). The 🖥 button takes what is on the active terminal's screen.
+// They show as chips above the input and go out with the chat_message as its
+// attachments; the server turns them into content parts of the message (see
+// Exterm.Llm.Attachments), with images for models that can see them.
+
+// Image types the providers take, and the most they take for one image
+const ATTACHMENT_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const ATTACHMENT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// Text files are cut to 100 KB on the server; bigger ones aren't worth sending
+const ATTACHMENT_MAX_TEXT_BYTES = 5 * 1024 * 1024;
+
+class ChatAttachments {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.items = [];
+    this.list = document.getElementById('chat-attachments');
+    this.container = document.getElementById('chat-input-container');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    const fileInput = document.getElementById('chat-attach-input');
+    document.getElementById('chat-attach-file')?.addEventListener('click', () => fileInput.click());
+    fileInput?.addEventListener('change', () => {
+      this.addFiles(fileInput.files);
+      fileInput.value = '';
+    });
+
+    document.getElementById('chat-attach-terminal')?.addEventListener('click', () => this.addTerminalSnapshot());
+
+    // Images and files on the clipboard are attached; text is pasted as usual
+    this.chat.chatInput.addEventListener('paste', (e) => {
+      const files = e.clipboardData ? Array.from(e.clipboardData.files) : [];
+      if (files.length === 0) return;
+
+      if (!e.clipboardData.types.includes('text/plain')) e.preventDefault();
+      this.addFiles(files);
+    });
+
+    const dragsFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    this.container.addEventListener('dragover', (e) => {
+      if (!dragsFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.container.classList.add('drag-over');
+    });
+    this.container.addEventListener('dragleave', (e) => {
+      if (!this.container.contains(e.relatedTarget)) this.container.classList.remove('drag-over');
+    });
+    this.container.addEventListener('drop', (e) => {
+      this.container.classList.remove('drag-over');
+      if (!dragsFiles(e)) return;
+      e.preventDefault();
+      this.addFiles(e.dataTransfer.files);
+    });
+  }
+
+  add(attachment) {
+    const key = ChatAttachments.key(attachment);
+    if (!this.items.some(item => ChatAttachments.key(item) === key)) {
+      this.items.push(attachment);
+      this.render();
+    }
+    this.chat.chatInput.focus();
+  }
+
+  // A file from the explorer; the server reads it when the message is sent
+  addPath(path) {
+    this.add({ type: 'file', path });
+  }
+
+  addFiles(files) {
+    Array.from(files).forEach(file => {
+      const read = ATTACHMENT_IMAGE_TYPES.includes(file.type) ? this.readImage(file) : this.readText(file);
+      read.then(attachment => this.add(attachment))
+        .catch(error => this.chat.addSystemMessage(`Can't attach ${file.name}: ${error.message}`, 'error'));
+    });
+  }
+
+  readImage(file) {
+    if (file.size > ATTACHMENT_MAX_IMAGE_BYTES) {
+      return Promise.reject(new Error('images can be at most 5 MB'));
+    }
+
+    return ChatAttachments.read(file, 'readAsDataURL').then(url => ({
+      type: 'image',
+      name: file.name || 'pasted image',
+      media_type: file.type,
+      data: url.slice(url.indexOf(',') + 1),
+      url // For the chip and the message; not sent
+    }));
+  }
+
+  readText(file) {
+    if (file.size > ATTACHMENT_MAX_TEXT_BYTES) {
+      return Promise.reject(new Error('the file is too large'));
+    }
+
+    return ChatAttachments.read(file, 'readAsText').then(content => {
+      // Binary files decode with NUL bytes or replacement characters
+      if (/[\u0000\uFFFD]/.test(content.slice(0, 8000))) {
+        throw new Error('only text files and PNG, JPEG, GIF or WebP images can be attached');
+      }
+      return { type: 'text', name: file.name, content };
+    });
+  }
+
+  static read(file, method) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('the file could not be read'));
+      reader[method](file);
+    });
+  }
+
+  addTerminalSnapshot() {
+    const session = window.terminalManager?.activeSession;
+    const content = session ? session.snapshot() : '';
+    if (!content.trim()) {
+      this.chat.addSystemMessage('The terminal screen is empty', 'error');
+      return;
+    }
+
+    this.add({ type: 'terminal', name: session.title, content, taken: new Date().toLocaleTimeString() });
+  }
+
+  remove(index) {
+    this.items.splice(index, 1);
+    this.render();
+  }
+
+  static key(attachment) {
+    switch (attachment.type) {
+      case 'file': return `file:${attachment.path}`;
+      case 'image': return `image:${attachment.name}:${attachment.data.length}`;
+      case 'terminal': return `terminal:${attachment.content}`;
+      default: return `text:${attachment.name}:${attachment.content.length}`;
+    }
+  }
+
+  static label(attachment) {
+    switch (attachment.type) {
+      case 'file': return attachment.path.split('/').pop();
+      case 'terminal': return `${attachment.name} at ${attachment.taken}`;
+      default: return attachment.name;
+    }
+  }
+
+  static icon(attachment) {
+    return { image: '🖼', terminal: '🖥' }[attachment.type] || '📎';
+  }
+
+  render() {
+    if (!this.list) return;
+
+    this.list.innerHTML = '';
+    this.items.forEach((attachment, index) => {
+      const chip = document.createElement('span');
+      chip.className = 'attachment-chip';
+      chip.title = attachment.path || attachment.name;
+
+      if (attachment.url) {
+        const thumb = document.createElement('img');
+        thumb.className = 'attachment-thumb';
+        thumb.src = attachment.url;
+        thumb.alt = '';
+        chip.appendChild(thumb);
+      }
+
+      // Images show their thumbnail instead of an icon
+      const icon = attachment.url ? '' : `${ChatAttachments.icon(attachment)} `;
+      const name = document.createElement('span');
+      name.textContent = `${icon}${ChatAttachments.label(attachment)}`;
+
+      const remove = document.createElement('button');
+      remove.className = 'attachment-remove';
+      remove.title = 'Remove attachment';
+      remove.textContent = '×';
+      remove.addEventListener('click', () => this.remove(index));
+
+      chip.appendChild(name);
+      chip.appendChild(remove);
+      this.list.appendChild(chip);
+    });
+    this.list.classList.toggle('has-attachments', this.items.length > 0);
+  }
+
+  // Hand the attachments to a message being sent and clear the chips
+  take() {
+    const items = this.items;
+    this.items = [];
+    this.render();
+
+    return {
+      // What the server gets; image previews stay here
+      attachments: items.map(({ url, taken, ...attachment }) => attachment),
+      note: items
+        .filter(attachment => attachment.type !== 'image')
+        .map(attachment => `${ChatAttachments.icon(attachment)} \`${attachment.path || ChatAttachments.label(attachment)}\``)
+        .join('  \n'),
+      images: items.filter(attachment => attachment.type === 'image').map(attachment => attachment.url)
+    };
+  }
+
+  // A saved message's content, which is a string or, with images, a list of
+  // content parts. The first text part is what the user wrote.
+  static fromContent(content) {
+    if (!Array.isArray(content)) return { text: content, typed: content, images: [] };
+
+    const texts = content.filter(part => part.type === 'text').map(part => part.text);
+    const images = content
+      .filter(part => part.type === 'image_url')
+      .map(part => part.image_url && part.image_url.url)
+      .filter(url => typeof url === 'string' && /^data:image\/(png|jpeg|gif|webp);base64,/.test(url));
+
+    return { text: texts.join('\n\n'), typed: texts[0] || '', images };
+  }
+
+  // Thumbnails of the images sent with a message, under its text
+  static showImages(bubble, images) {
+    if (!bubble || images.length === 0) return;
+
+    const strip = document.createElement('div');
+    strip.className = 'message-images';
+    images.forEach(url => {
+      const image = document.createElement('img');
+      image.src = url;
+      image.alt = 'Attached image';
+      strip.appendChild(image);
+    });
+    bubble.appendChild(strip);
+  }
+}
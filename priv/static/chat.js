@@ -3,19 +3,34 @@ class ChatManager {
   constructor() {
     this.socket = null;
     this.isConnected = false;
-    this.messageHistory = [];
+    this.messageHistory = []; // Rendered messages, for export
     this.isTyping = false;
     this.reconnectAttempts = 0;
     this.reconnectDelay = 5000; // Start with 5 seconds
     this.currentStatusMessage = null;
     this.streamingMessage = null; // Track current streaming message
     this.streamingContent = ""; // Accumulate streaming content
+    this.streamRenderer = null; // Draws the streaming message, see StreamingRenderer
+    this.thinkingRenderer = null; // Draws its thinking section
     this.typingTimeout = null; // Track typing indicator timeout
     this.pendingStreamModel = null; // Model name for pending stream
     this.toolTimeout = null; // Track tool execution timeout
+    this.linkedTerminalSessionId = null; // Terminal session the AI works in
+    this.conversationId = null; // Id the server saves this conversation under
 
     this.initializeLibraries();
     this.initializeElements();
+    this.commandSuggestions = new CommandSuggestions(this);
+    this.permissionDialog = new PermissionDialog(this);
+    this.fileChanges = new FileChangeCards(this);
+    this.conversations = new ConversationList(this);
+    this.modelPicker = new ModelPicker(this);
+    this.watch = new TerminalWatch(this);
+    this.usageMeter = new UsageMeter(this);
+    this.messageActions = new MessageActions(this);
+    this.slashCommands = new SlashCommands(this);
+    this.codeBlocks = new CodeBlocks(this);
+    this.attachments = new ChatAttachments(this);
     this.setupEventListeners();
     this.connect();
   }
@@ -113,7 +128,7 @@ class ChatManager {
       }
 
       // Connect to the actual chat WebSocket endpoint
-      this.socket = new WebSocket('ws://localhost:4000/chat_ws');
+      this.socket = new WebSocket(window.extermConfig.websocketUrl('chat'));
 
       this.socket.onopen = () => {
         console.log('Chat WebSocket connected');
@@ -128,6 +143,20 @@ class ChatManager {
           this.currentStatusMessage.remove();
           this.currentStatusMessage = null;
         }
+
+        // A new chat session on the server needs to be told which terminal to use
+        if (window.terminalManager) {
+          window.terminalManager.linkChat();
+        }
+
+        // Pick up the conversation from before the reload or disconnect
+        const lastConversationId = this.loadLastConversationId();
+        if (lastConversationId) {
+          this.openConversation(lastConversationId);
+        }
+        this.conversations.refresh();
+        this.modelPicker.refresh();
+        this.watch.sync();
       };
 
       this.socket.onmessage = (event) => {
@@ -137,6 +166,9 @@ class ChatManager {
       this.socket.onclose = () => {
         console.log('Chat WebSocket disconnected');
         this.isConnected = false;
+
+        // The server denies pending approvals when the chat goes away
+        this.permissionDialog.cancelAll();
         this.chatInput.disabled = true;
         this.chatSend.disabled = true;
 
@@ -214,7 +246,7 @@ class ChatManager {
     }
   }
 
-  addMessage(content, type = 'user', model = null) {
+  addMessage(content, type = 'user', model = null, usage = null) {
     // Validate content before creating message div
     if (!content || (typeof content === 'string' && content.trim() === '')) {
       console.warn('Attempted to create message with empty content, skipping');
@@ -222,6 +254,8 @@ class ChatManager {
     }
 
     const messageDiv = document.createElement('div');
+    messageDiv.dataset.role = type;
+    messageDiv.rawContent = content; // What the edit box starts with
 
     // Apply Tailwind classes based on message type with layout stability
     if (type === 'user') {
@@ -242,7 +276,7 @@ class ChatManager {
       type === 'ai' ? `⚛ ${model || 'AI'}` : '🖧 System';
 
     headerDiv.innerHTML = `
-      <span class="text-blue-300 flex-none">${senderLabel}</span>
+      <span class="text-blue-300 flex-none">${MarkdownRenderer.escape(senderLabel)}</span>
       <span class="ml-auto flex-none w-20">${formattedTime}</span>
     `;
 
@@ -258,9 +292,14 @@ class ChatManager {
       const formattedContent = this.formatMessage(content);
       contentDiv.innerHTML = formattedContent;
     }
+    // Only this message's code blocks; the rest of the chat is highlighted already
+    MarkdownRenderer.highlight(contentDiv);
+    if (type === 'ai') this.codeBlocks.attach(contentDiv);
 
     messageDiv.appendChild(headerDiv);
     messageDiv.appendChild(contentDiv);
+    UsageMeter.label(messageDiv, usage);
+    this.messageHistory.push({ type, content, model, timestamp: timestamp.toISOString() });
 
     // Batch DOM update to prevent layout thrashing
     requestAnimationFrame(() => {
@@ -268,12 +307,15 @@ class ChatManager {
       this.ensureThinkingIndicatorAtBottom();
       this.scrollToBottom();
     });
+
+    return messageDiv;
   }
 
   // Start a new streaming message
   startStreamingMessage(model = null) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'chat-message mb-3 p-3 rounded-lg bg-slate-700 ml-4 transition-smooth streaming-message';
+    messageDiv.dataset.role = 'ai';
 
     const timestamp = new Date();
     const formattedTime = timestamp.toLocaleTimeString();
@@ -284,18 +326,13 @@ class ChatManager {
     const senderLabel = `⚛ ${model || 'AI'}`;
 
     headerDiv.innerHTML = `
-      <span class="text-blue-300 flex-none">${senderLabel}</span>
+      <span class="text-blue-300 flex-none">${MarkdownRenderer.escape(senderLabel)}</span>
       <span class="ml-auto flex-none w-20">${formattedTime}</span>
     `;
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'message-content text-slate-200 break-words markdown-body markdown-content streaming-content';
-
-    // Add streaming cursor
-    const cursorSpan = document.createElement('span');
-    cursorSpan.className = 'streaming-cursor';
-    cursorSpan.innerHTML = '▌';
-    contentDiv.appendChild(cursorSpan);
+    this.streamRenderer = new StreamingRenderer(contentDiv, () => this.scrollToBottom());
 
     messageDiv.appendChild(headerDiv);
     messageDiv.appendChild(contentDiv);
@@ -307,6 +344,7 @@ class ChatManager {
     // Store references
     this.streamingMessage = messageDiv;
     this.streamingContent = "";
+    this.usageMeter.trackResponse(messageDiv);
 
     return { messageDiv, contentDiv };
   }
@@ -319,16 +357,7 @@ class ChatManager {
     }
 
     this.streamingContent += chunk;
-
-    const contentDiv = this.streamingMessage.querySelector('.streaming-content');
-    if (contentDiv) {
-      // Format the accumulated content with markdown but keep the cursor
-      const formattedContent = this.formatMessage(this.streamingContent);
-      contentDiv.innerHTML = formattedContent + '<span class="streaming-cursor">▌</span>';
-
-      // Scroll to bottom to follow the stream
-      this.scrollToBottom();
-    }
+    this.streamRenderer.append(chunk);
   }
 
   // Add content to the thinking section
@@ -363,11 +392,10 @@ class ChatManager {
       contentDiv.parentElement.insertBefore(thinkingSection, contentDiv);
     }
 
-    // Update thinking content
-    const thinkingContentDiv = thinkingSection.querySelector('.thinking-content');
-    if (thinkingContentDiv) {
-      thinkingContentDiv.innerHTML = this.formatMessage(this.thinkingContent) + '<span class="streaming-cursor">▌</span>';
+    if (!this.thinkingRenderer) {
+      this.thinkingRenderer = new StreamingRenderer(thinkingSection.querySelector('.thinking-content'));
     }
+    this.thinkingRenderer.append(chunk);
   }
 
   // Finish the streaming message
@@ -387,31 +415,32 @@ class ChatManager {
       // Remove the empty streaming message div
       this.streamingMessage.remove();
       this.streamingMessage = null;
+      this.streamRenderer = null;
+      this.thinkingRenderer = null;
       this.streamingContent = "";
       this.thinkingContent = "";
       this.pendingStreamModel = null;
       return;
     }
 
-    const contentDiv = this.streamingMessage.querySelector('.streaming-content');
-    if (contentDiv) {
-      // Remove cursor and finalize content
-      const formattedContent = this.formatMessage(this.streamingContent);
-      contentDiv.innerHTML = formattedContent;
-    }
-
-    // Finalize thinking section if present
-    const thinkingContentDiv = this.streamingMessage.querySelector('.thinking-content');
-    if (thinkingContentDiv && this.thinkingContent) {
-      const formattedThinking = this.formatMessage(this.thinkingContent);
-      thinkingContentDiv.innerHTML = formattedThinking;
-    }
+    // Remove cursor and finalize content
+    this.streamRenderer.finish();
+    if (this.thinkingRenderer) this.thinkingRenderer.finish();
+    this.codeBlocks.attach(this.streamRenderer.element);
 
     // Remove streaming class
     this.streamingMessage.classList.remove('streaming-message');
+    this.messageHistory.push({
+      type: 'ai',
+      content: this.streamingContent,
+      model: this.pendingStreamModel,
+      timestamp: new Date().toISOString()
+    });
 
     // Clean up references
     this.streamingMessage = null;
+    this.streamRenderer = null;
+    this.thinkingRenderer = null;
     this.streamingContent = "";
     this.thinkingContent = "";
     this.pendingStreamModel = null;
@@ -433,7 +462,8 @@ class ChatManager {
       'connecting': 'bg-yellow-600 text-white',
       'disconnected': 'bg-red-600 text-white',
       'error': 'bg-red-700 text-white',
-      'stopped': 'bg-slate-600 text-white'
+      'stopped': 'bg-slate-600 text-white',
+      'warning': 'bg-amber-600 text-white'
     };
     statusSpan.className = `inline-block px-2 py-1 rounded text-xs font-medium ml-2 ${statusClasses[status] || 'bg-slate-600 text-white'}`;
     statusSpan.textContent = status;
@@ -454,7 +484,7 @@ class ChatManager {
     // If we have an existing status message, update it
     if (this.currentStatusMessage) {
       const statusSpan = this.currentStatusMessage.querySelector('.connection-status');
-      this.currentStatusMessage.innerHTML = `${content} `;
+      this.currentStatusMessage.textContent = `${content} `;
 
       const newStatusSpan = document.createElement('span');
       newStatusSpan.className = `connection-status ${status}`;
@@ -469,7 +499,7 @@ class ChatManager {
       statusSpan.className = `connection-status ${status}`;
       statusSpan.textContent = status;
 
-      messageDiv.innerHTML = `${content} `;
+      messageDiv.textContent = `${content} `;
       messageDiv.appendChild(statusSpan);
 
       this.chatMessages.appendChild(messageDiv);
@@ -619,213 +649,9 @@ class ChatManager {
     return channels;
   }
 
+  // Markdown to safe HTML; see MarkdownRenderer for what survives
   formatMessage(content) {
-    // Debug: Log what we're trying to format
-    console.log('=== Format Message Debug ===');
-    console.log('Raw content length:', content.length);
-    console.log('Content preview (first 300 chars):', JSON.stringify(content.substring(0, 300)));
-    console.log('Content has links?', content.includes('[') && content.includes(']('));
-    console.log('Content has tables?', content.includes('|'));
-    console.log('marked available?', typeof marked !== 'undefined');
-    console.log('marked.parse available?', typeof marked !== 'undefined' && typeof marked.parse === 'function');
-    console.log('============================');
-
-    // Use marked.js for proper markdown parsing if available
-    if (typeof marked !== 'undefined' && (typeof marked === 'function' || typeof marked.parse === 'function')) {
-      try {
-        // Configure custom renderer for links and other elements
-        const renderer = new marked.Renderer();
-
-        // Override link rendering to open in new tab
-        renderer.link = function (href, title, text) {
-          const cleanHref = href.replace(/[<>]/g, ''); // Basic sanitization
-          const titleAttr = title ? ` title="${title}"` : '';
-          return `<a href="${cleanHref}" target="_blank" rel="noopener noreferrer"${titleAttr}>${text}</a>`;
-        };
-
-        // Override heading rendering to ensure proper styling
-        renderer.heading = function (text, level) {
-          const escapedText = text.toLowerCase().replace(/[^\w]+/g, '-');
-          return `<h${level} id="${escapedText}">${text}</h${level}>`;
-        };
-
-        // Configure marked options (compatible with both old and new versions)
-        const markedOptions = {
-          renderer: renderer,
-          highlight: function (code, lang) {
-            // Use highlight.js for syntax highlighting if available
-            if (typeof hljs !== 'undefined') {
-              try {
-                if (lang && hljs.getLanguage(lang)) {
-                  return hljs.highlight(lang, code).value;
-                } else {
-                  return hljs.highlightAuto(code).value;
-                }
-              } catch (e) {
-                console.warn('Highlight.js error:', e);
-                return code;
-              }
-            }
-            return code;
-          },
-          breaks: true, // Convert line breaks to <br>
-          gfm: true, // GitHub flavored markdown
-          sanitize: false, // Allow HTML (be careful in production)
-          pedantic: false,
-          smartLists: true,
-          smartypants: false
-        };
-
-        // Try to use marked.js - handle different versions gracefully
-        let htmlContent;
-
-        try {
-          // Configure marked options for v5+
-          const markedOptions = {
-            breaks: true,
-            gfm: true,
-            sanitize: false,
-            smartLists: true,
-            mangle: false  // Disable deprecated mangle parameter to clear warning
-          };
-
-          // Try marked.parse() first (v5+)
-          if (typeof marked.parse === 'function') {
-            htmlContent = marked.parse(content, markedOptions);
-          }
-          // Fallback to marked() function (v4 and below)
-          else if (typeof marked === 'function') {
-            htmlContent = marked(content, markedOptions);
-          }
-          else {
-            throw new Error('marked function not available');
-          }
-        } catch (parseError) {
-          console.warn('Marked.js parsing failed:', parseError);
-          throw parseError;
-        }
-
-        console.log('Marked output:', htmlContent.substring(0, 200) + '...');
-
-        // Post-process the HTML to wrap tables for better responsiveness
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = htmlContent;
-
-        // Wrap tables in scrollable containers
-        const tables = tempDiv.querySelectorAll('table');
-        tables.forEach(table => {
-          const wrapper = document.createElement('div');
-          wrapper.className = 'table-wrapper';
-          table.parentNode.insertBefore(wrapper, table);
-          wrapper.appendChild(table);
-        });
-
-        const processedContent = tempDiv.innerHTML;
-
-        // Apply syntax highlighting to any remaining code blocks after DOM update
-        setTimeout(() => {
-          if (typeof hljs !== 'undefined') {
-            const codeBlocks = document.querySelectorAll('pre code:not(.hljs)');
-            console.log('Found code blocks to highlight:', codeBlocks.length);
-            codeBlocks.forEach((block) => {
-              hljs.highlightElement(block);
-            });
-          }
-        }, 100);
-
-        return processedContent;
-      } catch (e) {
-        console.warn('Markdown parsing failed, falling back to basic formatting:', e);
-        return this.basicFormatMessage(content);
-      }
-    } else {
-      console.warn('marked.js not available, using basic formatting');
-    }
-
-    // Fallback to basic formatting if marked.js not available
-    return this.basicFormatMessage(content);
-  }
-
-  basicFormatMessage(content) {
-    console.log('Using basic formatting for content');
-    // Enhanced basic markdown-like formatting
-    let formatted = content
-      // Handle code blocks first (multi-line)
-      .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code class="language-$1">$2</code></pre>')
-      .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
-      // Handle inline code
-      .replace(/`([^`]+)`/g, '<code>$1</code>')
-      // Handle links - must come before other formatting
-      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
-      // Handle automatic URL detection
-      .replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>')
-      // Handle headers (order matters - h3 before h2 before h1)
-      .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-      .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-      .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-      // Handle bold and italic
-      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-      // Handle lists
-      .replace(/^- (.*$)/gm, '<li>$1</li>')
-      .replace(/(<li>.*<\/li>)/gs, '<ul>$1</ul>')
-      .replace(/<\/ul>\s*<ul>/g, ''); // Merge consecutive lists
-
-    // Basic table processing
-    const lines = formatted.split('\n');
-    let inTable = false;
-    let tableRows = [];
-    let result = [];
-
-    for (let line of lines) {
-      if (line.includes('|') && line.trim().length > 0) {
-        if (!inTable) {
-          inTable = true;
-          tableRows = [];
-        }
-        tableRows.push(line);
-      } else {
-        if (inTable) {
-          // Process the table
-          if (tableRows.length > 0) {
-            result.push(this.processBasicTable(tableRows));
-          }
-          inTable = false;
-          tableRows = [];
-        }
-        result.push(line);
-      }
-    }
-
-    // Handle table at end of content
-    if (inTable && tableRows.length > 0) {
-      result.push(this.processBasicTable(tableRows));
-    }
-
-    return result.join('\n').replace(/\n/g, '<br>');
-  }
-
-  processBasicTable(rows) {
-    let html = '<div class="table-wrapper"><table>';
-    let isFirstRow = true;
-
-    for (let row of rows) {
-      if (row.trim().match(/^[|\s-]+$/)) continue; // Skip separator rows
-
-      const cells = row.split('|').map(cell => cell.trim()).filter(cell => cell.length > 0);
-      if (cells.length === 0) continue;
-
-      html += '<tr>';
-      const tag = isFirstRow ? 'th' : 'td';
-      for (let cell of cells) {
-        html += `<${tag}>${cell}</${tag}>`;
-      }
-      html += '</tr>';
-      isFirstRow = false;
-    }
-
-    html += '</table></div>';
-    return html;
+    return MarkdownRenderer.render(content);
   }
 
   adjustInputHeight() {
@@ -866,6 +692,95 @@ class ChatManager {
   clearChat() {
     this.chatMessages.innerHTML = '';
     this.messageHistory = [];
+    this.fileChanges.cards.clear();
+    this.codeBlocks.blocks.clear();
+  }
+
+  loadLastConversationId() {
+    try {
+      return localStorage.getItem('lastConversationId');
+    } catch (error) {
+      console.warn('Failed to load last conversation:', error);
+      return null;
+    }
+  }
+
+  saveLastConversationId(id) {
+    try {
+      if (id) {
+        localStorage.setItem('lastConversationId', id);
+      } else {
+        localStorage.removeItem('lastConversationId');
+      }
+    } catch (error) {
+      console.warn('Failed to save last conversation:', error);
+    }
+  }
+
+  sendConversationMessage(message) {
+    if (this.isConnected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  openConversation(id) {
+    this.sendConversationMessage({ type: 'open_conversation', id });
+  }
+
+  newConversation() {
+    this.sendConversationMessage({ type: 'new_conversation' });
+  }
+
+  // Handle a conversation_opened message: redraw the chat from the saved messages
+  restoreConversation(message) {
+    this.clearChat();
+    this.conversationId = message.id;
+    this.saveLastConversationId(message.messages.length > 0 ? message.id : null);
+
+    const messages = message.messages;
+    messages.forEach((saved, index) => {
+      // The system prompt is the server's business
+      if (saved.role === 'system' && index === 0) return;
+
+      if (saved.role === 'user') {
+        // Content with images is a list of parts
+        const { text, typed, images } = ChatAttachments.fromContent(saved.content);
+        const bubble = this.addMessage(text, 'user');
+        if (bubble) bubble.rawContent = typed;
+        ChatAttachments.showImages(bubble, images);
+        this.messageActions.attach(bubble, saved);
+      } else if (saved.role === 'assistant' && saved.tool_calls?.length) {
+        // The response's usage goes on its text, or on the tool block when there is none
+        const hasText = saved.content && saved.content.trim();
+        if (hasText) {
+          const bubble = this.addMessage(saved.content, 'ai', ModelPicker.label(saved.model), saved.usage);
+          this.messageActions.attach(bubble, saved);
+        }
+        // addMessage appends on the next frame, so the tool block waits for it
+        requestAnimationFrame(() => this.restoreToolCalls(saved.tool_calls, messages, hasText ? null : saved.usage));
+      } else if (saved.role === 'assistant') {
+        const bubble = this.addMessage(saved.content, 'ai', ModelPicker.label(saved.model), saved.usage);
+        this.messageActions.attach(bubble, saved);
+      } else if (saved.role === 'system') {
+        this.addMessage(saved.content, 'system');
+      }
+    });
+  }
+
+  restoreToolCalls(toolCalls, messages, usage = null) {
+    const names = toolCalls.map(call => call.function?.name);
+    this.addToolUsageMessage({
+      content: names.length === 1 ? `Used ${names[0]} tool` : `Used ${names.length} tools: ${names.join(', ')}`,
+      tool_calls: toolCalls,
+      usage
+    });
+
+    toolCalls.forEach(call => {
+      const result = messages.find(saved => saved.role === 'tool' && saved.tool_call_id === call.id);
+      if (result) {
+        this.updateToolResult({ tool_call: call, tool_name: call.function?.name, result });
+      }
+    });
   }
 
   exportChat() {
@@ -896,6 +811,7 @@ class ChatManager {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'chat-message tool-usage';
     messageDiv.dataset.toolCallId = message.tool_calls?.[0]?.id || 'unknown';
+    messageDiv.dataset.toolCallIds = (message.tool_calls || []).map(call => call.id).join(' ');
 
     const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
@@ -904,7 +820,7 @@ class ChatManager {
     summaryDiv.className = 'tool-summary';
     summaryDiv.innerHTML = `
       <span class="tool-icon">🔧</span>
-      <span class="tool-text">${message.content}</span>
+      <span class="tool-text">${MarkdownRenderer.escape(message.content)}</span>
       <span class="tool-time">${timestamp}</span>
       <span class="expand-icon">▶</span>
     `;
@@ -913,10 +829,11 @@ class ChatManager {
     const detailsDiv = document.createElement('div');
     detailsDiv.className = 'tool-details hidden';
 
+    // Arguments come from the model, so they are escaped like any tool payload
     const toolCallsHtml = message.tool_calls.map(toolCall => `
       <div class="tool-call">
-        <strong>Tool:</strong> ${toolCall.function.name}<br>
-        <strong>Arguments:</strong> <pre>${JSON.stringify(JSON.parse(toolCall.function.arguments), null, 2)}</pre>
+        <strong>Tool:</strong> ${MarkdownRenderer.escape(toolCall.function.name)}<br>
+        <strong>Arguments:</strong> <pre>${MarkdownRenderer.escape(this.formatToolArguments(toolCall.function.arguments))}</pre>
       </div>
     `).join('');
 
@@ -924,11 +841,23 @@ class ChatManager {
       <div class="tool-calls">
         ${toolCallsHtml}
       </div>
-      <div class="tool-results" data-tool-id="${message.tool_calls?.[0]?.id}">
+      <div class="tool-results" data-tool-id="${MarkdownRenderer.escape(message.tool_calls?.[0]?.id)}">
         <em>Waiting for results...</em>
       </div>
     `;
 
+    // File tools get a button that opens their file in the viewer
+    detailsDiv.querySelectorAll('.tool-call').forEach((callDiv, index) => {
+      const path = this.toolCallPath(message.tool_calls[index]);
+      if (!path) return;
+
+      const openButton = document.createElement('button');
+      openButton.className = 'tool-open-file';
+      openButton.textContent = `Open ${path}`;
+      openButton.addEventListener('click', () => window.fileViewer?.open(path));
+      callDiv.appendChild(openButton);
+    });
+
     // Add click handler to toggle expanded view
     summaryDiv.addEventListener('click', () => {
       const isExpanded = !detailsDiv.classList.contains('hidden');
@@ -939,20 +868,54 @@ class ChatManager {
     messageDiv.appendChild(summaryDiv);
     messageDiv.appendChild(detailsDiv);
 
+    // Restored tool blocks bring their usage; a live one shows its response's
+    if (message.usage) {
+      UsageMeter.label(messageDiv, message.usage);
+    } else {
+      this.usageMeter.trackResponse(messageDiv);
+    }
+
     this.chatMessages.appendChild(messageDiv);
     this.ensureThinkingIndicatorAtBottom();
     this.scrollToBottom();
   }
 
+  formatToolArguments(argumentsJson) {
+    try {
+      return JSON.stringify(JSON.parse(argumentsJson), null, 2);
+    } catch (error) {
+      return argumentsJson || '';
+    }
+  }
+
+  // Path of the file a tool call works on, if there is one to open
+  toolCallPath(toolCall) {
+    if (['list_files', 'delete_file'].includes(toolCall.function.name)) return null;
+
+    try {
+      const args = JSON.parse(toolCall.function.arguments);
+      return typeof args.path === 'string' ? args.path : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   updateToolResult(message) {
     // Find the tool usage message with matching tool call ID
-    const toolUsageMessage = document.querySelector(`[data-tool-call-id="${message.tool_call?.id}"]`);
+    const toolUsageMessage = document.querySelector(`[data-tool-call-id="${CSS.escape(message.tool_call?.id || '')}"]`);
     if (toolUsageMessage) {
       const resultsDiv = toolUsageMessage.querySelector('.tool-results');
       if (resultsDiv) {
         try {
           const resultContent = JSON.parse(message.result.content);
 
+          // File edits get a diff card of their own, the result only needs its message
+          if (FILE_CHANGE_TOOLS.includes(message.tool_name) && resultContent.message) {
+            resultsDiv.innerHTML = '<strong>Result:</strong> <span class="result-summary"></span>';
+            resultsDiv.querySelector('.result-summary').textContent = resultContent.message;
+            return;
+          }
+
           // Format the result for better readability
           let displayContent = '';
           let fullContent = '';
@@ -987,8 +950,8 @@ class ChatManager {
 
           let resultHtml = `
             <strong>Result:</strong>
-            ${resultSummary ? `<div class="result-summary">${resultSummary}</div>` : ''}
-            <pre class="tool-result-content">${displayContent}</pre>
+            ${resultSummary ? `<div class="result-summary">${MarkdownRenderer.escape(resultSummary)}</div>` : ''}
+            <pre class="tool-result-content">${MarkdownRenderer.escape(displayContent)}</pre>
           `;
 
           if (isTruncated) {
@@ -1025,7 +988,7 @@ class ChatManager {
 
           let resultHtml = `
             <strong>Result:</strong>
-            <pre class="tool-result-content">${content}</pre>
+            <pre class="tool-result-content">${MarkdownRenderer.escape(content)}</pre>
           `;
 
           if (isTruncated) {
@@ -1114,6 +1077,18 @@ class ChatManager {
     this.addSystemMessage('AI execution stopped by user', 'stopped');
   }
 
+  // Called by the terminal manager whenever the active tab changes
+  linkTerminal(sessionId) {
+    this.linkedTerminalSessionId = sessionId;
+
+    if (this.isConnected) {
+      this.socket.send(JSON.stringify({
+        type: 'link_terminal',
+        session_id: sessionId
+      }));
+    }
+  }
+
   readTerminal() {
     if (!this.isConnected) {
       return;
@@ -1131,13 +1106,60 @@ class ChatManager {
     // No feedback - completely silent, AI will respond
   }
 
+  // Wrap text in a code fence longer than any backtick run inside it
+  formatQuote(text) {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    const body = text.endsWith('\n') ? text : `${text}\n`;
+    return `${fence}\n${body}${fence}`;
+  }
+
+  // Add a quoted block to the chat input, keeping anything already typed
+  quoteInInput(text, prompt = '') {
+    const quote = prompt ? `${prompt}\n\n${this.formatQuote(text)}` : this.formatQuote(text);
+    const existing = this.chatInput.value.replace(/\s+$/, '');
+
+    this.chatInput.value = existing ? `${existing}\n\n${quote}\n\n` : `${quote}\n\n`;
+    this.adjustInputHeight();
+
+    if (!this.chatInput.disabled) {
+      this.chatInput.focus();
+      this.chatInput.setSelectionRange(this.chatInput.value.length, this.chatInput.value.length);
+      this.chatInput.scrollTop = this.chatInput.scrollHeight;
+    }
+  }
+
+  // Send a quoted block with a question, or leave it in the input while the AI is busy
+  sendQuote(prompt, text) {
+    this.quoteInInput(text, prompt);
+
+    if (this.isConnected && !this.chatInput.disabled) {
+      this.sendMessage();
+    }
+  }
+
+  // Add a file as context for the next message
+  attachFile(path) {
+    this.attachments.addPath(path);
+  }
+
   // Override sendMessage to update status
   sendMessage() {
     const message = this.chatInput.value.trim();
-    if (!message || !this.isConnected) return;
+    if (!message) return;
+
+    // Commands run here instead of going to the AI
+    if (this.slashCommands.handle(message)) return;
+    if (!this.isConnected) return;
+
+    this.saveLastConversationId(this.conversationId);
+
+    const { attachments, note, images } = this.attachments.take();
 
     // Add user message to chat
-    this.addMessage(message, 'user');
+    const bubble = this.addMessage(note ? `${message}\n\n${note}` : message, 'user');
+    bubble.rawContent = message;
+    ChatAttachments.showImages(bubble, images);
     this.chatInput.value = '';
     this.adjustInputHeight();
 
@@ -1154,7 +1176,8 @@ class ChatManager {
     // Send message to WebSocket
     const messageData = {
       type: 'chat_message',
-      content: message
+      content: message,
+      attachments: attachments
     };
 
     this.socket.send(JSON.stringify(messageData));
@@ -1189,6 +1212,7 @@ class ChatManager {
           this.streamingContent = "";
           this.thinkingContent = "";
           this.pendingStreamModel = message.model;
+          this.usageMeter.startResponse();
           break;
 
         case 'stream_chunk':
@@ -1239,9 +1263,18 @@ class ChatManager {
           this.chatInput.focus();
           break;
 
-        case 'tool_usage':
+        case 'tool_usage': {
           this.updateAIStatus('working', `Using ${message.content}`);
-          this.addToolUsageMessage(message);
+
+          // Command suggestions get an approval card instead of the generic tool block
+          const toolCalls = message.tool_calls || [];
+          const suggestions = toolCalls.filter(call => call.function?.name === 'suggest_terminal_command');
+          suggestions.forEach(call => this.commandSuggestions.add(call));
+
+          const otherCalls = toolCalls.filter(call => !suggestions.includes(call));
+          if (otherCalls.length > 0 || toolCalls.length === 0) {
+            this.addToolUsageMessage({ ...message, tool_calls: otherCalls });
+          }
 
           // Set a timeout in case tool execution hangs or fails to report completion
           // Clear any existing tool timeout
@@ -1258,6 +1291,84 @@ class ChatManager {
             this.toolTimeout = null;
           }, 30000);
           break;
+        }
+
+        case 'permission_request':
+          // The tool call is paused until the user decides, so don't time it out
+          if (this.toolTimeout) {
+            clearTimeout(this.toolTimeout);
+            this.toolTimeout = null;
+          }
+          // A code block the user runs waits too, but the AI isn't busy
+          if (message.source !== 'user') {
+            this.updateAIStatus('working', 'Waiting for approval');
+          }
+          this.permissionDialog.request(message);
+          break;
+
+        case 'permission_expired':
+          this.permissionDialog.expire(message.id);
+          break;
+
+        case 'conversations':
+          this.conversations.update(message);
+          break;
+
+        case 'models':
+          this.modelPicker.updateModels(message);
+          break;
+
+        case 'llm_config':
+          this.modelPicker.updateConfig(message);
+          this.usageMeter.update(message.usage);
+          break;
+
+        case 'usage':
+          this.usageMeter.record(message);
+          break;
+
+        case 'tools':
+          this.slashCommands.showTools(message);
+          break;
+
+        case 'chat_summarized':
+          this.slashCommands.summarized(message);
+          break;
+
+        case 'message_saved':
+          this.messageActions.assignId(message);
+          break;
+
+        case 'conversation_opened':
+          this.usageMeter.reset();
+          this.restoreConversation(message);
+          this.conversations.refresh();
+          break;
+
+        case 'file_change':
+          this.fileChanges.add(message);
+          break;
+
+        case 'file_change_reverted':
+          this.fileChanges.updateRevert(message);
+          break;
+
+        case 'command_result':
+          this.commandSuggestions.updateResult(message);
+          this.codeBlocks.updateResult(message);
+          break;
+
+        case 'code_block_saved':
+          this.codeBlocks.updateSaved(message);
+          break;
+
+        case 'watch_status':
+          this.watch.updateStatus(message);
+          break;
+
+        case 'watch_event':
+          this.watch.addEvent(message);
+          break;
 
         case 'tool_result':
           this.updateToolResult(message);
@@ -1335,3 +1446,4 @@ document.addEventListener('DOMContentLoaded', () => {
 // Global functions for debugging
 window.clearChat = () => window.chatManager?.clearChat();
 window.exportChat = () => window.chatManager?.exportChat();
+window.benchmarkStreaming = (options) => StreamingRenderer.benchmark(options);
@@ -0,0 +1,200 @@
+// Code Blocks - a toolbar on every code block in the AI's answers
+//
+// Copy, Run in terminal (shell blocks only), Insert into the terminal without
+// pressing Enter, and Save as file. Running is terminal input like the AI's
+// own, so it goes through the same approval (the permission dialog, unless
+// the permission mode lets it through) before it runs like an approved command
+// suggestion, with its output under the block. Saving goes through the
+// server's create_file tool, so the chat gets a diff card that can revert it.
+
+// Languages that hold commands to run as they are. Console transcripts
+// (console, shell-session) mix prompts with sample output, so they can only be
+// copied or inserted.
+const SHELL_LANGUAGES = ['bash', 'sh', 'shell', 'zsh', 'fish'];
+
+// File extensions offered when saving a block, by highlight.js language name
+const CODE_BLOCK_EXTENSIONS = {
+  bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts',
+  python: 'py', py: 'py', elixir: 'ex', ruby: 'rb', go: 'go', rust: 'rs', json: 'json', yaml: 'yml',
+  yml: 'yml', html: 'html', css: 'css', sql: 'sql', dockerfile: 'Dockerfile', markdown: 'md', toml: 'toml'
+};
+
+class CodeBlocks {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.blocks = new Map(); // Block id -> wrapper, for results from the server
+    this.nextId = 1;
+  }
+
+  static language(code) {
+    const match = (code.getAttribute('class') || '').match(/language-([\w+#.-]+)/);
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  // Give every code block under root a toolbar; blocks that have one are skipped
+  attach(root) {
+    if (!root) return;
+
+    root.querySelectorAll('pre > code').forEach(code => {
+      const pre = code.parentElement;
+      if (pre.parentElement && pre.parentElement.classList.contains('code-block')) return;
+
+      const id = `codeblock_${this.nextId++}`;
+      const language = CodeBlocks.language(code);
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'code-block';
+      wrapper.dataset.blockId = id;
+      pre.replaceWith(wrapper);
+
+      const toolbar = document.createElement('div');
+      toolbar.className = 'code-block-toolbar';
+
+      const label = document.createElement('span');
+      label.className = 'code-block-language';
+      label.textContent = language || 'text';
+      toolbar.appendChild(label);
+
+      toolbar.appendChild(this.button('Copy', 'Copy to clipboard', (button) => this.copy(wrapper, button)));
+      if (SHELL_LANGUAGES.includes(language)) {
+        toolbar.appendChild(this.button('Run', 'Run in the active terminal', () => this.run(wrapper)));
+      }
+      toolbar.appendChild(this.button('Insert', 'Type into the active terminal without pressing Enter', () => this.insert(wrapper)));
+      toolbar.appendChild(this.button('Save as file…', 'Write to a file on the server', () => this.save(wrapper)));
+
+      const status = document.createElement('span');
+      status.className = 'code-block-status';
+      toolbar.appendChild(status);
+
+      const output = document.createElement('pre');
+      output.className = 'code-block-output hidden';
+
+      wrapper.append(toolbar, pre, output);
+      this.blocks.set(id, wrapper);
+    });
+  }
+
+  button(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'code-block-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+  }
+
+  text(wrapper) {
+    return wrapper.querySelector('pre > code').textContent;
+  }
+
+  setStatus(wrapper, status, text) {
+    const label = wrapper.querySelector('.code-block-status');
+    label.className = `code-block-status ${status}`;
+    label.textContent = text;
+  }
+
+  copy(wrapper, button) {
+    if (!navigator.clipboard) return;
+
+    navigator.clipboard.writeText(this.text(wrapper)).then(() => {
+      button.textContent = 'Copied';
+      setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }).catch(error => console.warn('Failed to copy code block:', error));
+  }
+
+  run(wrapper) {
+    const command = this.text(wrapper).trim();
+    if (!command) return;
+
+    if (!this.chat.isConnected) {
+      this.setStatus(wrapper, 'failed', 'Chat is disconnected - reconnect and try again');
+      return;
+    }
+
+    this.setStatus(wrapper, 'running', 'Waiting for approval...');
+    this.chat.sendConversationMessage({
+      type: 'run_code_block',
+      block_id: wrapper.dataset.blockId,
+      command,
+      session_id: this.chat.linkedTerminalSessionId
+    });
+  }
+
+  // Handle a command_result message; ones for suggestion cards aren't ours
+  updateResult(message) {
+    const wrapper = this.blocks.get(message.suggestion_id);
+    if (!wrapper) return;
+
+    switch (message.status) {
+      case 'sent':
+        this.setStatus(wrapper, 'running', 'Running in terminal...');
+        break;
+      case 'completed': {
+        this.setStatus(wrapper, 'completed', 'Ran in terminal');
+        const output = wrapper.querySelector('.code-block-output');
+        output.textContent = message.content || '(no output)';
+        output.classList.remove('hidden');
+        break;
+      }
+      case 'failed':
+        this.setStatus(wrapper, 'failed', `Failed: ${message.content}`);
+        break;
+    }
+  }
+
+  // The text lands at the prompt for the user to check and submit
+  insert(wrapper) {
+    const session = window.terminalManager?.activeSession;
+    if (!session) {
+      this.setStatus(wrapper, 'failed', 'No terminal is open');
+      return;
+    }
+
+    session.paste(this.text(wrapper).replace(/\n+$/, ''));
+    this.setStatus(wrapper, 'completed', 'Inserted into terminal');
+  }
+
+  save(wrapper) {
+    const language = CodeBlocks.language(wrapper.querySelector('pre > code'));
+    const extension = CODE_BLOCK_EXTENSIONS[language];
+    const suggestion = extension === 'Dockerfile' ? 'Dockerfile' : `untitled.${extension || 'txt'}`;
+
+    const path = prompt('Save code block as (relative to the terminal\'s directory):', wrapper.dataset.savedPath || suggestion);
+    if (!path || !path.trim()) return;
+
+    this.sendSave(wrapper, path.trim(), false);
+  }
+
+  sendSave(wrapper, path, overwrite) {
+    this.setStatus(wrapper, 'running', `Saving to ${path}...`);
+    this.chat.sendConversationMessage({
+      type: 'save_code_block',
+      block_id: wrapper.dataset.blockId,
+      path,
+      content: this.text(wrapper),
+      overwrite
+    });
+  }
+
+  // Handle a code_block_saved message from the server
+  updateSaved(message) {
+    const wrapper = this.blocks.get(message.block_id);
+    if (!wrapper) return;
+
+    switch (message.status) {
+      case 'exists':
+        if (confirm(`${message.path} already exists. Overwrite it?`)) {
+          this.sendSave(wrapper, message.path, true);
+        } else {
+          this.setStatus(wrapper, '', '');
+        }
+        break;
+      case 'saved':
+        wrapper.dataset.savedPath = message.path;
+        this.setStatus(wrapper, 'completed', `Saved to ${message.path}`);
+        break;
+      default:
+        this.setStatus(wrapper, 'failed', `Save failed: ${message.content}`);
+    }
+  }
+}
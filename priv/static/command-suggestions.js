@@ -0,0 +1,199 @@
+// Command Suggestions - approval cards for suggest_terminal_command
+//
+// The AI proposes a command with a reason; nothing runs until the user presses
+// Run. The approved (or edited) command is sent over the chat socket as a
+// run_command message and runs in the terminal tab linked to the chat.
+class CommandSuggestions {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.cards = new Map(); // suggestion id (tool call id) -> card element
+  }
+
+  // Render a card for one suggest_terminal_command tool call
+  add(toolCall) {
+    let args = {};
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      console.warn('Invalid command suggestion arguments:', error);
+    }
+
+    const id = toolCall.id || `suggestion_${Date.now()}`;
+    const command = args.command || '';
+    const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const card = document.createElement('div');
+    card.className = 'chat-message command-suggestion';
+    card.dataset.suggestionId = id;
+    card.innerHTML = `
+      <div class="command-suggestion-header">
+        <span class="tool-icon">💡</span>
+        <span class="tool-text">Suggested command</span>
+        <span class="tool-time">${timestamp}</span>
+      </div>
+      <div class="command-suggestion-reason"></div>
+      <pre class="command-suggestion-command"><code></code></pre>
+      <textarea class="command-suggestion-editor hidden" rows="1" spellcheck="false"></textarea>
+      <div class="command-suggestion-actions">
+        <button class="command-suggestion-btn primary" data-action="run" title="Run in the active terminal">Run</button>
+        <button class="command-suggestion-btn" data-action="edit" title="Edit before running">Edit</button>
+        <button class="command-suggestion-btn" data-action="copy" title="Copy to clipboard">Copy</button>
+        <button class="command-suggestion-btn" data-action="dismiss" title="Don't run this command">Dismiss</button>
+      </div>
+      <div class="command-suggestion-status hidden"></div>
+      <pre class="command-suggestion-output hidden"></pre>
+    `;
+
+    card.querySelector('.command-suggestion-reason').textContent = args.reason || '';
+    card.querySelector('.command-suggestion-command code').textContent = command;
+    card.querySelector('.command-suggestion-editor').value = command;
+
+    card.querySelectorAll('.command-suggestion-btn').forEach(button => {
+      button.addEventListener('click', () => this.handleAction(card, button.dataset.action));
+    });
+
+    const editor = card.querySelector('.command-suggestion-editor');
+    editor.addEventListener('input', () => this.resizeEditor(editor));
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.handleAction(card, 'run');
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.stopEditing(card);
+      }
+    });
+
+    this.cards.set(id, card);
+    this.chat.chatMessages.appendChild(card);
+    this.chat.ensureThinkingIndicatorAtBottom();
+    this.chat.scrollToBottom();
+  }
+
+  handleAction(card, action) {
+    switch (action) {
+      case 'run':
+        this.run(card);
+        break;
+      case 'edit':
+        card.classList.contains('editing') ? this.stopEditing(card) : this.startEditing(card);
+        break;
+      case 'copy':
+        this.copy(card);
+        break;
+      case 'dismiss':
+        this.finish(card, 'dismissed', 'Dismissed');
+        break;
+    }
+  }
+
+  // The command as it will run: the editor's text while editing, otherwise the suggestion
+  getCommand(card) {
+    if (card.classList.contains('editing')) {
+      return card.querySelector('.command-suggestion-editor').value.trim();
+    }
+    return card.querySelector('.command-suggestion-command code').textContent.trim();
+  }
+
+  startEditing(card) {
+    const editor = card.querySelector('.command-suggestion-editor');
+    card.classList.add('editing');
+    card.querySelector('.command-suggestion-command').classList.add('hidden');
+    editor.classList.remove('hidden');
+    card.querySelector('[data-action="edit"]').textContent = 'Cancel edit';
+    card.querySelector('[data-action="run"]').textContent = 'Run edited';
+
+    this.resizeEditor(editor);
+    editor.focus();
+    editor.setSelectionRange(editor.value.length, editor.value.length);
+  }
+
+  stopEditing(card) {
+    const editor = card.querySelector('.command-suggestion-editor');
+    card.classList.remove('editing');
+    editor.classList.add('hidden');
+    editor.value = card.querySelector('.command-suggestion-command code').textContent;
+    card.querySelector('.command-suggestion-command').classList.remove('hidden');
+    card.querySelector('[data-action="edit"]').textContent = 'Edit';
+    card.querySelector('[data-action="run"]').textContent = 'Run';
+  }
+
+  resizeEditor(editor) {
+    editor.style.height = 'auto';
+    editor.style.height = `${Math.min(editor.scrollHeight, 160)}px`;
+  }
+
+  copy(card) {
+    const command = this.getCommand(card);
+    if (!navigator.clipboard) return;
+
+    navigator.clipboard.writeText(command).then(() => {
+      const button = card.querySelector('[data-action="copy"]');
+      button.textContent = 'Copied';
+      setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }).catch(error => console.warn('Failed to copy command:', error));
+  }
+
+  run(card) {
+    const command = this.getCommand(card);
+    if (!command) return;
+
+    if (!this.chat.isConnected) {
+      this.setStatus(card, 'failed', 'Chat is disconnected - reconnect and try again');
+      return;
+    }
+
+    // Show the command that actually ran, edited or not
+    card.querySelector('.command-suggestion-command code').textContent = command;
+    if (card.classList.contains('editing')) {
+      this.stopEditing(card);
+    }
+
+    card.classList.add('resolved');
+    this.setStatus(card, 'running', 'Sending to terminal...');
+
+    this.chat.socket.send(JSON.stringify({
+      type: 'run_command',
+      suggestion_id: card.dataset.suggestionId,
+      command: command,
+      session_id: this.chat.linkedTerminalSessionId
+    }));
+  }
+
+  // Handle a command_result message from the server
+  updateResult(message) {
+    const card = this.cards.get(message.suggestion_id);
+    if (!card) return;
+
+    switch (message.status) {
+      case 'sent':
+        this.setStatus(card, 'running', 'Running in terminal...');
+        break;
+      case 'completed': {
+        this.setStatus(card, 'completed', 'Ran in terminal');
+        const output = card.querySelector('.command-suggestion-output');
+        output.textContent = message.content || '(no output)';
+        output.classList.remove('hidden');
+        this.chat.scrollToBottom();
+        break;
+      }
+      case 'failed':
+        // Let the user try again
+        card.classList.remove('resolved');
+        this.setStatus(card, 'failed', `Failed: ${message.content}`);
+        break;
+    }
+  }
+
+  finish(card, status, text) {
+    card.classList.add('resolved');
+    this.setStatus(card, status, text);
+  }
+
+  setStatus(card, status, text) {
+    const label = card.querySelector('.command-suggestion-status');
+    label.className = `command-suggestion-status ${status}`;
+    label.textContent = text;
+    card.dataset.status = status;
+  }
+}
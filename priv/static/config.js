@@ -0,0 +1,94 @@
+// Client Configuration - websocket endpoints for the terminal and chat
+//
+// URLs are derived from the page location, so the UI works on any host, port,
+// behind a reverse proxy sub-path and over HTTPS (wss://). They can be
+// overridden, in order of precedence, by:
+//   1. query parameters: ?terminal_ws=...&chat_ws=... or ?ws_base=...
+//   2. meta tags: <meta name="exterm-terminal-ws">, <meta name="exterm-chat-ws">
+//      or <meta name="exterm-ws-base"> (the server fills these from EXTERM_WS_URL)
+// Meta tag values may be absolute (wss://host/path) or relative to the page.
+// Query parameters must stay on the page's own origin: anyone can send a link,
+// and a socket on another host would receive everything typed in the shell.
+class EndpointConfig {
+  constructor() {
+    this.endpoints = {
+      terminal: { path: 'ws', param: 'terminal_ws', meta: 'exterm-terminal-ws' },
+      chat: { path: 'chat_ws', param: 'chat_ws', meta: 'exterm-chat-ws' }
+    };
+    this.queryParams = new URLSearchParams(window.location.search);
+  }
+
+  // Full websocket URL for 'terminal' or 'chat'
+  websocketUrl(name) {
+    const endpoint = this.endpoints[name];
+    if (!endpoint) {
+      throw new Error(`Unknown websocket endpoint: ${name}`);
+    }
+
+    // A specific override for this endpoint wins
+    const override = this.getParam(endpoint.param) || this.getMeta(endpoint.meta);
+    if (override) {
+      return this.toWebSocketUrl(override);
+    }
+
+    // Otherwise resolve the endpoint path against the configured base or the page itself
+    const base = this.getParam('ws_base') || this.getMeta('exterm-ws-base');
+    if (base) {
+      const baseUrl = this.toWebSocketUrl(base.endsWith('/') ? base : `${base}/`);
+      return new URL(endpoint.path, baseUrl).toString();
+    }
+
+    // Relative to the page directory, so a proxy sub-path like /exterm/ is kept
+    return this.toWebSocketUrl(endpoint.path);
+  }
+
+  // HTTP URL for a backend API path, relative to the page so proxy sub-paths are kept
+  apiUrl(path, params = {}) {
+    const url = new URL(path.replace(/^\//, ''), window.location.href);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        url.searchParams.set(key, value);
+      }
+    });
+    return url.toString();
+  }
+
+  // A query parameter override, if it points at the page's own origin
+  getParam(name) {
+    const value = this.queryParams.get(name);
+    if (!value || value.trim() === '') return null;
+
+    try {
+      const url = new URL(this.toWebSocketUrl(value.trim()));
+      const page = new URL(this.toWebSocketUrl(window.location.href));
+      if (url.protocol === page.protocol && url.host === page.host) return value.trim();
+    } catch (error) {
+      // Not a URL; ignored below
+    }
+
+    console.warn(`Ignoring ?${name}=${value}: only same-origin websocket URLs can be set in the address`);
+    return null;
+  }
+
+  getMeta(name) {
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    const content = meta ? meta.getAttribute('content') : null;
+    return content && content.trim() !== '' ? content.trim() : null;
+  }
+
+  // Resolve a URL against the page and switch http(s) to ws(s)
+  toWebSocketUrl(value) {
+    const url = new URL(value, window.location.href);
+
+    if (url.protocol === 'https:') {
+      url.protocol = 'wss:';
+    } else if (url.protocol === 'http:') {
+      url.protocol = 'ws:';
+    }
+
+    return url.toString();
+  }
+}
+
+// Created immediately so terminal.js and chat.js can use it while loading
+window.extermConfig = new EndpointConfig();
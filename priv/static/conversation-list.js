@@ -0,0 +1,194 @@
+// Conversation List - saved chats in a sidebar over the chat panel
+//
+// The server saves every conversation (see Exterm.ConversationStore). The
+// sidebar lists them for reopening, renaming, deleting and searching; the
+// search runs on the server over titles and message text.
+class ConversationList {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.conversations = [];
+    this.searchTimer = null;
+
+    this.createSidebar();
+  }
+
+  createSidebar() {
+    this.sidebar = document.createElement('div');
+    this.sidebar.className = 'conversation-sidebar';
+    this.sidebar.innerHTML = `
+      <div class="conversation-sidebar-header">
+        <input class="conversation-search" type="text" placeholder="Search chats" spellcheck="false">
+        <button class="conversation-btn" data-action="new" title="Start a new chat">+ New</button>
+        <button class="conversation-btn" data-action="close" title="Close">×</button>
+      </div>
+      <div class="conversation-items"></div>
+    `;
+
+    this.searchInput = this.sidebar.querySelector('.conversation-search');
+    this.items = this.sidebar.querySelector('.conversation-items');
+
+    this.sidebar.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+    this.sidebar.querySelector('[data-action="new"]').addEventListener('click', () => {
+      this.chat.newConversation();
+      this.close();
+    });
+
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.refresh(), 200);
+    });
+    this.sidebar.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    });
+
+    document.getElementById('chat-container').appendChild(this.sidebar);
+
+    this.toggleButton = document.getElementById('chat-history-btn');
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => this.toggle());
+    }
+  }
+
+  get isOpen() {
+    return this.sidebar.classList.contains('open');
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.sidebar.classList.add('open');
+    this.searchInput.focus();
+    this.refresh();
+  }
+
+  close() {
+    this.sidebar.classList.remove('open');
+  }
+
+  refresh() {
+    this.chat.sendConversationMessage({ type: 'list_conversations', query: this.searchInput.value.trim() || null });
+  }
+
+  // Handle a conversations message from the server
+  update(message) {
+    this.chat.conversationId = message.current_id;
+    // A list for a query the user has since changed is stale
+    if ((message.query || '') !== this.searchInput.value.trim()) return;
+
+    this.conversations = message.conversations || [];
+    this.render();
+  }
+
+  render() {
+    this.items.innerHTML = '';
+
+    if (this.conversations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'conversation-empty';
+      empty.textContent = this.searchInput.value.trim() ? 'No chats match' : 'No saved chats yet';
+      this.items.appendChild(empty);
+      return;
+    }
+
+    this.conversations.forEach(conversation => {
+      const item = document.createElement('div');
+      item.className = 'conversation-item';
+      item.classList.toggle('active', conversation.id === this.chat.conversationId);
+
+      const title = document.createElement('div');
+      title.className = 'conversation-title';
+      title.textContent = conversation.title || 'New chat';
+      title.title = conversation.title || '';
+
+      const meta = document.createElement('div');
+      meta.className = 'conversation-meta';
+      meta.textContent = `${this.formatDate(conversation.updated_at)} · ${conversation.message_count} messages`;
+
+      const actions = document.createElement('div');
+      actions.className = 'conversation-actions';
+      actions.innerHTML = `
+        <button class="conversation-btn" data-action="rename" title="Rename">✎</button>
+        <button class="conversation-btn" data-action="delete" title="Delete">🗑</button>
+      `;
+
+      actions.querySelector('[data-action="rename"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.rename(conversation, title);
+      });
+      actions.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.delete(conversation);
+      });
+
+      item.appendChild(title);
+      item.appendChild(meta);
+      item.appendChild(actions);
+      item.addEventListener('click', () => {
+        this.chat.openConversation(conversation.id);
+        this.close();
+      });
+
+      this.items.appendChild(item);
+    });
+  }
+
+  // Edit the title in place; Enter saves, Escape cancels
+  rename(conversation, titleElement) {
+    const input = document.createElement('input');
+    input.className = 'conversation-rename';
+    input.value = conversation.title || '';
+    titleElement.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+
+      const title = input.value.trim();
+      if (save && title && title !== conversation.title) {
+        this.chat.sendConversationMessage({ type: 'rename_conversation', id: conversation.id, title });
+      } else {
+        input.replaceWith(titleElement);
+      }
+    };
+
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  delete(conversation) {
+    if (!confirm(`Delete "${conversation.title || 'New chat'}"? This can't be undone.`)) return;
+    this.chat.sendConversationMessage({ type: 'delete_conversation', id: conversation.id });
+  }
+
+  formatDate(timestamp) {
+    if (!timestamp) return '';
+
+    const date = new Date(timestamp);
+    const today = new Date();
+    return date.toDateString() === today.toDateString()
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString();
+  }
+}
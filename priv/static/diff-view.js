@@ -0,0 +1,150 @@
+// Diff View - render unified diffs, inline or side by side, with syntax highlighting
+//
+// Text is escaped (or highlighted by highlight.js, which escapes) before it is
+// inserted, so file contents can't inject markup.
+
+// highlight.js language for a file path, or null when it has none
+function diffLanguage(path) {
+  if (!path || typeof hljs === 'undefined') return null;
+  const extension = path.split('/').pop().split('.').pop().toLowerCase();
+  return hljs.getLanguage(extension) ? extension : null;
+}
+
+// Split a unified diff into typed lines with their old and new line numbers
+function parseUnifiedDiff(diff) {
+  const lines = [];
+  let oldNo = 0;
+  let newNo = 0;
+  let inHunks = false;
+
+  diff.replace(/\n$/, '').split('\n').forEach(raw => {
+    // File headers come before the first hunk; inside one, "---" is a removed "--"
+    if (!inHunks && !raw.startsWith('@@')) {
+      lines.push({ type: 'file', text: raw });
+    } else if (raw.startsWith('@@')) {
+      inHunks = true;
+      const match = raw.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (match) {
+        oldNo = parseInt(match[1], 10);
+        newNo = parseInt(match[2], 10);
+      }
+      lines.push({ type: 'hunk', text: raw });
+    } else if (raw.startsWith('+')) {
+      lines.push({ type: 'added', text: raw.slice(1), newNo: newNo++ });
+    } else if (raw.startsWith('-')) {
+      lines.push({ type: 'removed', text: raw.slice(1), oldNo: oldNo++ });
+    } else {
+      lines.push({ type: 'context', text: raw.slice(1), oldNo: oldNo++, newNo: newNo++ });
+    }
+  });
+
+  return lines;
+}
+
+function highlightDiffCode(text, language) {
+  if (language) {
+    try {
+      return hljs.highlight(text, { language, ignoreIllegals: true }).value;
+    } catch (error) {
+      // Fall back to plain text
+    }
+  }
+
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function diffCell(className, html = '') {
+  const cell = document.createElement('span');
+  cell.className = className;
+  cell.innerHTML = html;
+  return cell;
+}
+
+function emptyDiffView(className) {
+  const pre = document.createElement('pre');
+  pre.className = `${className} empty`;
+  pre.textContent = 'No changes';
+  return pre;
+}
+
+// One column, removed and added lines interleaved
+function renderUnifiedDiff(diff, { language = null } = {}) {
+  if (!diff) return emptyDiffView('diff-view');
+
+  const pre = document.createElement('pre');
+  pre.className = 'diff-view';
+
+  parseUnifiedDiff(diff).forEach(line => {
+    const row = document.createElement('span');
+    row.className = `diff-line diff-${line.type}`;
+
+    if (line.type === 'file' || line.type === 'hunk') {
+      row.textContent = line.text;
+    } else {
+      const sign = { added: '+', removed: '-', context: ' ' }[line.type];
+      row.appendChild(diffCell('diff-num', line.oldNo ?? ''));
+      row.appendChild(diffCell('diff-num', line.newNo ?? ''));
+      row.appendChild(diffCell('diff-sign', sign));
+      row.appendChild(diffCell('diff-code', highlightDiffCode(line.text, language)));
+    }
+
+    pre.appendChild(row);
+  });
+
+  return pre;
+}
+
+// Two columns, old on the left and new on the right
+function renderSplitDiff(diff, { language = null } = {}) {
+  if (!diff) return emptyDiffView('diff-view diff-split');
+
+  const pre = document.createElement('pre');
+  pre.className = 'diff-view diff-split';
+
+  // The left side shows old line numbers, the right side new ones
+  const addRow = (left, right) => {
+    [[left, 'oldNo'], [right, 'newNo']].forEach(([side, numberKey]) => {
+      if (!side) {
+        pre.appendChild(diffCell('diff-num diff-blank'));
+        pre.appendChild(diffCell('diff-code diff-blank'));
+        return;
+      }
+      pre.appendChild(diffCell(`diff-num diff-${side.type}`, side[numberKey] ?? ''));
+      pre.appendChild(diffCell(`diff-code diff-${side.type}`, highlightDiffCode(side.text, language)));
+    });
+  };
+
+  // Removed lines are paired with the added lines that follow them
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      addRow(removed[i], added[i]);
+    }
+    removed = [];
+    added = [];
+  };
+
+  parseUnifiedDiff(diff).forEach(line => {
+    if (line.type === 'removed') {
+      if (added.length > 0) flush();
+      removed.push(line);
+    } else if (line.type === 'added') {
+      added.push(line);
+    } else {
+      flush();
+      if (line.type === 'hunk') {
+        const header = diffCell('diff-line diff-hunk diff-full-row');
+        header.textContent = line.text;
+        pre.appendChild(header);
+      } else if (line.type === 'context') {
+        addRow(line, line);
+      }
+    }
+  });
+  flush();
+
+  return pre;
+}
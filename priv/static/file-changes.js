@@ -0,0 +1,175 @@
+// File Changes - a diff card for every file the AI changes, with one-click revert
+//
+// The server snapshots the file around each file tool call and sends a
+// file_change message with the diff. Revert asks the server to restore the
+// snapshot; if the file changed again since, the user is asked before
+// overwriting the newer content.
+
+// Tools whose results are shown as a diff card instead of raw JSON
+const FILE_CHANGE_TOOLS = [
+  'create_file',
+  'update_file',
+  'append_to_file',
+  'delete_file',
+  'edit_lines',
+  'find_and_replace_in_file'
+];
+
+class FileChangeCards {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.cards = new Map(); // change id -> { card, message }
+    this.viewMode = this.loadViewMode();
+  }
+
+  loadViewMode() {
+    try {
+      return localStorage.getItem('diffViewMode') === 'split' ? 'split' : 'unified';
+    } catch (error) {
+      console.warn('Failed to load diff view mode:', error);
+      return 'unified';
+    }
+  }
+
+  saveViewMode() {
+    try {
+      localStorage.setItem('diffViewMode', this.viewMode);
+    } catch (error) {
+      console.warn('Failed to save diff view mode:', error);
+    }
+  }
+
+  // Handle a file_change message from the server
+  add(message) {
+    const card = document.createElement('div');
+    card.className = 'chat-message file-change';
+    card.dataset.changeId = message.change_id;
+
+    const label = message.created ? 'created' : message.deleted ? 'deleted' : 'edited';
+    card.innerHTML = `
+      <div class="file-change-header">
+        <span class="tool-icon">📝</span>
+        <span class="file-change-path" title="Open in the file viewer"></span>
+        <span class="file-change-label">${label}</span>
+        <span class="file-change-stats">
+          <span class="added">+${message.added}</span>
+          <span class="removed">−${message.removed}</span>
+        </span>
+        <button class="file-change-btn" data-action="view"></button>
+        <button class="file-change-btn" data-action="revert" title="Restore the content from before this change">Revert</button>
+        <button class="file-change-btn" data-action="collapse" title="Hide diff">▼</button>
+      </div>
+      <div class="file-change-status"></div>
+      <div class="file-change-body"></div>
+    `;
+
+    const path = card.querySelector('.file-change-path');
+    path.textContent = message.path;
+    path.addEventListener('click', () => {
+      if (window.fileViewer && !message.deleted) {
+        window.fileViewer.open(message.path);
+      }
+    });
+
+    card.querySelector('[data-action="view"]').addEventListener('click', () => {
+      this.viewMode = this.viewMode === 'split' ? 'unified' : 'split';
+      this.saveViewMode();
+      this.cards.forEach(entry => this.renderDiff(entry.card, entry.message));
+    });
+    card.querySelector('[data-action="revert"]').addEventListener('click', () => this.revert(card));
+    card.querySelector('[data-action="collapse"]').addEventListener('click', (e) => {
+      const collapsed = card.classList.toggle('collapsed');
+      e.target.textContent = collapsed ? '▶' : '▼';
+      e.target.title = collapsed ? 'Show diff' : 'Hide diff';
+    });
+
+    this.cards.set(message.change_id, { card, message });
+    this.renderDiff(card, message);
+    this.insert(card, message.tool_call_id);
+  }
+
+  renderDiff(card, message) {
+    const body = card.querySelector('.file-change-body');
+    const options = { language: diffLanguage(message.path) };
+
+    body.innerHTML = '';
+    body.appendChild(this.viewMode === 'split'
+      ? renderSplitDiff(message.diff, options)
+      : renderUnifiedDiff(message.diff, options));
+
+    card.querySelector('[data-action="view"]').textContent = this.viewMode === 'split' ? 'Unified' : 'Split';
+  }
+
+  // Place the card under the tool block that made the change, after earlier cards for it
+  insert(card, toolCallId) {
+    const toolMessage = toolCallId
+      ? this.chat.chatMessages.querySelector(`[data-tool-call-ids~="${CSS.escape(toolCallId)}"]`)
+      : null;
+
+    if (toolMessage) {
+      let anchor = toolMessage;
+      while (anchor.nextElementSibling && anchor.nextElementSibling.classList.contains('file-change')) {
+        anchor = anchor.nextElementSibling;
+      }
+      anchor.after(card);
+    } else {
+      this.chat.chatMessages.appendChild(card);
+    }
+
+    this.chat.ensureThinkingIndicatorAtBottom();
+    this.chat.scrollToBottom();
+  }
+
+  revert(card, force = false) {
+    if (!this.chat.isConnected) {
+      this.setStatus(card, 'failed', 'Chat is disconnected - reconnect and try again');
+      return;
+    }
+
+    const button = card.querySelector('[data-action="revert"]');
+    button.disabled = true;
+    button.textContent = 'Reverting...';
+
+    this.chat.socket.send(JSON.stringify({
+      type: 'revert_file_change',
+      change_id: card.dataset.changeId,
+      force: force
+    }));
+  }
+
+  // Handle a file_change_reverted message from the server
+  updateRevert(message) {
+    const entry = this.cards.get(message.change_id);
+    if (!entry) return;
+
+    const { card } = entry;
+    const button = card.querySelector('[data-action="revert"]');
+
+    switch (message.status) {
+      case 'reverted':
+        card.classList.add('reverted');
+        button.remove();
+        this.setStatus(card, 'reverted', 'Reverted - the file is back to its previous content');
+        break;
+
+      case 'conflict':
+        button.disabled = false;
+        button.textContent = 'Revert';
+        if (confirm(`${entry.message.path} was modified after this change. Revert anyway and lose the newer changes?`)) {
+          this.revert(card, true);
+        }
+        break;
+
+      default:
+        button.disabled = false;
+        button.textContent = 'Revert';
+        this.setStatus(card, 'failed', `Revert failed: ${message.error}`);
+    }
+  }
+
+  setStatus(card, status, text) {
+    const label = card.querySelector('.file-change-status');
+    label.className = `file-change-status ${status}`;
+    label.textContent = text;
+  }
+}
@@ -0,0 +1,375 @@
+// File Explorer - lazily expanding file tree in the left panel
+//
+// Directories are listed through /api/files/list (the same listing the AI's
+// list_files tool returns) when they are first expanded. The root is the
+// working directory of the active terminal; refresh follows it after a cd.
+class FileExplorer {
+  constructor() {
+    this.rootPath = null;
+    this.children = new Map(); // directory path -> entries, for loaded directories
+    this.expanded = new Set(); // expanded directory paths
+    this.selectedPath = null;
+    this.filter = '';
+    this.showHidden = this.loadShowHidden();
+    this.menuEntry = null;
+
+    this.actions = [
+      { id: 'open', label: 'Open', files: true, run: (entry) => this.openFile(entry) },
+      { id: 'attach', label: 'Attach to chat', files: true, run: (entry) => this.attachToChat(entry) },
+      { id: 'refresh', label: 'Refresh', directories: true, run: (entry) => this.reloadDirectory(entry.path) },
+      { id: 'copy-path', label: 'Copy path', files: true, directories: true, run: (entry) => this.copyPath(entry) }
+    ];
+
+    this.createExplorer();
+    this.createMenu();
+    this.refresh();
+  }
+
+  loadShowHidden() {
+    try {
+      return localStorage.getItem('explorerShowHidden') === 'true';
+    } catch (error) {
+      console.warn('Failed to load explorer settings:', error);
+      return false;
+    }
+  }
+
+  saveShowHidden() {
+    try {
+      localStorage.setItem('explorerShowHidden', String(this.showHidden));
+    } catch (error) {
+      console.warn('Failed to save explorer settings:', error);
+    }
+  }
+
+  createExplorer() {
+    this.section = document.createElement('div');
+    this.section.className = 'explorer-section file-explorer';
+    this.section.innerHTML = `
+      <div class="explorer-title file-explorer-title">
+        <span class="file-explorer-root">Files</span>
+        <div class="file-explorer-actions">
+          <button class="file-explorer-btn" data-action="hidden" title="Show hidden files">.*</button>
+          <button class="file-explorer-btn" data-action="collapse" title="Collapse all">⊟</button>
+          <button class="file-explorer-btn" data-action="refresh" title="Refresh (follows the active terminal's directory)">⟳</button>
+        </div>
+      </div>
+      <input class="file-explorer-filter" type="text" placeholder="Filter loaded files" spellcheck="false">
+      <div class="file-explorer-status"></div>
+      <div class="file-explorer-tree" role="tree" tabindex="0"></div>
+    `;
+
+    this.rootLabel = this.section.querySelector('.file-explorer-root');
+    this.filterInput = this.section.querySelector('.file-explorer-filter');
+    this.status = this.section.querySelector('.file-explorer-status');
+    this.tree = this.section.querySelector('.file-explorer-tree');
+    this.hiddenButton = this.section.querySelector('[data-action="hidden"]');
+    this.hiddenButton.classList.toggle('active', this.showHidden);
+
+    this.section.querySelector('[data-action="refresh"]').addEventListener('click', () => this.refresh());
+    this.section.querySelector('[data-action="collapse"]').addEventListener('click', () => {
+      this.expanded.clear();
+      this.render();
+    });
+    this.hiddenButton.addEventListener('click', () => {
+      this.showHidden = !this.showHidden;
+      this.hiddenButton.classList.toggle('active', this.showHidden);
+      this.saveShowHidden();
+      this.refresh();
+    });
+
+    this.filterInput.addEventListener('input', () => {
+      this.filter = this.filterInput.value.trim().toLowerCase();
+      this.render();
+    });
+    this.filterInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.filterInput.value = '';
+        this.filter = '';
+        this.render();
+      }
+    });
+
+    this.tree.addEventListener('click', (e) => {
+      const row = e.target.closest('.file-tree-row');
+      if (row) this.activate(this.entryFor(row));
+    });
+    this.tree.addEventListener('contextmenu', (e) => {
+      const row = e.target.closest('.file-tree-row');
+      if (!row) return;
+
+      e.preventDefault();
+      const entry = this.entryFor(row);
+      this.select(entry.path);
+      this.openMenu(e.clientX, e.clientY, entry);
+    });
+    this.tree.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    document.querySelector('#left-panel .panel-content').appendChild(this.section);
+  }
+
+  // Reuses the look of the terminal context menu
+  createMenu() {
+    this.menu = document.createElement('div');
+    this.menu.className = 'terminal-context-menu file-explorer-menu';
+    this.menu.innerHTML = this.actions.map(action => `
+      <button class="terminal-context-menu-item" data-action="${action.id}">
+        <span>${action.label}</span>
+      </button>
+    `).join('');
+
+    this.menu.querySelectorAll('.terminal-context-menu-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const action = this.actions.find(a => a.id === item.dataset.action);
+        const entry = this.menuEntry;
+        this.closeMenu();
+        action.run(entry);
+      });
+    });
+
+    document.addEventListener('mousedown', (e) => {
+      if (!this.menu.contains(e.target)) this.closeMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeMenu();
+    });
+    window.addEventListener('blur', () => this.closeMenu());
+
+    document.body.appendChild(this.menu);
+  }
+
+  openMenu(x, y, entry) {
+    this.menuEntry = entry;
+    const isDirectory = entry.type === 'directory';
+
+    this.menu.querySelectorAll('.terminal-context-menu-item').forEach(item => {
+      const action = this.actions.find(a => a.id === item.dataset.action);
+      item.style.display = (isDirectory ? action.directories : action.files) ? '' : 'none';
+    });
+
+    this.menu.classList.add('open');
+    const rect = this.menu.getBoundingClientRect();
+    this.menu.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+    this.menu.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`;
+  }
+
+  closeMenu() {
+    this.menu.classList.remove('open');
+    this.menuEntry = null;
+  }
+
+  async fetchDirectory(path) {
+    const session = window.terminalManager?.activeSession?.token || null;
+    const response = await fetch(window.extermConfig.apiUrl('api/files/list', {
+      path,
+      session,
+      show_hidden: this.showHidden
+    }));
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || `Failed to list ${path || 'directory'}`);
+    }
+    return result;
+  }
+
+  // Re-read the root and every expanded directory
+  async refresh() {
+    this.showStatus('Loading...');
+
+    try {
+      const root = await this.fetchDirectory(null);
+      if (root.path !== this.rootPath) {
+        this.expanded.clear();
+      }
+
+      this.rootPath = root.path;
+      this.rootLabel.textContent = root.path.split('/').filter(Boolean).pop() || '/';
+      this.rootLabel.title = root.path;
+
+      this.children.clear();
+      this.children.set(root.path, root.files);
+
+      // Keep directories that still exist open
+      for (const path of [...this.expanded]) {
+        try {
+          this.children.set(path, (await this.fetchDirectory(path)).files);
+        } catch (error) {
+          this.expanded.delete(path);
+        }
+      }
+
+      this.showStatus('');
+      this.render();
+    } catch (error) {
+      console.warn('Failed to load file tree:', error);
+      this.showStatus(error.message, true);
+    }
+  }
+
+  async reloadDirectory(path) {
+    if (path === this.rootPath) return this.refresh();
+
+    try {
+      this.children.set(path, (await this.fetchDirectory(path)).files);
+      this.expanded.add(path);
+      this.render();
+    } catch (error) {
+      this.showStatus(error.message, true);
+    }
+  }
+
+  async toggleDirectory(entry) {
+    if (this.expanded.has(entry.path)) {
+      this.expanded.delete(entry.path);
+      this.render();
+      return;
+    }
+
+    if (!this.children.has(entry.path)) {
+      await this.reloadDirectory(entry.path);
+    } else {
+      this.expanded.add(entry.path);
+      this.render();
+    }
+  }
+
+  activate(entry) {
+    this.select(entry.path);
+
+    if (entry.type === 'directory') {
+      this.toggleDirectory(entry);
+    } else {
+      this.openFile(entry);
+    }
+  }
+
+  select(path) {
+    this.selectedPath = path;
+    this.tree.querySelectorAll('.file-tree-row').forEach(row => {
+      row.classList.toggle('selected', row.dataset.path === path);
+    });
+  }
+
+  openFile(entry) {
+    if (window.fileViewer) {
+      window.fileViewer.open(entry.path);
+    }
+  }
+
+  attachToChat(entry) {
+    if (window.chatManager) {
+      window.chatManager.attachFile(entry.path);
+    }
+  }
+
+  copyPath(entry) {
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(entry.path).catch(error => console.warn('Failed to copy path:', error));
+    }
+  }
+
+  entryFor(row) {
+    return { path: row.dataset.path, name: row.dataset.name, type: row.dataset.type };
+  }
+
+  // Whether an entry or anything loaded below it matches the filter
+  matches(entry) {
+    if (!this.filter || entry.name.toLowerCase().includes(this.filter)) return true;
+    if (entry.type !== 'directory') return false;
+
+    return (this.children.get(entry.path) || []).some(child => this.matches(child));
+  }
+
+  render() {
+    this.tree.innerHTML = '';
+    if (!this.rootPath) return;
+
+    const fragment = document.createDocumentFragment();
+    this.renderEntries(this.children.get(this.rootPath) || [], 0, fragment);
+    this.tree.appendChild(fragment);
+
+    if (this.filter) {
+      this.showStatus(this.tree.childElementCount ? '' : 'No loaded files match');
+    }
+  }
+
+  renderEntries(entries, depth, container) {
+    entries.forEach(entry => {
+      if (!this.matches(entry)) return;
+
+      const isDirectory = entry.type === 'directory';
+      // While filtering, show matches inside loaded directories without expanding them
+      const open = isDirectory && (this.expanded.has(entry.path) || (this.filter && this.children.has(entry.path)));
+
+      const row = document.createElement('div');
+      row.className = `file-tree-row ${isDirectory ? 'directory' : 'file'}`;
+      row.classList.toggle('selected', entry.path === this.selectedPath);
+      row.setAttribute('role', 'treeitem');
+      if (isDirectory) row.setAttribute('aria-expanded', String(open));
+      row.dataset.path = entry.path;
+      row.dataset.name = entry.name;
+      row.dataset.type = entry.type;
+      row.style.paddingLeft = `${depth * 12 + 4}px`;
+      row.title = entry.path;
+
+      const twisty = document.createElement('span');
+      twisty.className = 'file-tree-twisty';
+      twisty.textContent = isDirectory ? (open ? '▾' : '▸') : '';
+
+      const name = document.createElement('span');
+      name.className = 'file-tree-name';
+      name.textContent = entry.name;
+
+      row.appendChild(twisty);
+      row.appendChild(name);
+      container.appendChild(row);
+
+      if (open) {
+        this.renderEntries(this.children.get(entry.path) || [], depth + 1, container);
+      }
+    });
+  }
+
+  // Arrow keys move the selection, Enter opens, Left/Right collapse and expand
+  handleKeydown(e) {
+    const rows = [...this.tree.querySelectorAll('.file-tree-row')];
+    if (rows.length === 0) return;
+
+    const index = rows.findIndex(row => row.dataset.path === this.selectedPath);
+    const current = index >= 0 ? this.entryFor(rows[index]) : null;
+    const selectRow = (row) => {
+      this.select(row.dataset.path);
+      row.scrollIntoView({ block: 'nearest' });
+    };
+
+    switch (e.key) {
+      case 'ArrowDown':
+        selectRow(rows[Math.min(index + 1, rows.length - 1)]);
+        break;
+      case 'ArrowUp':
+        selectRow(rows[Math.max(index - 1, 0)]);
+        break;
+      case 'Enter':
+        if (current) this.activate(current);
+        break;
+      case 'ArrowRight':
+        if (current?.type === 'directory' && !this.expanded.has(current.path)) this.toggleDirectory(current);
+        break;
+      case 'ArrowLeft':
+        if (current?.type === 'directory' && this.expanded.has(current.path)) this.toggleDirectory(current);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  showStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+  }
+}
+
+// Initialize the explorer (scripts load after the panel markup)
+window.fileExplorer = new FileExplorer();
@@ -0,0 +1,338 @@
+// File Viewer - code view and editor over the terminal panel
+//
+// A transparent textarea lies on top of the highlighted code, so the text is
+// edited as plain text while the highlighting follows underneath. Saving
+// sends the version the file was opened at; the server refuses the write when
+// the file changed on disk in the meantime.
+class FileViewer {
+  constructor() {
+    this.currentPath = null;
+    this.version = null; // Version of the file on disk the editor is based on
+    this.savedContent = '';
+    this.saving = false;
+    this.highlightFrame = null;
+    this.createViewer();
+  }
+
+  createViewer() {
+    this.viewer = document.createElement('div');
+    this.viewer.className = 'file-viewer';
+    this.viewer.tabIndex = -1;
+    this.viewer.innerHTML = `
+      <div class="file-viewer-header">
+        <span class="file-viewer-path"></span>
+        <span class="file-viewer-modified" title="Unsaved changes">●</span>
+        <span class="file-viewer-info"></span>
+        <input class="file-viewer-goto" type="text" inputmode="numeric" placeholder="Go to line">
+        <div class="panel-controls">
+          <button class="panel-control-btn" data-action="goto" title="Go to line (Ctrl+G)">#</button>
+          <button class="panel-control-btn" data-action="save" title="Save (Ctrl+S)">💾</button>
+          <button class="panel-control-btn" data-action="copy-path" title="Copy path">⧉</button>
+          <button class="panel-control-btn" data-action="close" title="Close (Escape)">×</button>
+        </div>
+      </div>
+      <div class="file-viewer-conflict">
+        <span>The file changed on disk since it was opened.</span>
+        <button class="file-viewer-conflict-btn" data-action="overwrite">Overwrite</button>
+        <button class="file-viewer-conflict-btn" data-action="reload">Reload from disk</button>
+      </div>
+      <div class="file-viewer-body">
+        <div class="file-viewer-status"></div>
+        <div class="file-viewer-code">
+          <div class="file-viewer-line-highlight"></div>
+          <pre class="file-viewer-gutter"></pre>
+          <div class="file-viewer-text">
+            <pre class="file-viewer-content"><code></code></pre>
+            <textarea class="file-viewer-editor" spellcheck="false" autocomplete="off" autocapitalize="off" wrap="off"></textarea>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.pathLabel = this.viewer.querySelector('.file-viewer-path');
+    this.modifiedLabel = this.viewer.querySelector('.file-viewer-modified');
+    this.infoLabel = this.viewer.querySelector('.file-viewer-info');
+    this.gotoInput = this.viewer.querySelector('.file-viewer-goto');
+    this.saveButton = this.viewer.querySelector('[data-action="save"]');
+    this.conflictBar = this.viewer.querySelector('.file-viewer-conflict');
+    this.body = this.viewer.querySelector('.file-viewer-body');
+    this.status = this.viewer.querySelector('.file-viewer-status');
+    this.codeContainer = this.viewer.querySelector('.file-viewer-code');
+    this.gutter = this.viewer.querySelector('.file-viewer-gutter');
+    this.code = this.viewer.querySelector('.file-viewer-content code');
+    this.editor = this.viewer.querySelector('.file-viewer-editor');
+    this.lineHighlight = this.viewer.querySelector('.file-viewer-line-highlight');
+
+    this.viewer.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+    this.viewer.querySelector('[data-action="goto"]').addEventListener('click', () => this.showGoto());
+    this.viewer.querySelector('[data-action="overwrite"]').addEventListener('click', () => this.save({ force: true }));
+    this.viewer.querySelector('[data-action="reload"]').addEventListener('click', () => this.reload());
+    this.saveButton.addEventListener('click', () => this.save());
+    this.viewer.querySelector('[data-action="copy-path"]').addEventListener('click', () => {
+      if (this.currentPath && navigator.clipboard) {
+        navigator.clipboard.writeText(this.currentPath);
+      }
+    });
+
+    this.editor.addEventListener('input', () => {
+      this.lineHighlight.style.display = 'none';
+      this.updateModified();
+      this.scheduleHighlight();
+    });
+    this.editor.addEventListener('keydown', (e) => {
+      // Tab indents instead of leaving the editor; execCommand keeps it undoable
+      if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+        e.preventDefault();
+        document.execCommand('insertText', false, '  ');
+      }
+    });
+    this.editor.addEventListener('click', () => this.updateCursorInfo());
+    this.editor.addEventListener('keyup', () => this.updateCursorInfo());
+
+    this.gotoInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const line = parseInt(this.gotoInput.value, 10);
+        this.hideGoto();
+        if (line > 0) this.goToLine(line);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.hideGoto();
+        this.editor.focus();
+      }
+    });
+    this.gotoInput.addEventListener('blur', () => this.hideGoto());
+
+    this.viewer.addEventListener('keydown', (e) => {
+      const ctrl = e.ctrlKey || e.metaKey;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (ctrl && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        this.save();
+      } else if (ctrl && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        this.showGoto();
+      }
+    });
+
+    // Cover the terminal panel, below the search bar
+    const panelContent = document.querySelector('#middle-panel .panel-content');
+    panelContent.appendChild(this.viewer);
+  }
+
+  get isModified() {
+    return this.currentPath !== null && this.version !== null && this.editor.value !== this.savedContent;
+  }
+
+  // Open a file; relative paths are resolved against the cwd of the given terminal session
+  async open(path, { line = null, column = null, session = null } = {}) {
+    if (this.isModified && !confirm(`Discard unsaved changes to ${this.currentPath}?`)) {
+      return;
+    }
+
+    this.viewer.classList.add('open');
+    this.viewer.focus();
+    this.currentPath = path;
+    this.version = null;
+    this.pathLabel.textContent = path;
+    this.pathLabel.title = path;
+    this.infoLabel.textContent = line ? `Line ${line}${column ? `, column ${column}` : ''}` : '';
+    this.conflictBar.classList.remove('open');
+    this.updateModified();
+    this.showStatus('Loading...');
+
+    try {
+      const response = await fetch(window.extermConfig.apiUrl('api/files/read', { path, session }));
+      const result = await response.json();
+
+      // Ignore responses for a file that is no longer the one being shown
+      if (this.currentPath !== path) return;
+
+      if (!result.success) {
+        this.showStatus(result.error || `Failed to open ${path}`, true);
+        return;
+      }
+
+      this.currentPath = result.path;
+      this.pathLabel.title = result.path;
+      this.version = result.version;
+      this.savedContent = result.content;
+      this.render(result.path, result.content, line, column);
+    } catch (error) {
+      console.error('Failed to load file:', error);
+      this.showStatus(`Failed to open ${path}: ${error.message}`, true);
+    }
+  }
+
+  async reload() {
+    const path = this.currentPath;
+    this.savedContent = this.editor.value; // Skip the discard prompt, the user asked for it
+    await this.open(path);
+  }
+
+  async save({ force = false } = {}) {
+    if (!this.currentPath || this.version === null || this.saving) return;
+
+    const content = this.editor.value;
+    this.saving = true;
+    this.saveButton.disabled = true;
+
+    try {
+      const response = await fetch(window.extermConfig.apiUrl('api/files/write'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: this.currentPath, content, version: this.version, force })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        this.version = result.version;
+        this.savedContent = content;
+        this.conflictBar.classList.remove('open');
+        this.updateModified();
+      } else if (result.conflict) {
+        this.conflictBar.classList.add('open');
+      } else {
+        alert(`Failed to save ${this.currentPath}: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Failed to save file:', error);
+      alert(`Failed to save ${this.currentPath}: ${error.message}`);
+    } finally {
+      this.saving = false;
+      this.saveButton.disabled = false;
+    }
+  }
+
+  close() {
+    if (this.isModified && !confirm(`Discard unsaved changes to ${this.currentPath}?`)) {
+      return;
+    }
+
+    this.viewer.classList.remove('open');
+    this.currentPath = null;
+    this.version = null;
+
+    if (window.terminalManager && window.terminalManager.activeSession) {
+      window.terminalManager.activeSession.focus();
+    }
+  }
+
+  showStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+    this.status.style.display = 'block';
+    this.codeContainer.style.display = 'none';
+  }
+
+  updateModified() {
+    this.modifiedLabel.classList.toggle('visible', this.isModified);
+  }
+
+  updateCursorInfo() {
+    const before = this.editor.value.slice(0, this.editor.selectionStart).split('\n');
+    this.infoLabel.textContent = `Line ${before.length}, column ${before[before.length - 1].length + 1}`;
+  }
+
+  showGoto() {
+    if (this.version === null) return;
+    this.gotoInput.value = '';
+    this.gotoInput.classList.add('open');
+    this.gotoInput.focus();
+  }
+
+  hideGoto() {
+    this.gotoInput.classList.remove('open');
+  }
+
+  render(path, content, line, column) {
+    this.status.style.display = 'none';
+    this.codeContainer.style.display = 'flex';
+    this.editor.value = content;
+    this.updateModified();
+    this.renderCode();
+
+    if (line) {
+      this.goToLine(line, column);
+    } else {
+      this.lineHighlight.style.display = 'none';
+      this.body.scrollTop = 0;
+      this.editor.setSelectionRange(0, 0);
+      this.editor.focus();
+    }
+  }
+
+  renderCode() {
+    const content = this.editor.value;
+    const lineCount = content.split('\n').length;
+
+    this.gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+    this.code.className = '';
+    // A trailing newline would otherwise not get a line of its own in the <pre>
+    this.code.innerHTML = this.highlight(this.currentPath, content) + (content.endsWith('\n') ? ' ' : '');
+  }
+
+  // Re-highlight once per frame while typing
+  scheduleHighlight() {
+    if (this.highlightFrame) return;
+    this.highlightFrame = requestAnimationFrame(() => {
+      this.highlightFrame = null;
+      this.renderCode();
+    });
+  }
+
+  // Move the cursor to a line, mark it and scroll it into the upper third of the view
+  goToLine(line, column = null) {
+    const lines = this.editor.value.split('\n');
+    const targetLine = Math.min(line, lines.length);
+    const lineHeight = this.gutter.scrollHeight / lines.length;
+
+    this.lineHighlight.style.display = 'block';
+    this.lineHighlight.style.top = `${(targetLine - 1) * lineHeight}px`;
+    this.lineHighlight.style.height = `${lineHeight}px`;
+    this.body.scrollTop = Math.max(0, (targetLine - 1) * lineHeight - this.body.clientHeight / 3);
+
+    const offset = lines.slice(0, targetLine - 1).reduce((sum, text) => sum + text.length + 1, 0);
+    const position = offset + Math.min(Math.max((column || 1) - 1, 0), lines[targetLine - 1].length);
+    this.editor.focus({ preventScroll: true });
+    this.editor.setSelectionRange(position, position);
+    this.infoLabel.textContent = `Line ${targetLine}${column ? `, column ${column}` : ''}`;
+  }
+
+  highlight(path, content) {
+    const escape = (text) => {
+      const div = document.createElement('div');
+      div.textContent = text;
+      return div.innerHTML;
+    };
+
+    if (typeof hljs === 'undefined') {
+      return escape(content);
+    }
+
+    this.code.classList.add('hljs');
+
+    try {
+      // highlight.js knows most file extensions as language aliases
+      const extension = path.split('.').pop().toLowerCase();
+      if (hljs.getLanguage(extension)) {
+        return hljs.highlight(content, { language: extension, ignoreIllegals: true }).value;
+      }
+
+      // Auto detection is slow on big files
+      if (content.length < 100000) {
+        return hljs.highlightAuto(content).value;
+      }
+    } catch (error) {
+      console.warn('Failed to highlight file:', error);
+    }
+
+    return escape(content);
+  }
+}
+
+// Initialize the file viewer (scripts load after the panel markup)
+window.fileViewer = new FileViewer();
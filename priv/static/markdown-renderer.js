@@ -0,0 +1,263 @@
+// Markdown Renderer - the one way AI and tool content becomes HTML
+//
+// Model output and tool results (browsed pages, files, terminal output) are
+// untrusted, and this page controls a shell. Every render path goes through
+// render() for markdown or escape() for text put into a template. render()
+// lets marked turn the markdown into HTML, then sanitize() keeps only the
+// tags, attributes and classes on an allow-list: raw HTML in the markdown
+// can't run script, load anything or restyle the app. Links open in a new tab
+// and only for http(s) and mailto URLs.
+
+// Tags kept, with the attributes each may keep
+const MARKDOWN_ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: ['class'],
+  del: [],
+  details: [],
+  div: ['class'],
+  em: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  input: ['type', 'checked', 'disabled'],
+  kbd: [],
+  li: [],
+  ol: ['start'],
+  p: [],
+  pre: ['class'],
+  s: [],
+  span: ['class'],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align'],
+  th: ['align'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: []
+};
+
+// Tags dropped with everything inside them; other unknown tags are replaced by their content
+const MARKDOWN_DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template',
+  'noscript', 'noembed', 'noframes', 'xmp', 'plaintext', 'svg', 'math', 'form', 'textarea',
+  'select', 'option', 'button', 'title', 'head', 'meta', 'link', 'base'
+]);
+
+// Classes code blocks and highlight.js use; anything else could restyle the app
+const MARKDOWN_ALLOWED_CLASS = /^(language-[\w+#.-]+|hljs[\w-]*|table-wrapper)$/;
+
+const MARKDOWN_ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+class MarkdownRenderer {
+  static escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Markdown to safe HTML
+  static render(markdown) {
+    let html;
+    try {
+      html = MarkdownRenderer.parse(markdown);
+    } catch (error) {
+      console.warn('Markdown parsing failed, falling back to basic formatting:', error);
+      html = MarkdownRenderer.basicFormat(markdown);
+    }
+    return MarkdownRenderer.sanitize(html);
+  }
+
+  static parse(markdown) {
+    if (typeof marked === 'undefined') throw new Error('marked.js not available');
+
+    const options = {
+      breaks: true, // Convert line breaks to <br>
+      gfm: true, // GitHub flavored markdown
+      headerIds: false, // Ids from content could clash with the app's own
+      mangle: false
+    };
+
+    if (typeof marked.parse === 'function') return marked.parse(markdown, options);
+    if (typeof marked === 'function') return marked(markdown, options);
+    throw new Error('marked function not available');
+  }
+
+  // Keep only allowed tags and attributes. The HTML is parsed in a template,
+  // where nothing runs or loads while it is cleaned.
+  static sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    MarkdownRenderer.cleanChildren(template.content);
+
+    // Wide tables scroll instead of stretching the chat
+    template.content.querySelectorAll('table').forEach(table => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'table-wrapper';
+      table.replaceWith(wrapper);
+      wrapper.appendChild(table);
+    });
+
+    return template.innerHTML;
+  }
+
+  static cleanChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      // Comments, processing instructions and the like
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.localName;
+      if (MARKDOWN_DROPPED_TAGS.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+        node.remove();
+        return;
+      }
+
+      MarkdownRenderer.cleanChildren(node);
+
+      const allowed = MARKDOWN_ALLOWED_TAGS[tag];
+      if (!allowed || !MarkdownRenderer.cleanAttributes(node, allowed)) {
+        node.replaceWith(...node.childNodes);
+      }
+    });
+  }
+
+  // Returns false when the element can't be kept, e.g. a link to a javascript: URL
+  static cleanAttributes(element, allowed) {
+    Array.from(element.attributes).forEach(attribute => {
+      if (!allowed.includes(attribute.name)) element.removeAttribute(attribute.name);
+    });
+
+    if (element.hasAttribute('class')) {
+      const classes = element.getAttribute('class').split(/\s+/).filter(name => MARKDOWN_ALLOWED_CLASS.test(name));
+      if (classes.length > 0) {
+        element.setAttribute('class', classes.join(' '));
+      } else {
+        element.removeAttribute('class');
+      }
+    }
+
+    switch (element.localName) {
+      case 'a': {
+        const href = MarkdownRenderer.safeUrl(element.getAttribute('href'));
+        if (!href) return false;
+        element.setAttribute('href', href);
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer nofollow');
+        return true;
+      }
+      case 'input':
+        // Task list checkboxes only, and they can't be ticked
+        if (element.getAttribute('type') !== 'checkbox') return false;
+        element.setAttribute('disabled', '');
+        return true;
+      case 'ol':
+        if (!/^\d+$/.test(element.getAttribute('start') || '1')) element.removeAttribute('start');
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  // An absolute URL with an allowed protocol, or null
+  static safeUrl(href) {
+    if (!href) return null;
+
+    try {
+      const url = new URL(href.trim());
+      return MARKDOWN_ALLOWED_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+      // Relative URLs would point at this server
+      return null;
+    }
+  }
+
+  // Highlight code blocks once rendered HTML is in the page
+  static highlight(root) {
+    if (typeof hljs === 'undefined') return;
+
+    root.querySelectorAll('pre code:not(.hljs)').forEach(block => {
+      hljs.highlightElement(block);
+    });
+  }
+
+  // Markdown-like formatting for when marked.js didn't load. It works on
+  // escaped text, and its output is sanitized like marked's.
+  static basicFormat(content) {
+    const formatted = MarkdownRenderer.escape(content)
+      // Handle code blocks first (multi-line)
+      .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code class="language-$1">$2</code></pre>')
+      .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
+      // Handle inline code
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      // Handle links - must come before other formatting
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+      // Handle automatic URL detection
+      .replace(/(^|[\s(])(https?:\/\/[^\s<]+)/g, '$1<a href="$2">$2</a>')
+      // Handle headers (order matters - h3 before h2 before h1)
+      .replace(/^### (.*$)/gm, '<h3>$1</h3>')
+      .replace(/^## (.*$)/gm, '<h2>$1</h2>')
+      .replace(/^# (.*$)/gm, '<h1>$1</h1>')
+      // Handle bold and italic
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+      // Handle lists
+      .replace(/^- (.*$)/gm, '<li>$1</li>')
+      .replace(/(<li>.*<\/li>)/gs, '<ul>$1</ul>')
+      .replace(/<\/ul>\s*<ul>/g, ''); // Merge consecutive lists
+
+    // Basic table processing
+    const result = [];
+    let tableRows = [];
+
+    formatted.split('\n').forEach(line => {
+      if (line.includes('|') && line.trim().length > 0) {
+        tableRows.push(line);
+        return;
+      }
+      if (tableRows.length > 0) {
+        result.push(MarkdownRenderer.basicTable(tableRows));
+        tableRows = [];
+      }
+      result.push(line);
+    });
+
+    if (tableRows.length > 0) {
+      result.push(MarkdownRenderer.basicTable(tableRows));
+    }
+
+    return result.join('\n').replace(/\n/g, '<br>');
+  }
+
+  static basicTable(rows) {
+    let html = '<table>';
+    let isFirstRow = true;
+
+    rows.forEach(row => {
+      if (row.trim().match(/^[|\s-]+$/)) return; // Skip separator rows
+
+      const cells = row.split('|').map(cell => cell.trim()).filter(cell => cell.length > 0);
+      if (cells.length === 0) return;
+
+      const tag = isFirstRow ? 'th' : 'td';
+      html += `<tr>${cells.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+      isFirstRow = false;
+    });
+
+    return `${html}</table>`;
+  }
+}
@@ -0,0 +1,194 @@
+// Message Actions - edit, regenerate and delete chat messages, and switch branches
+//
+// Every message the server saves has an id (see Chat.edit_message/3 and the
+// functions after it). Bubbles restored from a conversation get theirs from
+// the conversation_opened message; bubbles drawn while chatting get theirs
+// from a message_saved message. After a change the server redraws the chat
+// from its history, so these controls only send requests.
+class MessageActions {
+  constructor(chatManager) {
+    this.chat = chatManager;
+  }
+
+  // Handle a message_saved message. A bubble is saved right after it is drawn,
+  // so the newest one without an id is the one the server means.
+  assignId(message) {
+    const role = message.role === 'user' ? 'user' : 'ai';
+
+    // addMessage draws on the next frame, so wait for it
+    requestAnimationFrame(() => {
+      const bubbles = this.chat.chatMessages.querySelectorAll(`.chat-message[data-role="${role}"]:not([data-message-id])`);
+      const bubble = bubbles[bubbles.length - 1];
+      if (bubble) this.attach(bubble, message);
+    });
+  }
+
+  // Give a bubble its id and controls; saved is the server's message.
+  // addMessage draws nothing for empty content, so there may be no bubble.
+  attach(bubble, saved) {
+    const header = bubble && bubble.querySelector('.message-header');
+    if (!header || !saved.id || bubble.dataset.messageId) return;
+    bubble.dataset.messageId = saved.id;
+
+    const actions = document.createElement('span');
+    actions.className = 'message-actions';
+
+    if (saved.branches && saved.branches.count > 1) {
+      actions.appendChild(this.branchSwitcher(saved));
+    }
+    if (saved.role === 'user') {
+      actions.appendChild(this.button('✎', 'Edit and resend', () => this.edit(bubble)));
+      const regenerate = this.button('↻', 'Regenerate the response', () => this.toggleRegenerateMenu(bubble));
+      regenerate.classList.add('message-regenerate');
+      actions.appendChild(regenerate);
+    }
+    actions.appendChild(this.button('🗑', 'Delete from the conversation', () => this.remove(bubble)));
+
+    header.insertBefore(actions, header.querySelector('.ml-auto'));
+    requestAnimationFrame(() => this.markLatest());
+  }
+
+  button(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'message-action';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Regenerating always redoes the last response, so only the last user message offers it
+  markLatest() {
+    const users = this.chat.chatMessages.querySelectorAll('.chat-message[data-role="user"][data-message-id]');
+    users.forEach((bubble, index) => bubble.classList.toggle('latest-user-message', index === users.length - 1));
+  }
+
+  // Changes wait until the AI has finished its response
+  get busy() {
+    return this.chat.chatInput.disabled;
+  }
+
+  // Send a change; edits and regenerations start a new response
+  send(message, responds = false) {
+    if (this.busy) return;
+
+    this.chat.sendConversationMessage(message);
+    if (responds) {
+      this.chat.chatInput.disabled = true;
+      this.chat.chatSend.disabled = true;
+      this.chat.updateAIStatus('thinking');
+    }
+  }
+
+  // "‹ 2/3 ›" for a message that has been edited or regenerated
+  branchSwitcher(saved) {
+    const { index, count } = saved.branches;
+    const switcher = document.createElement('span');
+    switcher.className = 'branch-switcher';
+
+    const previous = this.button('‹', 'Previous version', () => {
+      this.send({ type: 'switch_branch', id: saved.id, index: index - 1 });
+    });
+    previous.disabled = index === 0;
+
+    const label = document.createElement('span');
+    label.textContent = `${index + 1}/${count}`;
+
+    const next = this.button('›', 'Next version', () => {
+      this.send({ type: 'switch_branch', id: saved.id, index: index + 1 });
+    });
+    next.disabled = index === count - 1;
+
+    switcher.append(previous, label, next);
+    return switcher;
+  }
+
+  edit(bubble) {
+    if (this.busy || bubble.querySelector('.message-edit')) return;
+
+    const content = bubble.querySelector('.message-content');
+    const form = document.createElement('div');
+    form.className = 'message-edit';
+    form.innerHTML = `
+      <textarea class="message-edit-input" rows="3" spellcheck="false"></textarea>
+      <div class="message-edit-buttons">
+        <button class="message-edit-btn" data-action="cancel">Cancel</button>
+        <button class="message-edit-btn primary" data-action="save" title="Ctrl+Enter">Save & resend</button>
+      </div>
+    `;
+
+    const input = form.querySelector('.message-edit-input');
+    input.value = bubble.rawContent ?? content.textContent;
+
+    const close = () => {
+      form.remove();
+      content.classList.remove('hidden');
+    };
+    const save = () => {
+      const text = input.value.trim();
+      if (!text || this.busy) return;
+      close();
+      this.send({ type: 'edit_message', id: bubble.dataset.messageId, content: text }, true);
+    };
+
+    form.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    form.querySelector('[data-action="save"]').addEventListener('click', save);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        save();
+      }
+    });
+
+    content.classList.add('hidden');
+    content.after(form);
+    input.focus();
+  }
+
+  // Regenerate with the chat's model or pick another one, which the chat then keeps
+  toggleRegenerateMenu(bubble) {
+    const open = bubble.querySelector('.regenerate-menu');
+    if (open) {
+      open.remove();
+      return;
+    }
+    if (this.busy) return;
+
+    const picker = this.chat.modelPicker;
+    const current = picker.config && picker.config.model;
+    const models = [...picker.models];
+    if (current && !models.some(model => model.id === current)) {
+      models.unshift({ id: current, name: current });
+    }
+
+    const menu = document.createElement('div');
+    menu.className = 'regenerate-menu';
+
+    const select = document.createElement('select');
+    select.className = 'regenerate-model';
+    select.title = 'Model for the new response';
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.name;
+      select.appendChild(option);
+    });
+    select.value = current || '';
+
+    const go = this.button('Regenerate', 'Generate a new response; the current one stays as a branch', () => {
+      menu.remove();
+      this.send({ type: 'regenerate', model: select.value || null }, true);
+    });
+
+    menu.append(select, go);
+    bubble.querySelector('.message-header').after(menu);
+  }
+
+  remove(bubble) {
+    if (this.busy) return;
+    if (!confirm('Delete this message from the conversation? The AI will no longer see it.')) return;
+
+    this.send({ type: 'delete_message', id: bubble.dataset.messageId });
+  }
+}
@@ -0,0 +1,176 @@
+// Model Picker - provider, model and request settings under the AI Assistant header
+//
+// Settings belong to the chat on the server (see Chat.update_config/2) and are
+// saved with the conversation, so opening a saved chat brings its settings
+// back. The bar only shows what the server reports in llm_config messages.
+class ModelPicker {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.providers = [];
+    this.models = [];
+    this.modelsProvider = null; // Provider the model list belongs to
+    this.config = null;
+
+    this.createBar();
+  }
+
+  // Same display names the server uses for message headers
+  static label(model) {
+    if (!model) return 'AI';
+
+    return model
+      .split('/')
+      .pop()
+      .replace(/[-_]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+  }
+
+  createBar() {
+    this.bar = document.createElement('div');
+    this.bar.className = 'chat-settings';
+    this.bar.innerHTML = `
+      <select class="chat-settings-provider" title="Provider" disabled></select>
+      <select class="chat-settings-model" title="Model" disabled>
+        <option value="">Loading models...</option>
+      </select>
+      <label class="chat-settings-field" title="Temperature">
+        Temp <input class="chat-settings-input" data-setting="temperature" type="number" min="0" max="2" step="0.1">
+      </label>
+      <label class="chat-settings-field" title="Max tokens in a response">
+        Max <input class="chat-settings-input" data-setting="max_tokens" type="number" min="1" step="256">
+      </label>
+      <select class="chat-settings-reasoning" title="Reasoning effort, for models that reason">
+        <option value="">Reasoning: default</option>
+        <option value="low">Reasoning: low</option>
+        <option value="medium">Reasoning: medium</option>
+        <option value="high">Reasoning: high</option>
+      </select>
+    `;
+
+    this.providerSelect = this.bar.querySelector('.chat-settings-provider');
+    this.modelSelect = this.bar.querySelector('.chat-settings-model');
+    this.temperatureInput = this.bar.querySelector('[data-setting="temperature"]');
+    this.maxTokensInput = this.bar.querySelector('[data-setting="max_tokens"]');
+    this.reasoningSelect = this.bar.querySelector('.chat-settings-reasoning');
+
+    this.providerSelect.addEventListener('change', () => {
+      this.apply({ provider: this.providerSelect.value });
+    });
+    this.modelSelect.addEventListener('change', () => {
+      if (this.modelSelect.value) this.apply({ model: this.modelSelect.value });
+    });
+    this.reasoningSelect.addEventListener('change', () => {
+      this.apply({ reasoning_effort: this.reasoningSelect.value || null });
+    });
+    this.temperatureInput.addEventListener('change', () => {
+      const temperature = parseFloat(this.temperatureInput.value);
+      if (temperature >= 0 && temperature <= 2) {
+        this.apply({ temperature });
+      } else {
+        this.render();
+      }
+    });
+    this.maxTokensInput.addEventListener('change', () => {
+      const maxTokens = parseInt(this.maxTokensInput.value, 10);
+      if (maxTokens > 0) {
+        this.apply({ max_tokens: maxTokens });
+      } else {
+        this.render();
+      }
+    });
+
+    const header = document.querySelector('#right-panel .panel-header');
+    header.after(this.bar);
+  }
+
+  // Ask for the chat's current settings; the model list follows once the provider is known
+  refresh() {
+    this.modelsProvider = null;
+    this.chat.sendConversationMessage({ type: 'get_llm_config' });
+  }
+
+  loadModels(provider) {
+    this.modelsProvider = provider;
+    this.models = [];
+    this.chat.sendConversationMessage({ type: 'list_models', provider });
+  }
+
+  apply(config) {
+    this.chat.sendConversationMessage({ type: 'update_llm_config', config });
+  }
+
+  // Handle a models message from the server
+  updateModels(message) {
+    // A list for a provider the user has since switched away from is stale
+    if (message.provider !== this.modelsProvider) return;
+
+    this.models = message.models || [];
+    this.modelSelect.title = message.error ? `Model (${message.error})` : 'Model';
+    this.render();
+  }
+
+  // Handle an llm_config message from the server
+  updateConfig(message) {
+    this.config = message.config;
+    this.providers = message.providers || [];
+
+    if (this.config && this.config.provider !== this.modelsProvider) {
+      this.loadModels(this.config.provider);
+    }
+    this.render();
+  }
+
+  renderProviders() {
+    const current = this.config && this.config.provider;
+    this.providerSelect.disabled = !this.config;
+    this.providerSelect.innerHTML = '';
+
+    this.providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.available ? provider.name : `${provider.name} (no API key)`;
+      option.disabled = !provider.available && provider.id !== current;
+      this.providerSelect.appendChild(option);
+    });
+
+    this.providerSelect.value = current || '';
+  }
+
+  render() {
+    const config = this.config;
+    this.renderProviders();
+    this.modelSelect.disabled = !config;
+    this.modelSelect.innerHTML = '';
+
+    // The current model may not be in the list, e.g. one set with LLM_MODEL
+    const models = [...this.models];
+    if (config && config.model && !models.some(model => model.id === config.model)) {
+      models.unshift({ id: config.model, name: config.model });
+    }
+
+    if (models.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'Loading models...';
+      this.modelSelect.appendChild(option);
+    }
+
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.name;
+      option.title = model.context_length ? `${model.id} · ${model.context_length.toLocaleString()} token context` : model.id;
+      this.modelSelect.appendChild(option);
+    });
+
+    if (!config) return;
+
+    this.modelSelect.value = config.model || '';
+    this.temperatureInput.value = config.temperature ?? '';
+    this.maxTokensInput.value = config.max_tokens ?? '';
+    this.reasoningSelect.value = config.reasoning_effort || '';
+  }
+}
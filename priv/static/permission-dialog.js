@@ -0,0 +1,146 @@
+// Permission Dialog - approve AI terminal input and file writes
+//
+// The server pauses the tool call until a permission_decision comes back, so
+// the dialog blocks the page until the user picks allow once, allow for this
+// session or deny (optionally with a reason the AI gets to see).
+class PermissionDialog {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.queue = []; // Requests waiting behind the one on screen
+    this.current = null;
+
+    this.createDialog();
+  }
+
+  createDialog() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'settings-overlay permission-overlay';
+    this.overlay.innerHTML = `
+      <div class="settings-dialog permission-dialog" role="alertdialog" aria-modal="true" aria-label="Approve AI action">
+        <div class="settings-header">
+          <span class="permission-title"></span>
+        </div>
+        <div class="settings-body">
+          <div class="permission-subject"></div>
+          <div class="permission-preview"></div>
+          <textarea class="permission-reason" rows="2" placeholder="Reason for denying (optional, sent to the AI)"></textarea>
+        </div>
+        <div class="settings-footer">
+          <button class="settings-button" data-decision="deny">Deny</button>
+          <div class="permission-allow-buttons">
+            <button class="settings-button" data-decision="allow_session"></button>
+            <button class="settings-button primary" data-decision="allow_once">Allow once</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.title = this.overlay.querySelector('.permission-title');
+    this.subject = this.overlay.querySelector('.permission-subject');
+    this.preview = this.overlay.querySelector('.permission-preview');
+    this.reasonInput = this.overlay.querySelector('.permission-reason');
+    this.sessionButton = this.overlay.querySelector('[data-decision="allow_session"]');
+
+    this.overlay.querySelectorAll('[data-decision]').forEach(button => {
+      button.addEventListener('click', () => this.decide(button.dataset.decision));
+    });
+
+    // Enter in the reason field denies with that reason
+    this.reasonInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.decide('deny');
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  // Handle a permission_request message from the server
+  request(message) {
+    if (this.current) {
+      this.queue.push(message);
+      return;
+    }
+    this.show(message);
+  }
+
+  show(message) {
+    this.current = message;
+    this.reasonInput.value = '';
+    this.preview.innerHTML = '';
+
+    if (message.kind === 'terminal') {
+      this.title.textContent = 'Allow terminal input?';
+      this.subject.textContent = 'The AI wants to type this into your terminal:';
+
+      const command = document.createElement('pre');
+      command.className = 'permission-command';
+      command.textContent = message.command;
+      this.preview.appendChild(command);
+    } else {
+      this.title.textContent = 'Allow file change?';
+      this.subject.textContent = `The AI wants to ${this.describeFileAction(message.tool_name)} ${message.path || 'a file'}:`;
+      this.preview.appendChild(renderUnifiedDiff(message.diff, { language: diffLanguage(message.path) }));
+    }
+
+    this.sessionButton.textContent = `Allow ${message.tool_name} for this session`;
+    this.overlay.classList.add('open');
+    this.overlay.querySelector('[data-decision="allow_once"]').focus();
+  }
+
+  describeFileAction(toolName) {
+    switch (toolName) {
+      case 'create_file': return 'create';
+      case 'append_to_file': return 'append to';
+      case 'delete_file': return 'delete';
+      case 'edit_lines': return 'edit lines in';
+      case 'find_and_replace_in_file': return 'replace text in';
+      default: return 'change';
+    }
+  }
+
+  decide(decision) {
+    if (!this.current) return;
+
+    const reason = this.reasonInput.value.trim();
+    const request = this.current;
+
+    if (this.chat.isConnected) {
+      this.chat.socket.send(JSON.stringify({
+        type: 'permission_decision',
+        id: request.id,
+        decision: decision,
+        reason: decision === 'deny' && reason ? reason : null
+      }));
+    }
+
+    this.next();
+  }
+
+  // The server gave up waiting (or the chat disconnected) - drop the request
+  expire(id) {
+    if (this.current && this.current.id === id) {
+      this.chat.addSystemMessage(`Approval request for ${this.current.tool_name} expired`, 'stopped');
+      this.next();
+    } else {
+      this.queue = this.queue.filter(request => request.id !== id);
+    }
+  }
+
+  cancelAll() {
+    this.queue = [];
+    this.current = null;
+    this.overlay.classList.remove('open');
+  }
+
+  next() {
+    this.current = null;
+    this.overlay.classList.remove('open');
+
+    const nextRequest = this.queue.shift();
+    if (nextRequest) {
+      this.show(nextRequest);
+    }
+  }
+}
@@ -0,0 +1,262 @@
+// Slash Commands - /clear, /model, /run and friends in the chat input
+//
+// A message that starts with /name runs a command instead of going to the AI.
+// Typing / opens a popup of the commands (and, after /model, of the models)
+// to pick from with the arrow keys and Tab or Enter. Commands only send the
+// socket's own messages: terminal commands become execute_tool requests, as
+// if the AI had called the tool, so the AI sees the result and answers.
+class SlashCommands {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.matches = [];
+    this.selected = 0;
+
+    this.commands = [
+      { name: 'clear', description: 'Start over; the current chat stays saved', run: () => this.clear() },
+      { name: 'export', description: 'Download the chat as JSON', run: () => this.chat.exportChat() },
+      { name: 'model', args: '<name>', description: 'Switch the model, or show the current one', run: arg => this.model(arg) },
+      { name: 'summarize', description: 'Condense the conversation so far', run: () => this.summarize() },
+      { name: 'read', args: '[lines]', description: 'Have the AI read the terminal (default 50 lines)', run: arg => this.read(arg) },
+      { name: 'run', args: '<command>', description: 'Run a command in the terminal and let the AI see the result', run: arg => this.runCommand(arg) },
+      { name: 'history', args: '[entries]', description: "Have the AI read the terminal's command history", run: arg => this.history(arg) },
+      { name: 'tools', description: 'List the tools the AI can use', run: () => this.chat.sendConversationMessage({ type: 'list_tools' }) },
+      { name: 'system', args: '<prompt>', description: 'Replace the system prompt for this session', run: arg => this.system(arg) }
+    ];
+
+    this.createMenu();
+  }
+
+  createMenu() {
+    this.menu = document.createElement('div');
+    this.menu.className = 'slash-menu hidden';
+
+    // Keep the input focused when an item is clicked
+    this.menu.addEventListener('mousedown', (e) => e.preventDefault());
+
+    const input = this.chat.chatInput;
+    input.addEventListener('input', () => this.update());
+    input.addEventListener('blur', () => this.close());
+    // keydown comes before the chat's keypress handler, so Enter can pick an item instead of sending
+    input.addEventListener('keydown', (e) => this.handleKey(e));
+
+    document.getElementById('chat-input-container').appendChild(this.menu);
+  }
+
+  get isOpen() {
+    return !this.menu.classList.contains('hidden');
+  }
+
+  // What the input could complete to: command names, or model ids after /model
+  suggestions(value) {
+    const name = value.match(/^\/(\w*)$/);
+    if (name) {
+      return this.commands
+        .filter(command => command.name.startsWith(name[1].toLowerCase()))
+        .map(command => ({
+          text: `/${command.name}${command.args ? ' ' : ''}`,
+          label: `/${command.name}${command.args ? ` ${command.args}` : ''}`,
+          detail: command.description
+        }));
+    }
+
+    const model = value.match(/^\/model\s+(.*)$/);
+    if (model) {
+      return this.findModels(model[1])
+        .slice(0, 8)
+        .map(found => ({ text: `/model ${found.id}`, label: found.id, detail: found.name === found.id ? '' : found.name }));
+    }
+
+    return [];
+  }
+
+  update() {
+    this.matches = this.suggestions(this.chat.chatInput.value);
+    this.selected = 0;
+    this.render();
+  }
+
+  close() {
+    this.matches = [];
+    this.render();
+  }
+
+  render() {
+    this.menu.innerHTML = '';
+    this.menu.classList.toggle('hidden', this.matches.length === 0);
+
+    this.matches.forEach((match, index) => {
+      const item = document.createElement('div');
+      item.className = 'slash-menu-item';
+      item.classList.toggle('selected', index === this.selected);
+
+      const label = document.createElement('span');
+      label.className = 'slash-menu-label';
+      label.textContent = match.label;
+
+      const detail = document.createElement('span');
+      detail.className = 'slash-menu-detail';
+      detail.textContent = match.detail;
+
+      item.append(label, detail);
+      item.addEventListener('click', () => this.complete(match));
+      this.menu.appendChild(item);
+    });
+  }
+
+  handleKey(e) {
+    if (!this.isOpen) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.selected = (this.selected + step + this.matches.length) % this.matches.length;
+      this.render();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+      const match = this.matches[this.selected];
+      // Enter on what is already typed runs it
+      if (e.key === 'Enter' && match.text.trim() === this.chat.chatInput.value.trim()) {
+        this.close();
+        return;
+      }
+      e.preventDefault();
+      this.complete(match);
+    }
+  }
+
+  complete(match) {
+    this.chat.chatInput.value = match.text;
+    this.chat.adjustInputHeight();
+    this.chat.chatInput.focus();
+    this.update();
+  }
+
+  // Run the input as a command. Returns false for a message that isn't one,
+  // e.g. one starting with a path like /etc/hosts.
+  handle(text) {
+    const parsed = text.match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+    if (!parsed) return false;
+
+    const command = this.commands.find(candidate => candidate.name === parsed[1].toLowerCase());
+    if (!command) {
+      this.chat.addSystemMessage(`Unknown command /${parsed[1]}. Type / to see the commands.`, 'error');
+      return true;
+    }
+
+    // A command that can't run leaves the input as it was, so it can be fixed
+    if (command.run((parsed[2] || '').trim()) === false) return true;
+
+    this.close();
+    this.chat.chatInput.value = '';
+    this.chat.adjustInputHeight();
+    return true;
+  }
+
+  usage(name) {
+    const command = this.commands.find(candidate => candidate.name === name);
+    this.chat.addSystemMessage(`Usage: /${command.name} ${command.args}`, 'error');
+    return false;
+  }
+
+  // The AI answers these, so the input waits like it does for a chat message
+  startResponse() {
+    this.chat.chatInput.disabled = true;
+    this.chat.chatSend.disabled = true;
+    this.chat.updateAIStatus('thinking');
+    this.chat.showTypingIndicator();
+  }
+
+  tool(toolName, params) {
+    this.chat.sendConversationMessage({ type: 'execute_tool', tool_name: toolName, params });
+    this.startResponse();
+  }
+
+  // The server answers with an empty conversation_opened, which clears the chat
+  clear() {
+    this.chat.sendConversationMessage({ type: 'clear_history' });
+  }
+
+  findModels(query) {
+    const picker = this.chat.modelPicker;
+    const wanted = query.trim().toLowerCase();
+    const models = [...picker.models];
+    if (picker.config && picker.config.model && !models.some(model => model.id === picker.config.model)) {
+      models.unshift({ id: picker.config.model, name: picker.config.model });
+    }
+
+    const exact = models.find(model => model.id.toLowerCase() === wanted || model.name.toLowerCase() === wanted);
+    if (exact) return [exact];
+
+    return models.filter(model => model.id.toLowerCase().includes(wanted) || model.name.toLowerCase().includes(wanted));
+  }
+
+  model(query) {
+    const config = this.chat.modelPicker.config;
+    if (!query) {
+      this.chat.addSystemMessage(config ? `Model: ${config.model} (${config.provider})` : 'No model yet', 'connected');
+      return;
+    }
+
+    const found = this.findModels(query);
+    if (found.length > 1) {
+      const names = found.slice(0, 5).map(model => model.id).join(', ');
+      this.chat.addSystemMessage(`"${query}" matches ${found.length} models: ${names}${found.length > 5 ? ', ...' : ''}`, 'error');
+      return false;
+    }
+
+    // A model the list doesn't know, e.g. one just pulled into a local server, is tried as typed
+    const model = found.length === 1 ? found[0].id : query;
+    this.chat.modelPicker.apply({ model });
+  }
+
+  summarize() {
+    this.chat.sendConversationMessage({ type: 'summarize_chat' });
+    this.chat.chatInput.disabled = true;
+    this.chat.chatSend.disabled = true;
+    this.chat.updateAIStatus('working', 'Summarizing the conversation...');
+  }
+
+  // Handle a chat_summarized message; the redrawn chat came just before it
+  summarized(message) {
+    const status = { summarized: 'connected', unchanged: 'connected', failed: 'error' }[message.status];
+    this.chat.addSystemMessage(message.content, status);
+    this.chat.updateAIStatus('ready');
+    this.chat.chatInput.disabled = false;
+    this.chat.chatSend.disabled = false;
+    this.chat.chatInput.focus();
+  }
+
+  read(arg) {
+    const lines = arg ? parseInt(arg, 10) : 50;
+    if (!(lines > 0)) return this.usage('read');
+    // The tool reads at most 100 lines
+    this.tool('read_terminal', { lines: Math.min(lines, 100) });
+  }
+
+  runCommand(command) {
+    if (!command) return this.usage('run');
+    this.tool('send_to_terminal', { input: command });
+  }
+
+  history(arg) {
+    const entries = arg ? parseInt(arg, 10) : 20;
+    if (!(entries > 0)) return this.usage('history');
+    this.tool('get_terminal_history', { lines: Math.min(entries, 50) });
+  }
+
+  system(prompt) {
+    if (!prompt) return this.usage('system');
+    this.chat.sendConversationMessage({ type: 'set_system_prompt', prompt });
+  }
+
+  // Handle a tools message from the server
+  showTools(message) {
+    const lines = message.tools.map(tool => {
+      const approval = tool.needs_approval && message.permission_mode !== 'auto' ? ' *(asks first)*' : '';
+      return `- \`${tool.name}\`${approval} - ${tool.description}`;
+    });
+    this.chat.addMessage(`**Tools the AI can use:**\n\n${lines.join('\n')}`, 'system');
+  }
+}
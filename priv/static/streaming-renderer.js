@@ -0,0 +1,169 @@
+// Streaming Renderer - draws a streaming AI response without re-parsing it all
+//
+// Chunks are collected and drawn once per animation frame. Markdown that ends
+// in a blank line (outside a code fence) or a closing fence can't change any
+// more, so it is rendered once, highlighted and kept; only the unfinished
+// block at the end is rendered again each frame. finish() renders the whole
+// text once more, so the result is exactly what a saved message shows.
+class StreamingRenderer {
+  constructor(element, onRender = null) {
+    this.element = element;
+    this.onRender = onRender; // Called after each frame's update, e.g. to follow the stream
+    this.source = '';
+    this.settledLength = 0; // Characters of source rendered for good
+    this.scanPosition = 0; // Start of the first line not scanned for block ends
+    this.fence = null; // Opening marker of the code fence the scan is inside
+    this.frame = null;
+
+    this.settled = document.createElement('div');
+    this.tail = document.createElement('div');
+    this.cursor = document.createElement('span');
+    this.cursor.className = 'streaming-cursor';
+    this.cursor.textContent = '▌';
+    this.element.replaceChildren(this.settled, this.tail, this.cursor);
+  }
+
+  append(chunk) {
+    this.source += chunk;
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.flush());
+    }
+  }
+
+  flush() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    const boundary = this.findSettled();
+    if (boundary > this.settledLength) {
+      const template = document.createElement('template');
+      template.innerHTML = MarkdownRenderer.render(this.source.slice(this.settledLength, boundary));
+      // Code blocks in settled text are closed, so they are highlighted now and never again
+      MarkdownRenderer.highlight(template.content);
+      this.settled.appendChild(template.content);
+      this.settledLength = boundary;
+    }
+
+    const tail = this.source.slice(this.settledLength);
+    this.tail.innerHTML = tail.trim() ? MarkdownRenderer.render(tail) : '';
+
+    if (this.onRender) this.onRender();
+  }
+
+  // Where the last complete block ends. Only lines that arrived since the last
+  // call are scanned, carrying whether the scan is inside a code fence.
+  findSettled() {
+    let boundary = this.settledLength;
+    let position = this.scanPosition;
+    let newline;
+
+    while ((newline = this.source.indexOf('\n', position)) !== -1) {
+      const line = this.source.slice(position, newline);
+      position = newline + 1;
+
+      const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (!this.fence) {
+        if (marker) {
+          this.fence = marker[1];
+        } else if (line.trim() === '') {
+          boundary = position;
+        }
+      } else if (marker && marker[1][0] === this.fence[0] && marker[1].length >= this.fence.length &&
+                 line.trim() === marker[1]) {
+        this.fence = null;
+        boundary = position;
+      }
+    }
+
+    this.scanPosition = position;
+    return boundary;
+  }
+
+  // Render the complete response in one pass and drop the cursor
+  finish() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    this.element.innerHTML = MarkdownRenderer.render(this.source);
+    MarkdownRenderer.highlight(this.element);
+  }
+
+  // A long canned response with prose, lists, tables and code, for benchmark()
+  static sampleResponse(sections) {
+    const section = (index) => [
+      `## Step ${index + 1}: check the service`,
+      '',
+      `The service logs show **${index + 3} warnings** and one error. Run the commands below and compare the output with the \`journalctl\` excerpt.`,
+      '',
+      '- Restart the unit and watch the log',
+      '- Check the listening ports',
+      `- Look for \`OOM\` in [the kernel log](https://example.com/docs/${index})`,
+      '',
+      '```bash',
+      'sudo systemctl restart app.service',
+      'journalctl -u app.service -n 50 --no-pager',
+      `ss -ltnp | grep ${8000 + index}`,
+      '```',
+      '',
+      '| Port | Process | State |',
+      '| ---- | ------- | ----- |',
+      `| ${8000 + index} | beam.smp | LISTEN |`,
+      '',
+      ''
+    ].join('\n');
+
+    return Array.from({ length: sections }, (_, index) => section(index)).join('');
+  }
+
+  // Time drawing a canned stream the old way (re-render everything per chunk)
+  // and with this renderer, flushing after every chunk as the slowest case.
+  // Run window.benchmarkStreaming() from the browser console.
+  static benchmark({ sections = 40, chunkSize = 12 } = {}) {
+    const text = StreamingRenderer.sampleResponse(sections);
+    const chunks = [];
+    for (let i = 0; i < text.length; i += chunkSize) chunks.push(text.slice(i, i + chunkSize));
+
+    const run = (draw) => {
+      const element = document.createElement('div');
+      let slowest = 0;
+      const start = performance.now();
+      draw(element, (step) => {
+        const before = performance.now();
+        step();
+        slowest = Math.max(slowest, performance.now() - before);
+      });
+      return { totalMs: Math.round(performance.now() - start), slowestChunkMs: Math.round(slowest * 10) / 10 };
+    };
+
+    const fullRender = run((element, timed) => {
+      let content = '';
+      chunks.forEach(chunk => timed(() => {
+        content += chunk;
+        element.innerHTML = MarkdownRenderer.render(content);
+      }));
+      MarkdownRenderer.highlight(element);
+    });
+
+    const incremental = run((element, timed) => {
+      const renderer = new StreamingRenderer(element);
+      chunks.forEach(chunk => timed(() => {
+        renderer.append(chunk);
+        renderer.flush();
+      }));
+      renderer.finish();
+    });
+
+    const results = {
+      characters: text.length,
+      chunks: chunks.length,
+      fullRender,
+      incremental
+    };
+    console.table({ fullRender, incremental });
+    return results;
+  }
+}
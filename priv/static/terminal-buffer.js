@@ -0,0 +1,51 @@
+// Terminal Buffer helpers - read text out of an xterm.js buffer
+//
+// A long line that soft-wraps occupies several buffer rows. These helpers join
+// those rows back into one logical line and remember which cell every
+// character came from, so text matches can be mapped back to buffer positions.
+
+// Read the logical line containing `row` (0-based). Returns the text, the
+// buffer position of every UTF-16 index in it, and the first and last row.
+function readLogicalLine(buffer, row) {
+    let startRow = row;
+    while (startRow > 0 && buffer.getLine(startRow)?.isWrapped) {
+        startRow--;
+    }
+
+    const cell = buffer.getNullCell();
+    const positions = [];
+    let text = '';
+    let endRow = startRow;
+
+    for (let y = startRow; y < buffer.length; y++) {
+        const line = buffer.getLine(y);
+        if (!line || (y > startRow && !line.isWrapped)) break;
+
+        for (let x = 0; x < line.length; x++) {
+            line.getCell(x, cell);
+            // The second half of a wide character has width 0
+            if (cell.getWidth() === 0) continue;
+
+            const chars = cell.getChars() || ' ';
+            for (let i = 0; i < chars.length; i++) {
+                positions.push({ row: y, col: x, width: cell.getWidth() });
+            }
+            text += chars;
+        }
+        endRow = y;
+    }
+
+    return { text, positions, startRow, endRow };
+}
+
+// Buffer range of text[index, index + length), end column exclusive
+function logicalLineRange(logicalLine, index, length) {
+    const start = logicalLine.positions[index];
+    const end = logicalLine.positions[index + length - 1];
+    return {
+        startRow: start.row,
+        startCol: start.col,
+        endRow: end.row,
+        endCol: end.col + end.width
+    };
+}
@@ -0,0 +1,114 @@
+// Terminal Context Menu - send the terminal selection to the AI chat
+//
+// Right-clicking a selection opens a small menu; Alt+Shift+A and Alt+Shift+E
+// run the same actions from the keyboard. Without a selection the browser's
+// own context menu is left alone.
+class TerminalContextMenu {
+    constructor(manager) {
+        this.manager = manager;
+        this.selection = '';
+
+        this.actions = [
+            { id: 'copy', label: 'Copy', shortcut: '', run: (text) => this.copy(text) },
+            { id: 'ask', label: 'Ask AI about selection', shortcut: 'Alt+Shift+A', run: (text) => this.askAboutSelection(text) },
+            { id: 'explain', label: 'Explain this error', shortcut: 'Alt+Shift+E', run: (text) => this.explainError(text) }
+        ];
+
+        this.createMenu();
+        this.setupEventListeners();
+    }
+
+    createMenu() {
+        this.menu = document.createElement('div');
+        this.menu.className = 'terminal-context-menu';
+        this.menu.innerHTML = this.actions.map(action => `
+            <button class="terminal-context-menu-item" data-action="${action.id}">
+                <span>${action.label}</span>
+                <span class="terminal-context-menu-shortcut">${action.shortcut}</span>
+            </button>
+        `).join('');
+
+        this.menu.querySelectorAll('.terminal-context-menu-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const action = this.actions.find(a => a.id === item.dataset.action);
+                const text = this.selection;
+                this.close();
+                action.run(text);
+            });
+        });
+
+        document.body.appendChild(this.menu);
+    }
+
+    setupEventListeners() {
+        this.manager.terminalContainer.addEventListener('contextmenu', (e) => {
+            const selection = this.getSelection();
+            if (!selection) return;
+
+            e.preventDefault();
+            this.open(e.clientX, e.clientY, selection);
+        });
+
+        // Close on any outside interaction
+        document.addEventListener('mousedown', (e) => {
+            if (!this.menu.contains(e.target)) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+        window.addEventListener('blur', () => this.close());
+        window.addEventListener('resize', () => this.close());
+    }
+
+    getSelection() {
+        const terminal = this.manager.terminal;
+        return terminal && terminal.hasSelection() ? terminal.getSelection() : '';
+    }
+
+    open(x, y, selection) {
+        this.selection = selection;
+        this.menu.classList.add('open');
+
+        // Keep the menu inside the window
+        const rect = this.menu.getBoundingClientRect();
+        this.menu.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+        this.menu.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`;
+    }
+
+    close() {
+        this.menu.classList.remove('open');
+        this.selection = '';
+    }
+
+    // Called from the manager's shortcut handler, returns true when handled
+    handleShortcut(event) {
+        const action = { KeyA: 'ask', KeyE: 'explain' }[event.code];
+        if (!action) return false;
+
+        const selection = this.getSelection();
+        if (!selection) return false;
+
+        event.preventDefault();
+        this.actions.find(a => a.id === action).run(selection);
+        return true;
+    }
+
+    copy(text) {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).catch(error => console.warn('Failed to copy selection:', error));
+        }
+        this.manager.activeSession?.focus();
+    }
+
+    // Put the quote in the chat input so the question can be typed below it
+    askAboutSelection(text) {
+        if (!window.chatManager) return;
+        window.chatManager.quoteInInput(text);
+    }
+
+    // Send right away with a ready-made question
+    explainError(text) {
+        if (!window.chatManager) return;
+        window.chatManager.sendQuote('Explain this error and how to fix it:', text);
+    }
+}
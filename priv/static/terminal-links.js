@@ -0,0 +1,99 @@
+// Terminal Links - clickable URLs and file paths in terminal output
+
+// http(s) URLs up to the next whitespace or quote
+const TERMINAL_URL_PATTERN = /\bhttps?:\/\/[^\s"'`<>]+/g;
+
+// File paths with an extension and optional :line:col, e.g. lib/app.ex:12:5 or ./test.js:3
+const TERMINAL_PATH_PATTERN = /(?<![\w/.~-])(?:~|\.{1,2})?\/?(?:[\w.@+-]+\/)*[\w@+-][\w.@+-]*\.[A-Za-z]\w*(?::(\d+))?(?::(\d+))?/g;
+
+// Characters that usually end a sentence rather than a URL
+const URL_TRAILING_PUNCTUATION = /[.,;:!?'")\]}>]$/;
+
+class TerminalLinkProvider {
+    constructor(session) {
+        this.session = session;
+    }
+
+    // Called by xterm.js for every buffer line under the mouse (1-based line number)
+    provideLinks(bufferLineNumber, callback) {
+        const row = bufferLineNumber - 1;
+        const line = readLogicalLine(this.session.terminal.buffer.active, row);
+
+        const urls = this.findUrls(line);
+        const paths = this.findPaths(line).filter(path => {
+            // A path inside a URL belongs to the URL
+            return !urls.some(url => path.index < url.index + url.text.length && url.index < path.index + path.text.length);
+        });
+
+        const links = [...urls, ...paths]
+            .map(match => ({ ...match, range: logicalLineRange(line, match.index, match.text.length) }))
+            // Only report links touching the hovered row
+            .filter(match => match.range.startRow <= row && match.range.endRow >= row)
+            .map(match => ({
+                text: match.text,
+                // xterm ranges are 1-based with an inclusive end
+                range: {
+                    start: { x: match.range.startCol + 1, y: match.range.startRow + 1 },
+                    end: { x: match.range.endCol, y: match.range.endRow + 1 }
+                },
+                decorations: { pointerCursor: true, underline: true },
+                activate: () => match.activate()
+            }));
+
+        callback(links.length > 0 ? links : undefined);
+    }
+
+    findUrls(line) {
+        const results = [];
+        TERMINAL_URL_PATTERN.lastIndex = 0;
+
+        let match;
+        while ((match = TERMINAL_URL_PATTERN.exec(line.text)) !== null) {
+            const url = this.trimUrl(match[0]);
+
+            results.push({
+                index: match.index,
+                text: url,
+                activate: () => window.open(url, '_blank', 'noopener,noreferrer')
+            });
+        }
+
+        return results;
+    }
+
+    // Drop trailing punctuation one character at a time, keeping a closing
+    // paren while the URL has an open one it closes, e.g. .../Foo_(bar).
+    trimUrl(url) {
+        while (URL_TRAILING_PUNCTUATION.test(url)) {
+            if (url.endsWith(')') && url.split('(').length >= url.split(')').length) break;
+            url = url.slice(0, -1);
+        }
+        return url;
+    }
+
+    findPaths(line) {
+        const results = [];
+        TERMINAL_PATH_PATTERN.lastIndex = 0;
+
+        let match;
+        while ((match = TERMINAL_PATH_PATTERN.exec(line.text)) !== null) {
+            const [text, lineNumber, column] = match;
+            const path = lineNumber ? text.replace(/(:\d+){1,2}$/, '') : text;
+
+            // Bare names like "config.exs" are too ambiguous without a directory or line number
+            if (!path.includes('/') && !lineNumber) continue;
+
+            results.push({
+                index: match.index,
+                text: text,
+                activate: () => window.fileViewer.open(path, {
+                    line: lineNumber ? parseInt(lineNumber, 10) : null,
+                    column: column ? parseInt(column, 10) : null,
+                    session: this.session.token
+                })
+            });
+        }
+
+        return results;
+    }
+}
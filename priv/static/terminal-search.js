@@ -0,0 +1,285 @@
+// Terminal Search - find bar over the active terminal tab (Ctrl+Shift+F)
+//
+// Searches the whole buffer, scrollback included. Rows that soft-wrap are joined
+// into one logical line first, so matches that cross a wrap are still found.
+class TerminalSearch {
+    constructor(manager) {
+        this.manager = manager;
+        this.matches = [];
+        this.currentIndex = -1;
+        this.decorations = [];
+        this.isOpen = false;
+        this.refreshTimer = null;
+        this.writeListener = null;
+        this.maxHighlights = 1000; // Decorations are DOM nodes, keep them bounded
+
+        this.createSearchBar();
+    }
+
+    get terminal() {
+        return this.manager.activeSession ? this.manager.activeSession.terminal : null;
+    }
+
+    createSearchBar() {
+        this.bar = document.createElement('div');
+        this.bar.className = 'terminal-search';
+        this.bar.innerHTML = `
+            <input type="text" class="terminal-search-input" placeholder="Find" spellcheck="false">
+            <button class="terminal-search-toggle" data-option="caseSensitive" title="Match case">Aa</button>
+            <button class="terminal-search-toggle" data-option="regex" title="Use regular expression">.*</button>
+            <span class="terminal-search-count"></span>
+            <button class="panel-control-btn" data-action="previous" title="Previous match (Shift+Enter)">↑</button>
+            <button class="panel-control-btn" data-action="next" title="Next match (Enter)">↓</button>
+            <button class="panel-control-btn" data-action="close" title="Close (Escape)">×</button>
+        `;
+
+        this.input = this.bar.querySelector('.terminal-search-input');
+        this.countLabel = this.bar.querySelector('.terminal-search-count');
+        this.options = { caseSensitive: false, regex: false };
+
+        this.input.addEventListener('input', () => this.search());
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                e.shiftKey ? this.previous() : this.next();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        this.bar.querySelectorAll('.terminal-search-toggle').forEach(button => {
+            button.addEventListener('click', () => {
+                const option = button.dataset.option;
+                this.options[option] = !this.options[option];
+                button.classList.toggle('active', this.options[option]);
+                this.search();
+                this.input.focus();
+            });
+        });
+
+        this.bar.querySelector('[data-action="previous"]').addEventListener('click', () => this.previous());
+        this.bar.querySelector('[data-action="next"]').addEventListener('click', () => this.next());
+        this.bar.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+
+        // Float over the top right corner of the terminal panel
+        this.manager.terminalContainer.parentElement.appendChild(this.bar);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.bar.classList.add('open');
+
+        // Start with the current selection, like most editors do
+        const selection = this.terminal ? this.terminal.getSelection() : '';
+        if (selection && !selection.includes('\n')) {
+            this.input.value = selection;
+        }
+
+        this.input.focus();
+        this.input.select();
+        this.attachToTerminal();
+        this.search();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.bar.classList.remove('open');
+        this.clearResults();
+        this.detachFromTerminal();
+
+        if (this.terminal) {
+            this.terminal.clearSelection();
+        }
+        this.manager.activeSession?.focus();
+    }
+
+    // Called by the manager when the active tab changes
+    refresh() {
+        if (!this.isOpen) return;
+        this.attachToTerminal();
+        this.search();
+    }
+
+    // Re-run the search when new output arrives, so the count stays current
+    attachToTerminal() {
+        this.detachFromTerminal();
+        if (!this.terminal) return;
+
+        this.writeListener = this.terminal.onWriteParsed(() => {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.search({ keepPosition: true }), 300);
+        });
+    }
+
+    detachFromTerminal() {
+        clearTimeout(this.refreshTimer);
+        if (this.writeListener) {
+            this.writeListener.dispose();
+            this.writeListener = null;
+        }
+    }
+
+    search({ keepPosition = false } = {}) {
+        const previous = keepPosition ? this.matches[this.currentIndex] : null;
+        this.clearResults();
+
+        const query = this.input.value;
+        if (!this.terminal || query === '') {
+            this.updateCount();
+            return;
+        }
+
+        let pattern;
+        try {
+            const source = this.options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            pattern = new RegExp(source, this.options.caseSensitive ? 'g' : 'gi');
+        } catch (error) {
+            this.countLabel.textContent = 'Invalid regex';
+            this.bar.classList.add('error');
+            return;
+        }
+
+        this.matches = this.findMatches(pattern);
+
+        if (this.matches.length > 0) {
+            if (previous) {
+                // Stay on the same match while output streams in
+                const same = this.matches.findIndex(m => m.startRow === previous.startRow && m.startCol === previous.startCol);
+                this.currentIndex = same;
+            }
+            if (this.currentIndex === -1) {
+                // Otherwise jump to the first match at or below the top of the viewport
+                const viewportTop = this.terminal.buffer.active.viewportY;
+                const below = this.matches.findIndex(m => m.startRow >= viewportTop);
+                this.currentIndex = below === -1 ? this.matches.length - 1 : below;
+            }
+        }
+
+        this.highlightMatches();
+        this.revealCurrent(!keepPosition);
+        this.updateCount();
+    }
+
+    // Walk the buffer one logical line at a time
+    findMatches(pattern) {
+        const buffer = this.terminal.buffer.active;
+        const matches = [];
+
+        let row = 0;
+        while (row < buffer.length) {
+            const line = readLogicalLine(buffer, row);
+
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(line.text)) !== null) {
+                if (match[0].length === 0) {
+                    // Avoid looping forever on empty matches like /x*/
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                matches.push(logicalLineRange(line, match.index, match[0].length));
+            }
+
+            row = line.endRow + 1;
+        }
+
+        return matches;
+    }
+
+    highlightMatches() {
+        const terminal = this.terminal;
+        const buffer = terminal.buffer.active;
+        const cursorLine = buffer.baseY + buffer.cursorY;
+
+        // Highlight the matches closest to the current one if there are too many
+        const start = Math.max(0, Math.min(this.currentIndex - this.maxHighlights / 2, this.matches.length - this.maxHighlights));
+        const visible = this.matches.slice(start, start + this.maxHighlights);
+
+        visible.forEach((match, i) => {
+            const isCurrent = start + i === this.currentIndex;
+
+            // A match that crosses a soft wrap needs one decoration per row
+            for (let row = match.startRow; row <= match.endRow; row++) {
+                const fromCol = row === match.startRow ? match.startCol : 0;
+                const toCol = row === match.endRow ? match.endCol : terminal.cols;
+                const marker = terminal.registerMarker(row - cursorLine);
+                if (!marker) continue;
+
+                const decoration = terminal.registerDecoration({
+                    marker,
+                    x: fromCol,
+                    width: Math.max(1, toCol - fromCol),
+                    backgroundColor: isCurrent ? '#a61e4d' : '#5c4a00',
+                    layer: 'bottom',
+                    overviewRulerOptions: { color: isCurrent ? '#a61e4d' : '#c4a000' }
+                });
+
+                this.decorations.push({ marker, decoration });
+            }
+        });
+    }
+
+    clearResults() {
+        this.decorations.forEach(({ marker, decoration }) => {
+            if (decoration) decoration.dispose();
+            marker.dispose();
+        });
+        this.decorations = [];
+        this.matches = [];
+        this.currentIndex = -1;
+        this.bar.classList.remove('error');
+    }
+
+    next() {
+        this.move(1);
+    }
+
+    previous() {
+        this.move(-1);
+    }
+
+    move(offset) {
+        if (this.matches.length === 0) {
+            this.search();
+            return;
+        }
+
+        // Keep position but re-highlight so the current match color moves along
+        const index = (this.currentIndex + offset + this.matches.length) % this.matches.length;
+        const matches = this.matches;
+        this.clearResults();
+        this.matches = matches;
+        this.currentIndex = index;
+
+        this.highlightMatches();
+        this.revealCurrent(true);
+        this.updateCount();
+    }
+
+    // Select the current match and scroll it into the middle of the viewport
+    revealCurrent(scroll) {
+        const match = this.matches[this.currentIndex];
+        if (!match) return;
+
+        const terminal = this.terminal;
+        const length = (match.endRow - match.startRow) * terminal.cols + match.endCol - match.startCol;
+        terminal.select(match.startCol, match.startRow, length);
+
+        if (scroll) {
+            terminal.scrollToLine(Math.max(0, match.startRow - Math.floor(terminal.rows / 2)));
+        }
+    }
+
+    updateCount() {
+        if (this.input.value === '') {
+            this.countLabel.textContent = '';
+        } else if (this.matches.length === 0) {
+            this.countLabel.textContent = 'No results';
+        } else {
+            this.countLabel.textContent = `${this.currentIndex + 1} of ${this.matches.length}`;
+        }
+        this.bar.classList.toggle('no-results', this.input.value !== '' && this.matches.length === 0);
+    }
+}
@@ -0,0 +1,531 @@
+// Terminal Settings - color scheme, font and cursor appearance for all terminal tabs
+
+// Built-in color schemes in xterm.js theme format
+const TERMINAL_COLOR_SCHEMES = {
+    'Default Dark': {
+        background: '#1e1e1e',
+        foreground: '#ffffff',
+        cursor: '#ffffff',
+        cursorAccent: '#1e1e1e',
+        selectionBackground: 'rgba(255, 255, 255, 0.3)',
+        black: '#2e3436',
+        red: '#cc0000',
+        green: '#4e9a06',
+        yellow: '#c4a000',
+        blue: '#3465a4',
+        magenta: '#75507b',
+        cyan: '#06989a',
+        white: '#d3d7cf',
+        brightBlack: '#555753',
+        brightRed: '#ef2929',
+        brightGreen: '#8ae234',
+        brightYellow: '#fce94f',
+        brightBlue: '#729fcf',
+        brightMagenta: '#ad7fa8',
+        brightCyan: '#34e2e2',
+        brightWhite: '#eeeeec'
+    },
+    'Campbell': {
+        background: '#0c0c0c',
+        foreground: '#cccccc',
+        cursor: '#ffffff',
+        cursorAccent: '#0c0c0c',
+        selectionBackground: 'rgba(255, 255, 255, 0.25)',
+        black: '#0c0c0c',
+        red: '#c50f1f',
+        green: '#13a10e',
+        yellow: '#c19c00',
+        blue: '#0037da',
+        magenta: '#881798',
+        cyan: '#3a96dd',
+        white: '#cccccc',
+        brightBlack: '#767676',
+        brightRed: '#e74856',
+        brightGreen: '#16c60c',
+        brightYellow: '#f9f1a5',
+        brightBlue: '#3b78ff',
+        brightMagenta: '#b4009e',
+        brightCyan: '#61d6d6',
+        brightWhite: '#f2f2f2'
+    },
+    'One Dark': {
+        background: '#282c34',
+        foreground: '#abb2bf',
+        cursor: '#528bff',
+        cursorAccent: '#282c34',
+        selectionBackground: '#3e4451',
+        black: '#282c34',
+        red: '#e06c75',
+        green: '#98c379',
+        yellow: '#e5c07b',
+        blue: '#61afef',
+        magenta: '#c678dd',
+        cyan: '#56b6c2',
+        white: '#abb2bf',
+        brightBlack: '#5c6370',
+        brightRed: '#e06c75',
+        brightGreen: '#98c379',
+        brightYellow: '#e5c07b',
+        brightBlue: '#61afef',
+        brightMagenta: '#c678dd',
+        brightCyan: '#56b6c2',
+        brightWhite: '#ffffff'
+    },
+    'Dracula': {
+        background: '#282a36',
+        foreground: '#f8f8f2',
+        cursor: '#f8f8f2',
+        cursorAccent: '#282a36',
+        selectionBackground: '#44475a',
+        black: '#21222c',
+        red: '#ff5555',
+        green: '#50fa7b',
+        yellow: '#f1fa8c',
+        blue: '#bd93f9',
+        magenta: '#ff79c6',
+        cyan: '#8be9fd',
+        white: '#f8f8f2',
+        brightBlack: '#6272a4',
+        brightRed: '#ff6e6e',
+        brightGreen: '#69ff94',
+        brightYellow: '#ffffa5',
+        brightBlue: '#d6acff',
+        brightMagenta: '#ff92df',
+        brightCyan: '#a4ffff',
+        brightWhite: '#ffffff'
+    },
+    'Solarized Dark': {
+        background: '#002b36',
+        foreground: '#839496',
+        cursor: '#93a1a1',
+        cursorAccent: '#002b36',
+        selectionBackground: '#073642',
+        black: '#073642',
+        red: '#dc322f',
+        green: '#859900',
+        yellow: '#b58900',
+        blue: '#268bd2',
+        magenta: '#d33682',
+        cyan: '#2aa198',
+        white: '#eee8d5',
+        brightBlack: '#002b36',
+        brightRed: '#cb4b16',
+        brightGreen: '#586e75',
+        brightYellow: '#657b83',
+        brightBlue: '#839496',
+        brightMagenta: '#6c71c4',
+        brightCyan: '#93a1a1',
+        brightWhite: '#fdf6e3'
+    },
+    'Solarized Light': {
+        background: '#fdf6e3',
+        foreground: '#657b83',
+        cursor: '#586e75',
+        cursorAccent: '#fdf6e3',
+        selectionBackground: '#eee8d5',
+        black: '#073642',
+        red: '#dc322f',
+        green: '#859900',
+        yellow: '#b58900',
+        blue: '#268bd2',
+        magenta: '#d33682',
+        cyan: '#2aa198',
+        white: '#eee8d5',
+        brightBlack: '#002b36',
+        brightRed: '#cb4b16',
+        brightGreen: '#586e75',
+        brightYellow: '#657b83',
+        brightBlue: '#839496',
+        brightMagenta: '#6c71c4',
+        brightCyan: '#93a1a1',
+        brightWhite: '#fdf6e3'
+    }
+};
+
+// Order of the 16 ANSI colors, shared by all import formats
+const ANSI_COLOR_KEYS = [
+    'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+    'brightBlack', 'brightRed', 'brightGreen', 'brightYellow',
+    'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite'
+];
+
+const DEFAULT_TERMINAL_SETTINGS = {
+    colorScheme: 'Default Dark',
+    fontFamily: 'Courier New, monospace',
+    fontSize: 14,
+    lineHeight: 1.0,
+    cursorStyle: 'block',
+    cursorBlink: true,
+    customSchemes: {} // Imported schemes by name
+};
+
+class TerminalSettings {
+    constructor() {
+        this.settings = { ...DEFAULT_TERMINAL_SETTINGS };
+        this.listeners = [];
+        this.panel = null;
+
+        // Load saved settings from localStorage
+        this.loadSettings();
+    }
+
+    loadSettings() {
+        try {
+            const savedSettings = localStorage.getItem('terminalSettings');
+            if (savedSettings) {
+                // Merge with defaults so settings added later get a value
+                this.settings = { ...DEFAULT_TERMINAL_SETTINGS, ...JSON.parse(savedSettings) };
+            }
+        } catch (error) {
+            console.warn('Failed to load terminal settings:', error);
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem('terminalSettings', JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save terminal settings:', error);
+        }
+    }
+
+    get schemes() {
+        return { ...TERMINAL_COLOR_SCHEMES, ...this.settings.customSchemes };
+    }
+
+    get theme() {
+        return this.schemes[this.settings.colorScheme] || TERMINAL_COLOR_SCHEMES[DEFAULT_TERMINAL_SETTINGS.colorScheme];
+    }
+
+    // Options in the shape xterm.js expects, for new Terminal() and terminal.options
+    getTerminalOptions() {
+        return {
+            theme: this.theme,
+            fontFamily: this.settings.fontFamily,
+            fontSize: this.settings.fontSize,
+            lineHeight: this.settings.lineHeight,
+            cursorStyle: this.settings.cursorStyle,
+            cursorBlink: this.settings.cursorBlink
+        };
+    }
+
+    update(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.saveSettings();
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    reset() {
+        // Keep imported schemes around, reset everything else
+        this.update({ ...DEFAULT_TERMINAL_SETTINGS, customSchemes: this.settings.customSchemes });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Import color schemes from Windows Terminal JSON, iTerm JSON or .itermcolors files.
+    // Returns the names of the imported schemes.
+    importSchemes(fileName, text) {
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        let schemes;
+
+        if (text.trim().startsWith('<')) {
+            // iTerm2 .itermcolors is an XML property list
+            schemes = [{ name: baseName, theme: this.fromIterm(this.parsePlist(text)) }];
+        } else {
+            const data = JSON.parse(text);
+
+            if (Array.isArray(data.schemes)) {
+                // A full Windows Terminal settings.json
+                schemes = data.schemes.map(s => ({ name: s.name, theme: this.fromWindowsTerminal(s) }));
+            } else if (Array.isArray(data)) {
+                schemes = data.map(s => ({ name: s.name, theme: this.fromWindowsTerminal(s) }));
+            } else if (data['Ansi 0 Color']) {
+                schemes = [{ name: baseName, theme: this.fromIterm(data) }];
+            } else {
+                schemes = [{ name: data.name || baseName, theme: this.fromWindowsTerminal(data) }];
+            }
+        }
+
+        const valid = schemes.filter(s => s.name && s.theme.background && s.theme.foreground);
+        if (valid.length === 0) {
+            throw new Error('No color schemes found in file');
+        }
+
+        const customSchemes = { ...this.settings.customSchemes };
+        valid.forEach(s => {
+            customSchemes[s.name] = s.theme;
+        });
+
+        this.update({ customSchemes, colorScheme: valid[0].name });
+        return valid.map(s => s.name);
+    }
+
+    // Windows Terminal names magenta "purple"; plain xterm.js themes are accepted as well
+    fromWindowsTerminal(scheme) {
+        const fallback = TERMINAL_COLOR_SCHEMES[DEFAULT_TERMINAL_SETTINGS.colorScheme];
+        const theme = {
+            background: scheme.background,
+            foreground: scheme.foreground,
+            cursor: scheme.cursorColor || scheme.cursor || scheme.foreground,
+            cursorAccent: scheme.cursorAccent || scheme.background,
+            selectionBackground: scheme.selectionBackground || fallback.selectionBackground
+        };
+
+        const windowsNames = { magenta: 'purple', brightMagenta: 'brightPurple' };
+        ANSI_COLOR_KEYS.forEach(key => {
+            theme[key] = scheme[key] || scheme[windowsNames[key]] || fallback[key];
+        });
+
+        return theme;
+    }
+
+    fromIterm(data) {
+        const fallback = TERMINAL_COLOR_SCHEMES[DEFAULT_TERMINAL_SETTINGS.colorScheme];
+        const color = (key) => (data[key] ? this.itermColorToHex(data[key]) : null);
+
+        const theme = {
+            background: color('Background Color'),
+            foreground: color('Foreground Color'),
+            cursor: color('Cursor Color') || color('Foreground Color'),
+            cursorAccent: color('Cursor Text Color') || color('Background Color'),
+            selectionBackground: color('Selection Color') || fallback.selectionBackground
+        };
+
+        ANSI_COLOR_KEYS.forEach((key, index) => {
+            theme[key] = color(`Ansi ${index} Color`) || fallback[key];
+        });
+
+        return theme;
+    }
+
+    // iTerm stores colors as 0..1 floating point components
+    itermColorToHex(components) {
+        const channel = (name) => {
+            const value = Math.round((parseFloat(components[`${name} Component`]) || 0) * 255);
+            return Math.max(0, Math.min(255, value)).toString(16).padStart(2, '0');
+        };
+        return `#${channel('Red')}${channel('Green')}${channel('Blue')}`;
+    }
+
+    // Convert the nested <dict> of an .itermcolors file into plain objects
+    parsePlist(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('Invalid .itermcolors file');
+        }
+
+        const parseDict = (dict) => {
+            const result = {};
+            const children = Array.from(dict.children);
+            for (let i = 0; i < children.length - 1; i += 2) {
+                const key = children[i].textContent;
+                const value = children[i + 1];
+                result[key] = value.tagName === 'dict' ? parseDict(value) : value.textContent;
+            }
+            return result;
+        };
+
+        const root = doc.querySelector('plist > dict');
+        return root ? parseDict(root) : {};
+    }
+
+    // Settings panel
+
+    openPanel() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+        this.renderPanel();
+        this.panel.classList.add('open');
+    }
+
+    closePanel() {
+        if (this.panel) {
+            this.panel.classList.remove('open');
+        }
+        if (window.terminalManager) {
+            window.terminalManager.activeSession?.focus();
+        }
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'settings-overlay';
+        this.panel.innerHTML = `
+            <div class="settings-dialog" role="dialog" aria-label="Terminal settings">
+                <div class="settings-header">
+                    <span>Terminal Settings</span>
+                    <button class="panel-control-btn" data-action="close" title="Close">×</button>
+                </div>
+                <div class="settings-body">
+                    <label class="settings-row">
+                        <span>Color scheme</span>
+                        <select data-setting="colorScheme"></select>
+                    </label>
+                    <div class="settings-swatches"></div>
+                    <div class="settings-row">
+                        <span>Import scheme</span>
+                        <button class="settings-button" data-action="import">Windows Terminal / iTerm…</button>
+                        <input type="file" accept=".json,.itermcolors" hidden>
+                    </div>
+                    <div class="settings-message"></div>
+                    <label class="settings-row">
+                        <span>Font family</span>
+                        <input type="text" data-setting="fontFamily" list="terminal-font-list">
+                        <datalist id="terminal-font-list">
+                            <option value="Courier New, monospace">
+                            <option value="Menlo, Monaco, monospace">
+                            <option value="Consolas, monospace">
+                            <option value="'Fira Code', monospace">
+                            <option value="'JetBrains Mono', monospace">
+                            <option value="'Cascadia Code', monospace">
+                            <option value="'DejaVu Sans Mono', monospace">
+                            <option value="monospace">
+                        </datalist>
+                    </label>
+                    <label class="settings-row">
+                        <span>Font size</span>
+                        <input type="number" data-setting="fontSize" min="6" max="40" step="1">
+                    </label>
+                    <label class="settings-row">
+                        <span>Line height</span>
+                        <input type="number" data-setting="lineHeight" min="1" max="3" step="0.1">
+                    </label>
+                    <label class="settings-row">
+                        <span>Cursor style</span>
+                        <select data-setting="cursorStyle">
+                            <option value="block">Block</option>
+                            <option value="underline">Underline</option>
+                            <option value="bar">Bar</option>
+                        </select>
+                    </label>
+                    <label class="settings-row">
+                        <span>Blinking cursor</span>
+                        <input type="checkbox" data-setting="cursorBlink">
+                    </label>
+                </div>
+                <div class="settings-footer">
+                    <button class="settings-button" data-action="reset">Reset to defaults</button>
+                    <button class="settings-button primary" data-action="close">Done</button>
+                </div>
+            </div>
+        `;
+
+        // Apply every change live
+        this.panel.querySelectorAll('[data-setting]').forEach(input => {
+            const eventName = input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input';
+            input.addEventListener(eventName, () => this.handleInput(input));
+        });
+
+        this.panel.querySelectorAll('[data-action="close"]').forEach(button => {
+            button.addEventListener('click', () => this.closePanel());
+        });
+
+        this.panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.reset();
+            this.renderPanel();
+        });
+
+        const fileInput = this.panel.querySelector('input[type="file"]');
+        this.panel.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => this.handleImport(fileInput));
+
+        // Close on backdrop click or Escape
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel) this.closePanel();
+        });
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closePanel();
+        });
+
+        document.body.appendChild(this.panel);
+    }
+
+    handleInput(input) {
+        const key = input.dataset.setting;
+        let value;
+
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        } else if (input.type === 'number') {
+            value = parseFloat(input.value);
+            // Ignore half-typed numbers until they are valid
+            if (isNaN(value) || value < parseFloat(input.min) || value > parseFloat(input.max)) return;
+        } else {
+            value = input.value;
+            if (key === 'fontFamily' && value.trim() === '') return;
+        }
+
+        this.update({ [key]: value });
+
+        if (key === 'colorScheme') {
+            this.renderSwatches();
+        }
+    }
+
+    handleImport(fileInput) {
+        const file = fileInput.files[0];
+        const message = this.panel.querySelector('.settings-message');
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const names = this.importSchemes(file.name, reader.result);
+                message.textContent = `Imported ${names.join(', ')}`;
+                message.className = 'settings-message success';
+                this.renderPanel();
+            } catch (error) {
+                console.warn('Failed to import color scheme:', error);
+                message.textContent = `Import failed: ${error.message}`;
+                message.className = 'settings-message error';
+            }
+            fileInput.value = '';
+        };
+        reader.readAsText(file);
+    }
+
+    renderPanel() {
+        const select = this.panel.querySelector('[data-setting="colorScheme"]');
+        select.innerHTML = '';
+        Object.keys(this.schemes).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+
+        this.panel.querySelectorAll('[data-setting]').forEach(input => {
+            const value = this.settings[input.dataset.setting];
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else {
+                input.value = value;
+            }
+        });
+
+        this.renderSwatches();
+    }
+
+    // Preview the 16 ANSI colors of the selected scheme
+    renderSwatches() {
+        const container = this.panel.querySelector('.settings-swatches');
+        const theme = this.theme;
+
+        container.innerHTML = '';
+        container.style.background = theme.background;
+
+        ANSI_COLOR_KEYS.forEach(key => {
+            const swatch = document.createElement('span');
+            swatch.className = 'settings-swatch';
+            swatch.style.background = theme[key];
+            swatch.title = key;
+            container.appendChild(swatch);
+        });
+    }
+}
+
+// Created immediately so terminal tabs pick up the saved settings when they are created
+window.terminalSettings = new TerminalSettings();
@@ -0,0 +1,204 @@
+// Terminal Watch - lets the AI look at the linked terminal's output on its own
+//
+// The server collects the terminal's output until it settles and checks it
+// against the watch mode and the user's regex triggers (see
+// Exterm.TerminalChatBridge.set_watch/2). A match starts an analysis in the
+// chat, at most one every 20 seconds. The 👁 button shows whether the AI is
+// watching; its panel sets the mode and triggers and logs every analysis and
+// every match that was skipped.
+
+const WATCH_MODES = {
+  'off': 'Off',
+  'on-error': 'On errors',
+  'on-command-exit': 'When a command finishes',
+  'always': 'On any output'
+};
+// Entries kept in the log
+const WATCH_LOG_LIMIT = 50;
+
+class TerminalWatch {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.config = this.loadConfig();
+    this.log = [];
+    this.saving = false; // Whether the panel waits for its settings to be accepted
+
+    this.createPanel();
+    this.updateButton();
+  }
+
+  loadConfig() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('terminalWatch'));
+      if (saved && WATCH_MODES[saved.mode] && Array.isArray(saved.triggers)) return saved;
+    } catch (error) {
+      console.warn('Failed to load terminal watch settings:', error);
+    }
+    return { mode: 'off', triggers: [] };
+  }
+
+  saveConfig() {
+    try {
+      localStorage.setItem('terminalWatch', JSON.stringify(this.config));
+    } catch (error) {
+      console.warn('Failed to save terminal watch settings:', error);
+    }
+  }
+
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'watch-panel';
+    this.panel.innerHTML = `
+      <div class="watch-panel-header">
+        <span class="watch-panel-title">👁 Terminal watch</span>
+        <button class="conversation-btn" data-action="close" title="Close">×</button>
+      </div>
+      <label class="watch-field">
+        Analyze the output
+        <select class="watch-mode">
+          ${Object.entries(WATCH_MODES).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <label class="watch-field">
+        Also when a line matches (one regex per line)
+        <textarea class="watch-triggers" rows="3" spellcheck="false" placeholder="FAILED&#10;panic:"></textarea>
+      </label>
+      <div class="watch-panel-actions">
+        <span class="watch-error"></span>
+        <button class="conversation-btn" data-action="save">Save</button>
+      </div>
+      <div class="watch-log-title">What triggered an analysis</div>
+      <div class="watch-log"></div>
+    `;
+
+    this.modeSelect = this.panel.querySelector('.watch-mode');
+    this.triggersInput = this.panel.querySelector('.watch-triggers');
+    this.errorLabel = this.panel.querySelector('.watch-error');
+    this.logList = this.panel.querySelector('.watch-log');
+
+    this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+    this.panel.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+    this.panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    });
+
+    document.getElementById('chat-container').appendChild(this.panel);
+
+    this.toggleButton = document.getElementById('chat-watch-btn');
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => this.toggle());
+    }
+
+    this.renderLog();
+  }
+
+  get isOpen() {
+    return this.panel.classList.contains('open');
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.modeSelect.value = this.config.mode;
+    this.triggersInput.value = this.config.triggers.join('\n');
+    this.errorLabel.textContent = '';
+    this.panel.classList.add('open');
+    this.modeSelect.focus();
+  }
+
+  close() {
+    this.panel.classList.remove('open');
+  }
+
+  save() {
+    this.config = {
+      mode: this.modeSelect.value,
+      triggers: this.triggersInput.value.split('\n').map(line => line.trim()).filter(Boolean)
+    };
+    this.errorLabel.textContent = '';
+    this.saving = true;
+    this.sync();
+  }
+
+  // Send the settings to the server; called again on every (re)connect since
+  // the watch belongs to the chat socket
+  sync() {
+    this.chat.sendConversationMessage({ type: 'set_watch', ...this.config });
+  }
+
+  // Handle a watch_status message: the settings the server accepted
+  updateStatus(message) {
+    if (message.status === 'error') {
+      this.errorLabel.textContent = message.content;
+      if (!this.saving) this.chat.addSystemMessage(`Terminal watch: ${message.content}`, 'error');
+      this.saving = false;
+      return;
+    }
+
+    this.config = { mode: message.mode, triggers: message.triggers };
+    this.saveConfig();
+    this.updateButton();
+    if (this.saving) this.close();
+    this.saving = false;
+  }
+
+  // Handle a watch_event message: an analysis started or a match was skipped
+  addEvent(message) {
+    this.log.unshift(message);
+    this.log.length = Math.min(this.log.length, WATCH_LOG_LIMIT);
+    this.renderLog();
+
+    if (message.status === 'analyzing') {
+      this.chat.addSystemMessage(`👁 Watch: ${message.reason}`, 'connected');
+    }
+  }
+
+  updateButton() {
+    if (!this.toggleButton) return;
+
+    const watching = this.config.mode !== 'off';
+    this.toggleButton.classList.toggle('watching', watching);
+    this.toggleButton.title = watching
+      ? `AI is watching the terminal: ${WATCH_MODES[this.config.mode].toLowerCase()}`
+      : 'Let the AI watch the terminal';
+  }
+
+  renderLog() {
+    this.logList.innerHTML = '';
+
+    if (this.log.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'conversation-empty';
+      empty.textContent = 'Nothing yet';
+      this.logList.appendChild(empty);
+      return;
+    }
+
+    this.log.forEach(event => {
+      const entry = document.createElement('div');
+      entry.className = `watch-log-entry ${event.status}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'conversation-meta';
+      const time = new Date(event.timestamp).toLocaleTimeString();
+      meta.textContent = event.status === 'skipped' ? `${time} · skipped: ${event.why}` : `${time} · analyzed`;
+
+      const reason = document.createElement('div');
+      reason.className = 'watch-log-reason';
+      reason.textContent = event.reason;
+
+      entry.appendChild(meta);
+      entry.appendChild(reason);
+      this.logList.appendChild(entry);
+    });
+  }
+}
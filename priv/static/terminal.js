@@ -1,85 +1,144 @@
-// Terminal Manager class with reconnection logic
-class TerminalManager {
-    constructor() {
+// Websocket subprotocol for the JSON message framing (see Exterm.TerminalProtocol)
+const TERMINAL_PROTOCOL = 'exterm.v1';
+
+// Close codes shared with Exterm.TerminalSocket
+const CLOSE_TAB_CODE = 4000; // Tab closed - the server ends the shell right away
+const SUPERSEDED_CODE = 4001; // Another window attached to the same session
+
+// Random token naming a server-side shell session, kept across page reloads
+function generateSessionToken() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Terminal Session class - one xterm instance and one shell connection per tab
+class TerminalSession {
+    constructor(id, title, manager, token = null) {
+        this.id = id;
+        this.title = title;
+        this.manager = manager;
+        this.token = token || generateSessionToken();
+        this.sessionId = null; // Server-side session id, reported in session_info
+        this.isRenamed = false; // Renamed tabs ignore titles set by the shell
         this.terminal = null;
         this.socket = null;
         this.isConnected = false;
+        this.hasConnected = false; // Whether this token has been attached before
+        this.isSuperseded = false; // Set when another window took over the session
+        this.isClosed = false; // Set when the tab is closed so we stop reconnecting
         this.reconnectAttempts = 0;
         this.reconnectDelay = 5000; // Start with 5 seconds
+        this.keepaliveInterval = null;
+
+        // Each tab gets its own host element inside #terminal
+        this.element = document.createElement('div');
+        this.element.className = 'terminal-instance';
+        this.element.dataset.sessionId = id;
+        manager.terminalContainer.appendChild(this.element);
 
         this.initializeTerminal();
         this.connect();
-        this.setupEventListeners();
     }
 
     initializeTerminal() {
-        // Initialize the terminal
+        // Initialize the terminal with the user's appearance settings
+        const options = window.terminalSettings.getTerminalOptions();
         this.terminal = new Terminal({
-            cursorBlink: true,
-            theme: {
-                background: '#1e1e1e',
-                foreground: '#ffffff'
-            },
-            fontFamily: 'Courier New, monospace',
-            fontSize: 14
+            ...options,
+            // Decorations (search highlights) are still a proposed API in xterm.js 5
+            allowProposedApi: true
         });
+        this.element.style.background = options.theme.background;
 
-        // Attach terminal to the DOM
-        this.terminal.open(document.getElementById('terminal'));
-        
-        // Wait for terminal to be fully rendered, then fit it
-        setTimeout(() => {
-            this.fitTerminal();
-            // Fit again after a longer delay to ensure everything is loaded
-            setTimeout(() => {
-                this.fitTerminal();
-            }, 500);
-        }, 100);
-        
-        this.terminal.focus();
+        // Attach terminal to this tab's element
+        this.terminal.open(this.element);
+
+        // Make URLs and file paths in the output clickable
+        this.terminal.registerLinkProvider(new TerminalLinkProvider(this));
+
+        // Tell the shell about every size change so full-screen programs redraw correctly
+        this.terminal.onResize(() => this.sendResize());
+
+        // Let the manager handle tab shortcuts before xterm sees them
+        this.terminal.attachCustomKeyEventHandler((event) => {
+            return !this.manager.handleShortcut(event);
+        });
+
+        // Send terminal input to WebSocket
+        this.terminal.onData(data => {
+            if (this.isSuperseded) {
+                // Any key takes the session back from the other window
+                this.isSuperseded = false;
+                this.connect();
+                return;
+            }
+
+            console.log(`[${this.id}] Sending data:`, JSON.stringify(data));
+            this.send({ type: 'input', data: data });
+            // Silent when not connected - just ignore input
+        });
+
+        // Raw byte input (e.g. some mouse reports) is sent base64 encoded
+        this.terminal.onBinary(data => {
+            this.send({ type: 'input', data: btoa(data), encoding: 'base64' });
+        });
     }
-    
+
+    applySettings(options) {
+        // xterm re-renders when its options change
+        Object.assign(this.terminal.options, options);
+        this.element.style.background = options.theme.background;
+        this.fitTerminal();
+    }
+
     fitTerminal() {
         // Use a small delay to ensure DOM is ready
         setTimeout(() => {
             if (this.terminal && this.terminal.element) {
                 try {
-                    // Get terminal container dimensions
-                    const container = document.getElementById('terminal');
-                    const rect = container.getBoundingClientRect();
-                    
-                    console.log(`Container dimensions: ${rect.width}x${rect.height}`);
-                    
+                    // Get this tab's container dimensions
+                    const rect = this.element.getBoundingClientRect();
+
+                    // Hidden tabs have no size - they are fitted when activated
+                    if (rect.width === 0 || rect.height === 0) {
+                        return;
+                    }
+
+                    console.log(`[${this.id}] Container dimensions: ${rect.width}x${rect.height}`);
+
                     // Create a test element with the same font settings as the terminal
+                    const { fontFamily, fontSize, lineHeight: lineHeightScale } = this.terminal.options;
                     const testElement = document.createElement('div');
-                    testElement.style.fontFamily = 'Courier New, monospace';
-                    testElement.style.fontSize = '14px';
+                    testElement.style.fontFamily = fontFamily;
+                    testElement.style.fontSize = `${fontSize}px`;
                     testElement.style.lineHeight = 'normal';
                     testElement.style.position = 'absolute';
                     testElement.style.visibility = 'hidden';
                     testElement.style.whiteSpace = 'pre';
                     testElement.textContent = 'M\nM\nM'; // 3 lines to measure line height
                     document.body.appendChild(testElement);
-                    
+
                     const charWidth = testElement.offsetWidth;
                     const totalHeight = testElement.offsetHeight;
-                    const lineHeight = totalHeight / 3; // Height of one line
-                    
+                    // Height of one line, scaled the way xterm applies its lineHeight option
+                    const lineHeight = Math.floor(Math.ceil(totalHeight / 3) * (lineHeightScale || 1));
+
                     document.body.removeChild(testElement);
-                    
+
                     // Calculate available space (subtract small padding)
                     const availableWidth = rect.width - 4; // Small padding
                     const availableHeight = rect.height - 4; // Small padding
-                    
+
                     // Calculate optimal dimensions
                     const cols = Math.max(1, Math.floor(availableWidth / charWidth));
                     const rows = Math.max(1, Math.floor(availableHeight / lineHeight));
-                    
-                    console.log(`Sizing: char=${charWidth}px, line=${lineHeight}px, grid=${cols}x${rows}`);
-                    
+
+                    console.log(`[${this.id}] Sizing: char=${charWidth}px, line=${lineHeight}px, grid=${cols}x${rows}`);
+
                     // Resize terminal
                     this.terminal.resize(cols, rows);
-                    
+
                 } catch (error) {
                     console.warn('Could not resize terminal:', error);
                 }
@@ -87,43 +146,127 @@ class TerminalManager {
         }, 100);
     }
 
+    // Every message on the socket is a JSON envelope with a type
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    sendResize() {
+        this.send({ type: 'resize', cols: this.terminal.cols, rows: this.terminal.rows });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'session_info':
+                console.log(`[${this.id}] Session ${message.session_id} (protocol v${message.version}, reattached: ${message.reattached})`);
+                this.sessionId = message.session_id;
+                if (this.manager.activeSession === this) {
+                    this.manager.linkChat();
+                }
+
+                if (this.hasConnected) {
+                    if (message.reattached) {
+                        // The server replays the scrollback next, so start from a clean screen
+                        this.terminal.reset();
+                    } else {
+                        this.terminal.write('\r\n\x1b[33m[Session expired - started a new shell]\x1b[0m\r\n');
+                    }
+                }
+                this.hasConnected = true;
+
+                if (message.title) {
+                    this.manager.setShellTitle(this, message.title);
+                }
+                break;
+
+            case 'output': {
+                // Output is base64 encoded bytes - xterm decodes UTF-8 across chunk boundaries
+                const bytes = Uint8Array.from(atob(message.data), c => c.charCodeAt(0));
+                this.terminal.write(bytes);
+                break;
+            }
+
+            case 'title':
+                this.manager.setShellTitle(this, message.title);
+                break;
+
+            case 'exit':
+                // The old shell is gone, so the next connection starts a new session
+                this.token = generateSessionToken();
+                this.hasConnected = false;
+                this.manager.saveSessions();
+                this.terminal.write(`\r\n\x1b[33m[Process exited with status ${message.status} - starting a new shell]\x1b[0m\r\n`);
+                break;
+
+            case 'pong':
+                break;
+
+            default:
+                console.warn(`[${this.id}] Unknown terminal message:`, message);
+        }
+    }
+
     connect() {
+        if (this.isClosed) return;
+
         try {
             // Silent connection - no status messages in terminal
 
-            // Open WebSocket connection
-            this.socket = new WebSocket('ws://localhost:4000/ws');
+            // Attach to this tab's shell session - the server starts it if it isn't running
+            const url = new URL(window.extermConfig.websocketUrl('terminal'));
+            url.searchParams.set('session', this.token);
+            this.socket = new WebSocket(url.toString(), [TERMINAL_PROTOCOL]);
 
             this.socket.onopen = () => {
                 this.isConnected = true;
+
+                // The server side pty starts without a size
+                this.sendResize();
                 this.reconnectAttempts = 0;
                 this.reconnectDelay = 5000; // Reset to 5 seconds
+                this.manager.onSessionStatusChange(this);
 
-                this.terminal.focus();
+                if (this.manager.activeSession === this) {
+                    this.terminal.focus();
+                }
 
-                // Set up client-side keepalive
-                setInterval(() => {
-                    if (this.socket.readyState === WebSocket.OPEN) {
-                        this.socket.send('\x00');
-                    }
+                // Set up client-side keepalive (only one per session)
+                clearInterval(this.keepaliveInterval);
+                this.keepaliveInterval = setInterval(() => {
+                    this.send({ type: 'ping' });
                 }, 5 * 60 * 1000); // Every 5 minutes
             };
 
             this.socket.onmessage = (event) => {
-                // Handle ping frames
-                if (event.data === '') {
-                    return;
+                try {
+                    this.handleMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.error(`[${this.id}] Invalid terminal message:`, error);
                 }
-                this.terminal.write(event.data);
             };
 
-            this.socket.onclose = () => {
+            this.socket.onclose = (event) => {
                 this.isConnected = false;
+                clearInterval(this.keepaliveInterval);
+                this.keepaliveInterval = null;
+
+                // Closed tabs stay closed
+                if (this.isClosed) return;
 
-                // Silent disconnection - no messages shown
+                this.manager.onSessionStatusChange(this);
+
+                if (event.code === SUPERSEDED_CODE) {
+                    // Don't fight the other window for the session
+                    this.isSuperseded = true;
+                    this.terminal.write('\r\n\x1b[33m[Session opened in another window - press any key to take it back]\x1b[0m\r\n');
+                    return;
+                }
 
                 // Always attempt to reconnect - never give up
-                this.reconnectAttempts++;                // Progressive delay: 5s for first few attempts, then 30s
+                this.reconnectAttempts++;
+                // Progressive delay: 5s for first few attempts, then 30s
                 let delay = this.reconnectAttempts <= 3 ? 5000 : 30000;
 
                 setTimeout(() => {
@@ -134,48 +277,475 @@ class TerminalManager {
             };
 
             this.socket.onerror = (error) => {
-                console.error('Terminal WebSocket error:', error);
+                console.error(`[${this.id}] Terminal WebSocket error:`, error);
                 // Silent error handling - no terminal messages
             };
 
         } catch (error) {
-            console.error('Failed to connect to terminal WebSocket:', error);
+            console.error(`[${this.id}] Failed to connect to terminal WebSocket:`, error);
             // Silent error handling - no terminal messages
         }
     }
 
-    setupEventListeners() {
-        // Handle browser window resize
-        window.addEventListener('resize', () => {
-            this.fitTerminal();
+    focus() {
+        this.terminal.focus();
+    }
+
+    // Type text at the prompt as a paste: shells with bracketed paste don't run it on a newline
+    paste(text) {
+        this.terminal.paste(text);
+        this.focus();
+    }
+
+    // The text on screen, without the blank rows under the prompt
+    snapshot() {
+        const buffer = this.terminal.buffer.active;
+        const lines = [];
+        for (let y = buffer.viewportY; y < buffer.viewportY + this.terminal.rows; y++) {
+            const line = buffer.getLine(y);
+            lines.push(line ? line.translateToString(true) : '');
+        }
+
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines.join('\n');
+    }
+
+    dispose() {
+        this.isClosed = true;
+        clearInterval(this.keepaliveInterval);
+
+        // Closing with this code ends the shell on the server instead of keeping it for reattach
+        if (this.socket) {
+            this.socket.close(CLOSE_TAB_CODE, 'Tab closed');
+        }
+
+        this.terminal.dispose();
+        this.element.remove();
+    }
+}
+
+// Terminal Manager class - owns the terminal tabs in the middle panel
+class TerminalManager {
+    constructor() {
+        this.sessions = [];
+        this.activeSession = null;
+        this.nextSessionNumber = 1;
+        this.draggedSessionId = null;
+
+        this.terminalContainer = document.getElementById('terminal');
+        this.tabBar = document.getElementById('terminal-tabs');
+        this.newTabButton = document.getElementById('new-terminal-btn');
+        this.settingsButton = document.getElementById('terminal-settings-btn');
+        this.sessionList = document.getElementById('session-list');
+
+        this.search = new TerminalSearch(this);
+        this.contextMenu = new TerminalContextMenu(this);
+
+        this.setupEventListeners();
+
+        // Reattach to the shells from the previous page load, or start fresh
+        if (!this.restoreSessions()) {
+            this.createSession();
+        }
+    }
+
+    // Backwards compatible accessor for code that expects a single terminal
+    get terminal() {
+        return this.activeSession ? this.activeSession.terminal : null;
+    }
+
+    createSession(title = null, token = null, isRenamed = false) {
+        const number = this.nextSessionNumber++;
+        const session = new TerminalSession(`term-${number}`, title || `Terminal ${number}`, this, token);
+        session.isRenamed = isRenamed;
+
+        this.sessions.push(session);
+        this.activateSession(session.id);
+
+        return session;
+    }
+
+    closeSession(sessionId) {
+        const index = this.sessions.findIndex(s => s.id === sessionId);
+        if (index === -1) return;
+
+        const session = this.sessions[index];
+        this.sessions.splice(index, 1);
+        session.dispose();
+
+        if (this.sessions.length === 0) {
+            // Always keep at least one terminal open
+            this.activeSession = null;
+            this.createSession();
+            return;
+        }
+
+        if (this.activeSession === session) {
+            // Activate the neighbour that took this tab's place
+            const next = this.sessions[Math.min(index, this.sessions.length - 1)];
+            this.activateSession(next.id);
+        } else {
+            this.render();
+        }
+    }
+
+    renameSession(sessionId, title) {
+        const session = this.getSession(sessionId);
+        const trimmed = (title || '').trim();
+        if (!session || trimmed === '') return;
+
+        session.title = trimmed;
+        session.isRenamed = true;
+        this.render();
+    }
+
+    // Titles set by the shell (OSC 0/2) name the tab unless the user renamed it
+    setShellTitle(session, title) {
+        const trimmed = (title || '').trim();
+        if (session.isRenamed || trimmed === '' || session.title === trimmed) return;
+
+        session.title = trimmed;
+        this.render();
+    }
+
+    moveSession(sessionId, toIndex) {
+        const fromIndex = this.sessions.findIndex(s => s.id === sessionId);
+        if (fromIndex === -1) return;
+
+        const targetIndex = Math.max(0, Math.min(this.sessions.length - 1, toIndex));
+        if (targetIndex === fromIndex) return;
+
+        const [session] = this.sessions.splice(fromIndex, 1);
+        this.sessions.splice(targetIndex, 0, session);
+        this.render();
+    }
+
+    activateSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) return;
+
+        this.activeSession = session;
+        this.sessions.forEach(s => {
+            s.element.classList.toggle('active', s === session);
         });
-        
-        // Handle panel resize (for VS Code-style panels)
-        if (window.panelManager) {
-            const originalUpdateLayout = window.panelManager.updateLayout;
-            window.panelManager.updateLayout = (...args) => {
-                originalUpdateLayout.apply(window.panelManager, args);
-                setTimeout(() => this.fitTerminal(), 100);
-            };
+
+        this.render();
+
+        // The tab was hidden, so it needs fitting now that it has a size
+        session.fitTerminal();
+        session.focus();
+
+        // An open search follows the active tab
+        if (this.search) {
+            this.search.refresh();
         }
-        
-        // Send terminal input to WebSocket
-        this.terminal.onData(data => {
-            console.log('Sending data:', JSON.stringify(data));
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                this.socket.send(data);
+
+        this.linkChat();
+    }
+
+    // Point the chat at the active tab's shell, so AI terminal tools and approved commands use it
+    linkChat() {
+        if (window.chatManager && this.activeSession && this.activeSession.sessionId) {
+            window.chatManager.linkTerminal(this.activeSession.sessionId);
+        }
+    }
+
+    activateRelative(offset) {
+        if (!this.activeSession || this.sessions.length < 2) return;
+
+        const index = this.sessions.indexOf(this.activeSession);
+        const nextIndex = (index + offset + this.sessions.length) % this.sessions.length;
+        this.activateSession(this.sessions[nextIndex].id);
+    }
+
+    getSession(sessionId) {
+        return this.sessions.find(s => s.id === sessionId) || null;
+    }
+
+    onSessionStatusChange(_session) {
+        this.render();
+    }
+
+    // Returns true when the key event was a terminal shortcut and has been handled
+    handleShortcut(event) {
+        if (event.type !== 'keydown') return false;
+
+        // Ctrl+Shift+F opens the scrollback search
+        if (event.ctrlKey && event.shiftKey && !event.altKey && event.code === 'KeyF') {
+            this.search.open();
+            event.preventDefault();
+            return true;
+        }
+
+        if (!event.altKey || event.ctrlKey || event.metaKey) {
+            return false;
+        }
+
+        const active = this.activeSession;
+
+        // Alt+1..9 jumps to a tab by position
+        if (!event.shiftKey && /^Digit[1-9]$/.test(event.code)) {
+            const target = this.sessions[parseInt(event.code.slice(5), 10) - 1];
+            if (target) {
+                this.activateSession(target.id);
             }
-            // Silent when not connected - just ignore input
+            event.preventDefault();
+            return true;
+        }
+
+        if (!event.shiftKey) return false;
+
+        // Alt+Shift+A / Alt+Shift+E send the selection to the chat
+        if (this.contextMenu.handleShortcut(event)) {
+            return true;
+        }
+
+        switch (event.code) {
+            case 'KeyT':
+                this.createSession();
+                break;
+            case 'KeyW':
+                if (active) this.closeSession(active.id);
+                break;
+            case 'KeyR':
+                if (active) this.startRename(active.id);
+                break;
+            case 'ArrowRight':
+                this.activateRelative(1);
+                break;
+            case 'ArrowLeft':
+                this.activateRelative(-1);
+                break;
+            case 'PageDown':
+                if (active) this.moveSession(active.id, this.sessions.indexOf(active) + 1);
+                break;
+            case 'PageUp':
+                if (active) this.moveSession(active.id, this.sessions.indexOf(active) - 1);
+                break;
+            default:
+                return false;
+        }
+
+        event.preventDefault();
+        return true;
+    }
+
+    startRename(sessionId) {
+        const tab = this.tabBar.querySelector(`[data-session-id="${sessionId}"]`);
+        const session = this.getSession(sessionId);
+        if (!tab || !session) return;
+
+        const label = tab.querySelector('.terminal-tab-title');
+        const input = document.createElement('input');
+        input.className = 'terminal-tab-rename';
+        input.value = session.title;
+
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            if (commit) {
+                this.renameSession(sessionId, input.value);
+            } else {
+                this.render();
+            }
+            session.focus();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    // Load tab titles and session tokens from localStorage
+    restoreSessions() {
+        try {
+            const saved = localStorage.getItem('terminalSessions');
+            if (!saved) return false;
+
+            const { tabs, activeIndex } = JSON.parse(saved);
+            if (!Array.isArray(tabs) || tabs.length === 0) return false;
+
+            const restored = tabs
+                .filter(tab => tab && typeof tab.token === 'string')
+                .map(tab => this.createSession(tab.title, tab.token, !!tab.renamed));
+
+            if (restored.length === 0) return false;
+
+            const active = restored[activeIndex] || restored[0];
+            this.activateSession(active.id);
+            return true;
+        } catch (error) {
+            console.warn('Failed to restore terminal sessions:', error);
+            return false;
+        }
+    }
+
+    // Save tab titles and session tokens to localStorage
+    saveSessions() {
+        try {
+            const tabs = this.sessions.map(s => ({ title: s.title, token: s.token, renamed: s.isRenamed }));
+            const activeIndex = this.sessions.indexOf(this.activeSession);
+            localStorage.setItem('terminalSessions', JSON.stringify({ tabs, activeIndex }));
+        } catch (error) {
+            console.warn('Failed to save terminal sessions:', error);
+        }
+    }
+
+    render() {
+        this.renderTabs();
+        this.renderSessionList();
+        this.saveSessions();
+    }
+
+    renderTabs() {
+        if (!this.tabBar) return;
+
+        this.tabBar.innerHTML = '';
+
+        this.sessions.forEach((session, index) => {
+            const tab = document.createElement('div');
+            tab.className = 'terminal-tab';
+            tab.classList.toggle('active', session === this.activeSession);
+            tab.classList.toggle('disconnected', !session.isConnected);
+            tab.dataset.sessionId = session.id;
+            tab.draggable = true;
+            tab.title = `${session.title} (Alt+${index + 1})`;
+
+            const status = document.createElement('span');
+            status.className = 'terminal-tab-status';
+
+            const label = document.createElement('span');
+            label.className = 'terminal-tab-title';
+            label.textContent = session.title;
+
+            const closeButton = document.createElement('button');
+            closeButton.className = 'terminal-tab-close';
+            closeButton.title = 'Close terminal (Alt+Shift+W)';
+            closeButton.textContent = '×';
+            closeButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.closeSession(session.id);
+            });
+
+            tab.appendChild(status);
+            tab.appendChild(label);
+            tab.appendChild(closeButton);
+
+            tab.addEventListener('click', () => this.activateSession(session.id));
+            tab.addEventListener('dblclick', () => this.startRename(session.id));
+
+            // Drag and drop reordering
+            tab.addEventListener('dragstart', (e) => {
+                this.draggedSessionId = session.id;
+                e.dataTransfer.effectAllowed = 'move';
+                tab.classList.add('dragging');
+            });
+            tab.addEventListener('dragend', () => {
+                this.draggedSessionId = null;
+                tab.classList.remove('dragging');
+            });
+            tab.addEventListener('dragover', (e) => {
+                if (this.draggedSessionId) {
+                    e.preventDefault();
+                }
+            });
+            tab.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (this.draggedSessionId && this.draggedSessionId !== session.id) {
+                    this.moveSession(this.draggedSessionId, this.sessions.indexOf(session));
+                }
+            });
+
+            this.tabBar.appendChild(tab);
+        });
+    }
+
+    renderSessionList() {
+        if (!this.sessionList) return;
+
+        this.sessionList.innerHTML = '';
+
+        this.sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            item.classList.toggle('active', session === this.activeSession);
+            item.dataset.sessionId = session.id;
+
+            const status = document.createElement('span');
+            status.className = `session-status ${session.isConnected ? 'connected' : 'disconnected'}`;
+
+            const label = document.createElement('span');
+            label.className = 'text-xs';
+            label.textContent = session.title;
+
+            item.appendChild(status);
+            item.appendChild(label);
+            item.addEventListener('click', () => this.activateSession(session.id));
+
+            this.sessionList.appendChild(item);
+        });
+    }
+
+    fitTerminal() {
+        if (this.activeSession) {
+            this.activeSession.fitTerminal();
+        }
+    }
+
+    setupEventListeners() {
+        // New tab button in the terminal panel header
+        if (this.newTabButton) {
+            this.newTabButton.addEventListener('click', () => this.createSession());
+        }
+
+        // Appearance settings apply live to every tab
+        if (this.settingsButton) {
+            this.settingsButton.addEventListener('click', () => window.terminalSettings.openPanel());
+        }
+        window.terminalSettings.onChange((settings) => {
+            const options = settings.getTerminalOptions();
+            this.sessions.forEach(session => session.applySettings(options));
         });
 
-        // Ensure terminal stays focused when clicked
-        document.getElementById('terminal').addEventListener('click', () => {
-            this.terminal.focus();
+        // Tab shortcuts also work when focus is outside the terminal
+        document.addEventListener('keydown', (e) => {
+            if (e.target && e.target.closest && e.target.closest('.xterm')) {
+                return; // Already handled by the terminal's key handler
+            }
+            this.handleShortcut(e);
         });
 
-        // Handle terminal resize
+        // Handle browser window resize
         window.addEventListener('resize', () => {
-            setTimeout(() => this.fitTerminal(), 100);
+            this.fitTerminal();
+        });
+
+        // Handle panel resize (for VS Code-style panels) once the panel manager exists
+        document.addEventListener('DOMContentLoaded', () => {
+            if (window.panelManager) {
+                const originalUpdateLayout = window.panelManager.updateLayout;
+                window.panelManager.updateLayout = (...args) => {
+                    originalUpdateLayout.apply(window.panelManager, args);
+                    setTimeout(() => this.fitTerminal(), 100);
+                };
+            }
+        });
+
+        // Ensure the active terminal stays focused when clicked
+        this.terminalContainer.addEventListener('click', () => {
+            if (this.activeSession) {
+                this.activeSession.focus();
+            }
         });
 
         // Resize when the container might change
@@ -183,8 +753,8 @@ class TerminalManager {
             setTimeout(() => this.fitTerminal(), 200);
         });
 
-        // Initial resize
-        setTimeout(() => this.fitTerminal(), 100);
+        // Fit again after a longer delay to ensure everything is loaded
+        setTimeout(() => this.fitTerminal(), 500);
     }
 
     // Keep the old resizeTerminal method but call fitTerminal for consistency
@@ -194,4 +764,4 @@ class TerminalManager {
 }
 
 // Initialize terminal manager when page loads
-const terminalManager = new TerminalManager();
\ No newline at end of file
+window.terminalManager = new TerminalManager();
@@ -0,0 +1,149 @@
+// Usage Meter - token counts and cost of the chat
+//
+// The server reports every response's usage in a usage message (see
+// Chat.record_usage/2) along with the conversation's totals. The totals go in
+// the AI Assistant header; each response's own counts go on the message or
+// tool block it produced.
+class UsageMeter {
+  constructor(chatManager) {
+    this.chat = chatManager;
+    this.summary = null;
+    this.warned = false; // Context window warning shown since the chat last fit
+    this.responseElement = null; // Message or tool block of the current response
+    this.pendingUsage = null; // Usage that arrived before its tool block
+
+    this.createMeter();
+  }
+
+  static formatTokens(count) {
+    if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+    if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+    return String(count);
+  }
+
+  static formatCost(cost) {
+    return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+
+  // One-line description of a response's usage, e.g. "1.2k in · 340 out · $0.0012"
+  static describe(usage) {
+    const parts = [
+      `${UsageMeter.formatTokens(usage.prompt_tokens)} in`,
+      `${UsageMeter.formatTokens(usage.completion_tokens)} out`
+    ];
+    if (usage.cost != null) parts.push(UsageMeter.formatCost(usage.cost));
+    return parts.join(' · ');
+  }
+
+  // Label an AI message header or a tool block summary with a response's usage
+  static label(element, usage) {
+    if (!element || !usage) return;
+
+    const target = element.querySelector('.message-header, .tool-summary');
+    if (!target) return;
+
+    let badge = target.querySelector('.message-usage');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'message-usage';
+      // Before the time, which sits at the right
+      const time = target.querySelector('.ml-auto, .tool-time');
+      target.insertBefore(badge, time);
+    }
+    badge.textContent = UsageMeter.describe(usage);
+    badge.title = `${usage.prompt_tokens.toLocaleString()} prompt tokens, ${usage.completion_tokens.toLocaleString()} completion tokens`;
+  }
+
+  createMeter() {
+    this.meter = document.createElement('span');
+    this.meter.className = 'usage-meter hidden';
+
+    const actions = document.querySelector('#right-panel .panel-actions');
+    actions.prepend(this.meter);
+  }
+
+  // A new conversation starts from zero; an opened one gets its totals with the llm_config
+  reset() {
+    this.summary = null;
+    this.warned = false;
+    this.responseElement = null;
+    this.pendingUsage = null;
+    this.render();
+  }
+
+  // A response's usage always comes after its stream starts
+  startResponse() {
+    this.responseElement = null;
+    this.pendingUsage = null;
+  }
+
+  // Called with the element a response's text or tool calls are shown in
+  trackResponse(element) {
+    this.responseElement = element;
+
+    if (this.pendingUsage) {
+      UsageMeter.label(element, this.pendingUsage);
+      this.pendingUsage = null;
+    }
+  }
+
+  // Handle a usage message from the server
+  record(message) {
+    // A response with only tool calls has no element until its tool block arrives
+    if (this.responseElement) {
+      UsageMeter.label(this.responseElement, message.usage);
+    } else {
+      this.pendingUsage = message.usage;
+    }
+
+    const nearLimit = message.conversation.near_context_limit && !this.warned;
+    this.update(message.conversation);
+
+    if (nearLimit) {
+      this.chat.addSystemMessage(
+        `This chat is using ${this.contextPercent()}% of the model's context window. Older messages will be summarized before the next one is sent.`,
+        'warning'
+      );
+    }
+  }
+
+  // Conversation totals from a usage or llm_config message
+  update(summary) {
+    this.summary = summary || null;
+    // Warn once each time the limit is reached; a summary brings the chat back under it.
+    // An opened conversation that is already near the limit was warned about before.
+    this.warned = Boolean(this.summary && this.summary.near_context_limit);
+    this.render();
+  }
+
+  contextPercent() {
+    const { context_tokens: used, context_window: size } = this.summary;
+    return Math.min(100, Math.round((used / size) * 100));
+  }
+
+  render() {
+    const summary = this.summary;
+    const total = summary ? summary.prompt_tokens + summary.completion_tokens : 0;
+    this.meter.classList.toggle('hidden', total === 0);
+    if (total === 0) return;
+
+    const parts = [`${UsageMeter.formatTokens(total)} tokens`];
+    if (summary.cost != null) parts.push(UsageMeter.formatCost(summary.cost));
+
+    const title = [
+      `Prompt: ${summary.prompt_tokens.toLocaleString()} tokens`,
+      `Completion: ${summary.completion_tokens.toLocaleString()} tokens`
+    ];
+    if (summary.cost != null) title.push(`Estimated cost: $${summary.cost.toFixed(4)}`);
+
+    // The context size is unknown until the first response after a summary
+    if (summary.context_tokens != null) {
+      parts.push(`${this.contextPercent()}% context`);
+      title.push(`Context: ${summary.context_tokens.toLocaleString()} of ${summary.context_window.toLocaleString()} tokens`);
+    }
+
+    this.meter.textContent = parts.join(' · ');
+    this.meter.title = title.join('\n');
+    this.meter.classList.toggle('near-limit', summary.near_context_limit);
+  }
+}
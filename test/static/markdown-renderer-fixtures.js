@@ -0,0 +1,191 @@
+// Markdown Renderer fixtures - malicious markdown and HTML the chat must render inert
+//
+// Every fixture goes through one of the render paths the chat uses: render()
+// for AI markdown, escape() for tool payloads put into templates, and the
+// <|channel|> path for models that stream analysis and final channels. The
+// output is then checked on its own terms, not against the renderer's
+// allow-list: no script, frame, SVG or form elements, no event handler or
+// style attributes, no links to anything but http(s) and mailto, and no
+// classes that could restyle the app. `contains` is text the output must keep,
+// so a fixture can't pass by rendering nothing.
+//
+// Shared by markdown-renderer.html (open it in a browser) and
+// run-markdown-fixtures.js (node, with jsdom).
+
+const MARKDOWN_FIXTURES = [
+  // Script
+  { name: 'script tag', markdown: '<script>alert(1)</script>' },
+  { name: 'inline script with src', markdown: 'Hello <script src="https://evil.example/x.js"></script> world', contains: 'world' },
+  { name: 'script split by markdown', markdown: '**<script>**alert(1)**</script>**' },
+  { name: 'script in a list item', markdown: '- item <script>alert(1)</script>', contains: 'item' },
+  { name: 'noscript breakout', markdown: '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>' },
+  { name: 'template content', markdown: '<template><img src=x onerror=alert(1)></template>' },
+  { name: 'comment hiding markup', markdown: '<!--<img src=x onerror=alert(1)>-->visible', contains: 'visible' },
+
+  // Frames and embedded content
+  { name: 'iframe with javascript: src', markdown: '<iframe src="javascript:alert(1)"></iframe>' },
+  { name: 'iframe srcdoc', markdown: '<iframe srcdoc="<script>alert(1)</script>"></iframe>' },
+  { name: 'object and embed', markdown: '<object data="https://evil.example/x.swf"></object><embed src="https://evil.example/x.swf">' },
+  { name: 'markdown image', markdown: '![tracker](https://evil.example/pixel.png)' },
+  { name: 'meta refresh', markdown: '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">' },
+  { name: 'base href', markdown: '<base href="https://evil.example/">[docs](https://example.com)', contains: 'docs' },
+
+  // Event handler attributes
+  { name: 'img onerror', markdown: '<img src=x onerror=alert(1)>' },
+  { name: 'onclick on an allowed tag', markdown: '<div onclick="alert(1)">click</div>', contains: 'click' },
+  { name: 'onmouseover on a link', markdown: '<a href="https://example.com" onmouseover="alert(1)">link</a>', contains: 'link' },
+  { name: 'details ontoggle', markdown: '<details open ontoggle="alert(1)"><summary>more</summary>text</details>', contains: 'more' },
+  { name: 'body onload', markdown: '<body onload="alert(1)">body</body>', contains: 'body' },
+  { name: 'uppercase handler', markdown: '<p ONMOUSEOVER="alert(1)">para</p>', contains: 'para' },
+  { name: 'input with onfocus', markdown: '<input type="text" value="x" autofocus onfocus="alert(1)">' },
+  { name: 'checkbox with onclick', markdown: '<input type="checkbox" onclick="alert(1)">' },
+
+  // Links
+  { name: 'javascript: link', markdown: '[click](javascript:alert(1))', contains: 'click' },
+  { name: 'mixed case javascript: link', markdown: '[click](JaVaScRiPt:alert(1))', contains: 'click' },
+  { name: 'entity encoded javascript: link', markdown: '<a href="&#106;avascript:alert(1)">click</a>', contains: 'click' },
+  { name: 'javascript: link with a tab', markdown: '<a href="java\tscript:alert(1)">click</a>', contains: 'click' },
+  { name: 'javascript: autolink', markdown: '<javascript:alert(1)>' },
+  { name: 'vbscript: link', markdown: '[click](vbscript:msgbox(1))', contains: 'click' },
+  { name: 'data: link', markdown: '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)', contains: 'click' },
+  { name: 'raw data: link', markdown: '<a href="data:text/html,<script>alert(1)</script>">click</a>', contains: 'click' },
+  { name: 'relative link to the server', markdown: '[passwd](/api/files?path=/etc/passwd)', contains: 'passwd' },
+  { name: 'reference style javascript: link', markdown: '[click][x]\n\n[x]: javascript:alert(1)', contains: 'click' },
+  { name: 'safe link is kept', markdown: '[docs](https://example.com/docs)', contains: 'docs', link: 'https://example.com/docs' },
+
+  // SVG and MathML
+  { name: 'svg onload', markdown: '<svg onload="alert(1)"><script>alert(1)</script></svg>' },
+  { name: 'svg link', markdown: '<svg><a xlink:href="javascript:alert(1)"><text x="0" y="20">click</text></a></svg>' },
+  { name: 'svg animate', markdown: '<svg><animate onbegin="alert(1)" attributeName="x" dur="1s"></animate></svg>' },
+  { name: 'math mutation', markdown: '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>' },
+
+  // Styling and forms
+  { name: 'style tag', markdown: '<style>body { display: none }</style>' },
+  { name: 'style attribute', markdown: '<span style="position:fixed;inset:0">overlay</span>', contains: 'overlay' },
+  { name: 'app classes', markdown: '<div class="fixed inset-0 z-50 chat-input">overlay</div>', contains: 'overlay' },
+  { name: 'form posting to the server', markdown: '<form action="/api/files" method="post"><button formaction="/api/files">go</button></form>' },
+  { name: 'id clobbering', markdown: '<p id="chat-input" name="chatManager">para</p>', contains: 'para' },
+
+  // Code stays text
+  { name: 'html in a code fence', markdown: '```html\n<script>alert(1)</script>\n```', contains: '<script>alert(1)</script>' },
+  { name: 'html in inline code', markdown: '`<img src=x onerror=alert(1)>`', contains: '<img src=x onerror=alert(1)>' },
+
+  // Tool payloads: results and arguments are escaped into templates
+  { name: 'tool result with markup', path: 'escape', markdown: '<img src=x onerror=alert(1)><script>alert(1)</script>', contains: '<script>alert(1)</script>' },
+  { name: 'tool id breaking out of an attribute', path: 'escape', markdown: '" onmouseover="alert(1)" x="' },
+  { name: 'tool arguments with a closing pre', path: 'escape', markdown: '</pre><iframe src="javascript:alert(1)"></iframe>', contains: '</pre>' },
+
+  // The <|channel|> path
+  {
+    name: 'channels with markup',
+    path: 'channel',
+    markdown: '<|channel|>analysis<|message|><img src=x onerror=alert(1)>thinking<|end|>' +
+      '<|start|>assistant<|channel|>final<|message|><script>alert(1)</script>[answer](javascript:alert(1))',
+    contains: 'answer'
+  },
+  {
+    name: 'channel type with markup',
+    path: 'channel',
+    markdown: '<|channel|>final" onclick="alert(1)<|message|>hello<|end|>'
+  },
+  {
+    name: 'alternative channel format',
+    path: 'channel',
+    markdown: '<|start|>assistant<|channel|>final<|message|><svg onload=alert(1)></svg>done',
+    contains: 'done'
+  }
+];
+
+const FIXTURE_FORBIDDEN_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'object', 'embed', 'img', 'svg', 'math', 'form', 'button',
+  'textarea', 'select', 'meta', 'link', 'base', 'template', 'noscript', 'body', 'video', 'audio', 'source'
+];
+const FIXTURE_FORBIDDEN_ATTRIBUTES = ['style', 'src', 'srcdoc', 'action', 'formaction', 'xlink:href', 'id', 'name', 'data'];
+const FIXTURE_ALLOWED_CLASS = /^(language-[\w+#.-]+|hljs[\w-]*|table-wrapper)$/;
+
+// Problems with rendered HTML, as strings; empty when it is safe
+function checkRenderedHtml(html, document) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const problems = [];
+
+  template.content.querySelectorAll('*').forEach(element => {
+    const tag = element.localName;
+    if (FIXTURE_FORBIDDEN_TAGS.includes(tag)) problems.push(`<${tag}> element`);
+    if (element.namespaceURI !== 'http://www.w3.org/1999/xhtml') problems.push(`<${tag}> outside HTML`);
+
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (name.startsWith('on')) problems.push(`${name} attribute on <${tag}>`);
+      if (FIXTURE_FORBIDDEN_ATTRIBUTES.includes(name)) problems.push(`${name} attribute on <${tag}>`);
+    });
+
+    if (element.hasAttribute('class')) {
+      element.getAttribute('class').split(/\s+/).filter(Boolean).forEach(name => {
+        if (!FIXTURE_ALLOWED_CLASS.test(name)) problems.push(`class ${name} on <${tag}>`);
+      });
+    }
+
+    if (tag === 'a') {
+      const href = element.getAttribute('href') || '';
+      if (!/^(https?|mailto):/i.test(href)) problems.push(`link to ${JSON.stringify(href)}`);
+      if (!/\bnoopener\b/.test(element.getAttribute('rel') || '')) problems.push('link without rel=noopener');
+    }
+  });
+
+  return problems;
+}
+
+// The HTML a fixture renders to, through the path the chat uses for it
+function renderFixture(fixture, document, ChatManager) {
+  switch (fixture.path) {
+    case 'escape':
+      // The shapes tool payloads are put into, see ChatManager.updateToolResult
+      return `<div data-tool-id="${MarkdownRenderer.escape(fixture.markdown)}">` +
+        `<pre>${MarkdownRenderer.escape(fixture.markdown)}</pre></div>`;
+
+    case 'channel': {
+      const chat = {
+        parseChannels: ChatManager.prototype.parseChannels,
+        formatMessage: (content) => MarkdownRenderer.render(content)
+      };
+      const template = document.createElement('template');
+      template.innerHTML = ChatManager.prototype.formatChannelMessage.call(chat, fixture.markdown);
+
+      // The channel wrappers are the app's own markup; what went through the renderer is checked
+      return Array.from(template.content.querySelectorAll('.thinking-content, .final-response'))
+        .map(section => section.innerHTML)
+        .join('\n');
+    }
+
+    default:
+      return MarkdownRenderer.render(fixture.markdown);
+  }
+}
+
+// Run every fixture; returns [{ name, problems }]
+function runMarkdownFixtures(document, ChatManager) {
+  return MARKDOWN_FIXTURES.map(fixture => {
+    let problems;
+    try {
+      const html = renderFixture(fixture, document, ChatManager);
+      problems = checkRenderedHtml(html, document);
+
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      if (fixture.contains && !template.content.textContent.includes(fixture.contains)) {
+        problems.push(`output lost ${JSON.stringify(fixture.contains)}`);
+      }
+      if (fixture.link && !template.content.querySelector(`a[href="${fixture.link}"]`)) {
+        problems.push(`output lost the link to ${fixture.link}`);
+      }
+    } catch (error) {
+      problems = [`threw ${error.message}`];
+    }
+    return { name: fixture.name, problems };
+  });
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { MARKDOWN_FIXTURES, runMarkdownFixtures };
+}
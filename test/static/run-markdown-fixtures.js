@@ -0,0 +1,49 @@
+// Runs the Markdown Renderer fixtures in node, with jsdom for the DOM
+//
+//   npm install --no-save jsdom marked@5.1.1
+//   node test/static/run-markdown-fixtures.js
+//
+// Loads priv/static/markdown-renderer.js and chat.js as the page does (as
+// scripts, so their classes are globals) with the marked version index.html
+// uses. Exits with 1 when any fixture renders something unsafe. jsdom's
+// parser is close to but not the browser's; markdown-renderer.html runs the
+// same fixtures in a real one.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { marked } = require('marked');
+
+const root = path.resolve(__dirname, '..', '..');
+
+async function main() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { runScripts: 'dangerously' });
+  const { window } = dom;
+
+  // chat.js starts the app on DOMContentLoaded, which must have passed
+  await new Promise(resolve => window.addEventListener('load', resolve));
+
+  window.marked = marked;
+  window.console = console;
+
+  ['priv/static/markdown-renderer.js', 'priv/static/chat.js', 'test/static/markdown-renderer-fixtures.js'].forEach(file => {
+    const script = window.document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(root, file), 'utf8');
+    window.document.body.appendChild(script);
+  });
+
+  const results = window.eval('runMarkdownFixtures(document, ChatManager)');
+  const failed = results.filter(result => result.problems.length > 0);
+
+  results.forEach(result => {
+    console.log(`${result.problems.length === 0 ? 'ok  ' : 'FAIL'} ${result.name}`);
+    result.problems.forEach(problem => console.log(`       ${problem}`));
+  });
+  console.log(`\n${results.length - failed.length} of ${results.length} fixtures passed`);
+
+  process.exitCode = failed.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});